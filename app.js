@@ -10,13 +10,21 @@
  * - Coloration : vitesse moyenne, accélération ou dégradé interne début→pic→fin
  * - Badge vague coloré ; popup avec sparkline SVG vitesse
  *
+ * Le moteur (parsing, filtrage, segments, détection) vit dans lib/parsers.js et lib/analysis.js,
+ * sans DOM ; ce fichier ne garde que l’UI, l’état de la session et le rendu Leaflet.
+ *
  * La base de l’app (UI, parsing, rendu Leaflet) est héritée de ta version initiale:contentReference[oaicite:5]{index=5}:contentReference[oaicite:6]{index=6}.
  */
 
+// Moteur d’analyse et parseurs : modules sans DOM de lib/ (aussi utilisables depuis Node)
+const { toRad, timeMs, clamp, normalizeBearing, angularDifference } = BodyboardAnalysis;
+
 // --------- Sélecteurs UI ----------
 const fileInput = document.getElementById('fileInput');
 const detectBtn = document.getElementById('detectBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportHint = document.getElementById('exportHint');
 const fitBtn = document.getElementById('fitBtn');
 const clearBtn = document.getElementById('clearBtn');
 
@@ -34,29 +42,134 @@ const directionToggle = document.getElementById('directionToggle');
 const directionAngleInput = document.getElementById('directionAngle');
 const directionToleranceInput = document.getElementById('directionTolerance');
 const dirStdMaxInput = document.getElementById('dirStdMax');
+const directionSuggest = document.getElementById('directionSuggest');
+const directionReferenceSelect = document.getElementById('directionReference');
+const shoreStatus = document.getElementById('shoreStatus');
+const shoreDrawBtn = document.getElementById('shoreDrawBtn');
+const shoreImportBtn = document.getElementById('shoreImportBtn');
+const shoreImportInput = document.getElementById('shoreImportInput');
+const shoreExportBtn = document.getElementById('shoreExportBtn');
+const shoreDeleteBtn = document.getElementById('shoreDeleteBtn');
 
 const colorModeSelect = document.getElementById('colorMode');
 
+// Poids du score des vagues (mêmes clés que BodyboardScoring.DEFAULT_SCORING)
+const scoringInputs = {
+  peak: document.getElementById('scorePeak'),
+  sustained: document.getElementById('scoreSustained'),
+  distance: document.getElementById('scoreDistance'),
+  duration: document.getElementById('scoreDuration'),
+  accel: document.getElementById('scoreAccel'),
+  turns: document.getElementById('scoreTurns')
+};
+
+const filterToggle = document.getElementById('filterToggle');
+const maxPlausibleSpeedInput = document.getElementById('maxPlausibleSpeed');
+const maxAccelInput = document.getElementById('maxAccel');
+const kalmanToggle = document.getElementById('kalmanToggle');
+const gpsNoiseInput = document.getElementById('gpsNoise');
+const medianWindowInput = document.getElementById('medianWindow');
+const showRawToggle = document.getElementById('showRawToggle');
+const filterSummary = document.getElementById('filterSummary');
+
 const statDistance = document.getElementById('stat-distance');
 const statDuration = document.getElementById('stat-duration');
+const statMoving = document.getElementById('stat-moving');
 const statAvg = document.getElementById('stat-avg');
 const statMax = document.getElementById('stat-max');
 const statWaves = document.getElementById('stat-waves');
 const statBest = document.getElementById('stat-best');
+const statManeuvers = document.getElementById('stat-maneuvers');
+const activityTimeline = document.getElementById('activityTimeline');
+const activityStats = {
+  riding: document.getElementById('stat-riding'),
+  paddling: document.getElementById('stat-paddling'),
+  lineup: document.getElementById('stat-lineup'),
+  beach: document.getElementById('stat-beach')
+};
 const autoThresholdLabel = document.getElementById('autoThresholdLabel');
 const legendGradient = document.getElementById('legendGradient');
 const legendMin = document.getElementById('legendMin');
 const legendMax = document.getElementById('legendMax');
 const wavesTableBody = document.getElementById('wavesTableBody');
+const waveOrderSelect = document.getElementById('waveOrder');
 const wavesEmpty = document.getElementById('wavesEmpty');
+const zonesToggle = document.getElementById('zonesToggle');
+const zonesSpotToggle = document.getElementById('zonesSpotToggle');
+const zonesRadiusInput = document.getElementById('zonesRadius');
+const zonesList = document.getElementById('zonesList');
+const zonesEmpty = document.getElementById('zonesEmpty');
+const waveEditHint = document.getElementById('waveEditHint');
+const waveStartEarlierBtn = document.getElementById('waveStartEarlierBtn');
+const waveStartLaterBtn = document.getElementById('waveStartLaterBtn');
+const waveEndEarlierBtn = document.getElementById('waveEndEarlierBtn');
+const waveEndLaterBtn = document.getElementById('waveEndLaterBtn');
+const waveSplitBtn = document.getElementById('waveSplitBtn');
+const waveMergeBtn = document.getElementById('waveMergeBtn');
+const waveDeleteBtn = document.getElementById('waveDeleteBtn');
+const waveConfirmBtn = document.getElementById('waveConfirmBtn');
+const autotuneBtn = document.getElementById('autotuneBtn');
+const autotuneStatus = document.getElementById('autotuneStatus');
+const autotuneList = document.getElementById('autotuneList');
+const waveDrawBtn = document.getElementById('waveDrawBtn');
+const waveResetEditsBtn = document.getElementById('waveResetEditsBtn');
 const mapStatus = document.getElementById('mapStatus');
 
+const replayBar = document.getElementById('replayBar');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayClock = document.getElementById('replayClock');
+const replayLive = document.getElementById('replayLive');
+const replayWave = document.getElementById('replayWave');
+
+const speedChartPanel = document.getElementById('speedChartPanel');
+const speedChartCanvas = document.getElementById('speedChart');
+const chartResizer = document.getElementById('chartResizer');
+const chartReadout = document.getElementById('chartReadout');
+const chartResetZoomBtn = document.getElementById('chartResetZoomBtn');
+
+const librarySearch = document.getElementById('librarySearch');
+const libraryExportBtn = document.getElementById('libraryExportBtn');
+const libraryImportBtn = document.getElementById('libraryImportBtn');
+const libraryImportInput = document.getElementById('libraryImportInput');
+const libraryStatus = document.getElementById('libraryStatus');
+const libraryList = document.getElementById('libraryList');
+const libraryEmpty = document.getElementById('libraryEmpty');
+
+const presetSelect = document.getElementById('presetSelect');
+const presetSaveBtn = document.getElementById('presetSaveBtn');
+const presetDeleteBtn = document.getElementById('presetDeleteBtn');
+const presetExportBtn = document.getElementById('presetExportBtn');
+const presetImportBtn = document.getElementById('presetImportBtn');
+const presetImportInput = document.getElementById('presetImportInput');
+const settingsLinkBtn = document.getElementById('settingsLinkBtn');
+const settingsResetBtn = document.getElementById('settingsResetBtn');
+const presetStatus = document.getElementById('presetStatus');
+
+const progressSpotSelect = document.getElementById('progressSpot');
+const progressFromInput = document.getElementById('progressFrom');
+const progressToInput = document.getElementById('progressTo');
+const progressMetricSelect = document.getElementById('progressMetric');
+const progressChart = document.getElementById('progressChart');
+const progressSummary = document.getElementById('progressSummary');
+const progressRecords = document.getElementById('progressRecords');
+const progressConditions = document.getElementById('progressConditions');
+const conditionsImportBtn = document.getElementById('conditionsImportBtn');
+const conditionsImportInput = document.getElementById('conditionsImportInput');
+const conditionsClearBtn = document.getElementById('conditionsClearBtn');
+const conditionsStatus = document.getElementById('conditionsStatus');
+const conditionsStrip = document.getElementById('conditionsStrip');
+const conditionsNow = document.getElementById('conditionsNow');
+const conditionsSessionSummary = document.getElementById('conditionsSessionSummary');
+
 // ---------- Constantes ----------
 const DEFAULT_THRESHOLD_MIN = 5;
 const DEFAULT_THRESHOLD_MAX = 50;
 const DEFAULT_THRESHOLD_NUMBER_MAX = 100;
 const DEFAULT_DIRECTION_TOLERANCE = 45;
 const DEFAULT_EMPTY_MESSAGE = 'Aucune vague détectée pour le moment.';
+const LIBRARY_SAVE_DELAY_MS = 600;   // réglages modifiés → enregistrement de la session après ce délai
 
 const COLOR_MODE = {
   AVG: 'avg',
@@ -68,8 +181,14 @@ const COLOR_MODE = {
 let map = null;
 let baseLayer = null;
 let trackLayerGroup = null;
+let rawTrackLayerGroup = null;
 let wavesLayerGroup = null;
 let directionLayerGroup = null;
+let directionCone = null;      // cône de direction (dans directionLayerGroup)
+let zonesLayerGroup = null;
+let shoreLayerGroup = null;
+let editLayerGroup = null;
+let replayLayerGroup = null;
 let mapReady = false;
 
 function showMapStatus(){ if (mapStatus){ mapStatus.hidden = false; } }
@@ -96,9 +215,14 @@ function initMap(){
       { maxZoom: 19, attribution: 'Tiles © Esri — Source: Esri, Earthstar Geographics' }
     ).addTo(map);
 
+    rawTrackLayerGroup = L.layerGroup().addTo(map);
     trackLayerGroup = L.layerGroup().addTo(map);
     directionLayerGroup = L.layerGroup().addTo(map);
+    zonesLayerGroup = L.layerGroup().addTo(map);
+    shoreLayerGroup = L.layerGroup().addTo(map);
     wavesLayerGroup = L.layerGroup().addTo(map);
+    editLayerGroup = L.layerGroup().addTo(map);
+    replayLayerGroup = L.layerGroup().addTo(map);
 
     mapReady = true;
     map.setView([20, 0], 2);
@@ -110,24 +234,79 @@ function initMap(){
 }
 
 // ------------- État ---------------
-let points = [];        // [{lat, lon, ele, time}]
-let segments = [];      // [{a:[lat,lon], b:[lat,lon], speedKmh, distM, dtS, bearingDeg, accelKmhS}]
-let stats = null;       // {distM, durationS, avgKmh, maxKmh}
+let rawPoints = [];     // points tels que parsés (avant filtrage GPS)
+let points = [];        // [{lat, lon, ele, time, speedKmh?, breakBefore?}] (speedKmh : vitesse mesurée par la montre)
+let segments = [];      // [{a:[lat,lon], b:[lat,lon], speedKmh, distM, dtS, bearingDeg, accelKmhS, gap}]
+let stats = null;       // {distM, durationS, movingS, avgKmh, maxKmh, gapCount}
 let waves = [];         // [{... enrichi ...}]
+let activity = null;    // BodyboardActivity.segmentActivity() : état par segment, totaux, attente/rame par vague
+let waveTableOptions = {};   // dernier contexte du tableau (sens, vagues ignorées) pour changer d’ordre sans re-détecter
 let autoThreshold = null;
+let rejectedPointCount = 0;
+let waveEdits = BodyboardAnalysis.EMPTY_EDITS;   // retouches manuelles { locked, deleted } (plages horaires)
+let selectedWaveIdx = null;   // vague retouchable sélectionnée
+let selectedWaveSpan = null;  // sa plage horaire, pour la retrouver après une nouvelle détection
+let waveEditMode = null;      // 'split' | 'draw' : prochain clic carte
+let drawAnchorIdx = null;     // premier point d’une nouvelle vague
+let library = null;           // BodyboardLibrary.openLibrary() (null si IndexedDB indisponible)
+let currentSessionId = null;  // session de la bibliothèque affichée
+let conditionSets = [];       // séries marée / houle / vent importées (store `conditions` de la bibliothèque, ou en mémoire)
+let conditionSeries = null;   // leur fusion (BodyboardConditions.mergeSeries), null si aucune
+
+// ---- Calculs en arrière-plan (Web Worker) --
+// Lecture, filtrage et détection passent par worker.js (BodyboardEngine) : la page reste fluide
+// pendant qu’on fait glisser un curseur. Si le worker ne démarre pas (page ouverte en file://…),
+// le même moteur tourne dans la page.
+let analysisWorker;                 // undefined : pas encore démarré ; null : indisponible
+let localEngine = null;
+let engineRequestSeq = 0;
+const engineRequests = new Map();   // id → { type, args, onProgress, resolve, reject } en attente du worker
+let detectionSeq = 0;               // numéro de la dernière détection demandée (les précédentes sont abandonnées)
+let detectionWaiters = [];          // runWaveDetection() en attente de l’affichage d’une détection à jour
+
+function startAnalysisWorker(){
+  if (typeof Worker==='undefined') return null;
+  try {
+    const worker=new Worker('worker.js');
+    worker.onmessage=({ data })=>{
+      const request=engineRequests.get(data.id); if (!request) return;
+      if (data.progress){ request.onProgress?.(...data.progress); return; }
+      engineRequests.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.stale ? null : data.result);
+    };
+    // Script introuvable ou refusé : on rejoue les demandes en attente dans la page
+    worker.onerror=e=>{
+      e.preventDefault?.();
+      console.warn('Worker de calcul indisponible, calculs dans la page.', e.message || '');
+      worker.terminate(); analysisWorker=null;
+      const pending=[...engineRequests.values()]; engineRequests.clear();
+      pending.forEach(r=>runLocally(r.type, r.args, r.onProgress).then(r.resolve, r.reject));
+    };
+    return worker;
+  } catch (err){
+    console.warn('Worker de calcul indisponible, calculs dans la page.', err);
+    return null;
+  }
+}
+function runLocally(type, args, onProgress=null){
+  localEngine ??= BodyboardEngine.createSessionEngine();
+  return Promise.resolve().then(()=>localEngine[type](...args, ...(onProgress ? [{ onProgress }] : [])));
+}
+// Appel au moteur → promesse du résultat (null : détection dépassée). Le fichier lu est copié, pas cédé,
+// pour pouvoir rejouer la demande dans la page si le worker n’a pas pu démarrer.
+// onProgress(done, total) : avancement des calculs longs (réglage automatique).
+function callEngine(type, args, onProgress=null){
+  if (analysisWorker===undefined) analysisWorker=startAnalysisWorker();
+  if (!analysisWorker) return runLocally(type, args, onProgress);
+  return new Promise((resolve, reject)=>{
+    const id=++engineRequestSeq;
+    engineRequests.set(id, { type, args, onProgress, resolve, reject });
+    analysisWorker.postMessage({ id, type, args, progress:Boolean(onProgress) });
+  });
+}
 
 // ------------- Helpers géo/temps ------------
-const toRad = d => d * Math.PI / 180;
-function haversineDistanceM(a, b){
-  const R = 6371000;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lon - a.lon);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
-  return 2 * R * Math.asin(Math.sqrt(h));
-}
-function clamp(v,min,max){return Math.max(min, Math.min(max, v));}
 function fmtDistance(m){ if (!isFinite(m)) return '–'; return m>=1000 ? (m/1000).toFixed(2)+' km' : m.toFixed(0)+' m'; }
 function fmtDuration(s){
   if (!isFinite(s)) return '–';
@@ -138,18 +317,9 @@ function fmtTime(date){
   if (!(date instanceof Date) || isNaN(date)) return '–';
   return date.toLocaleTimeString(undefined,{hour:'2-digit',minute:'2-digit',second:'2-digit',hour12:false});
 }
-function normalizeBearing(deg){ if (!Number.isFinite(deg)) return NaN; const w=deg%360; return w<0?w+360:w; }
-function angularDifference(a,b){
-  if (!Number.isFinite(a)||!Number.isFinite(b)) return NaN;
-  const diff = Math.abs(normalizeBearing(a)-normalizeBearing(b))%360;
-  return diff>180?360-diff:diff;
-}
-function bearingDegrees(a,b){
-  const lat1=toRad(a.lat), lat2=toRad(b.lat);
-  const dLon=toRad(b.lon-a.lon);
-  const y=Math.sin(dLon)*Math.cos(lat2);
-  const x=Math.cos(lat1)*Math.sin(lat2)-Math.sin(lat1)*Math.cos(lat2)*Math.cos(dLon);
-  return normalizeBearing(Math.atan2(y,x)*180/Math.PI);
+function fmtDate(date){
+  if (!(date instanceof Date) || isNaN(date)) return '–';
+  return date.toLocaleDateString(undefined,{day:'2-digit',month:'2-digit',year:'numeric'})+' '+date.toLocaleTimeString(undefined,{hour:'2-digit',minute:'2-digit',hour12:false});
 }
 function toLatLon(v){
   if (!v) return null;
@@ -165,15 +335,6 @@ function destinationPoint(origin, bearingDeg, distanceM){
   const lon2=lon1+Math.atan2(Math.sin(brng)*Math.sin(ang)*Math.cos(lat1), Math.cos(ang)-Math.sin(lat1)*Math.sin(lat2));
   return { lat: lat2*180/Math.PI, lon: ((lon2*180/Math.PI+540)%360)-180 };
 }
-function circularStdDeg(samples){
-  const vals = samples.filter(Number.isFinite);
-  if (!vals.length) return NaN;
-  const sin = vals.reduce((a,d)=>a+Math.sin(toRad(d)),0);
-  const cos = vals.reduce((a,d)=>a+Math.cos(toRad(d)),0);
-  const R = Math.sqrt(sin*sin+cos*cos)/vals.length;
-  // std angulaire approx : sqrt(-2 ln R) en radians
-  return Math.sqrt(Math.max(0, -2*Math.log(Math.max(R,1e-9))))*180/Math.PI;
-}
 
 // Couleurs (dégradé perceptuel de ta v1):contentReference[oaicite:7]{index=7}
 const SPEED_COLOR_STOPS = [
@@ -200,121 +361,202 @@ const GREEN='rgb(16 185 129)', RED='rgb(220 38 38)', BLUE='rgb(59 130 246)';
 fileInput.addEventListener('change', async (e)=>{
   const file=e.target.files?.[0]; if (!file) return;
   try{
-    const text=await file.text(); const name=file.name.toLowerCase();
-    if (name.endsWith('.gpx')) points=parseGPX(text);
-    else if (name.endsWith('.csv')) points=parseCSV(text);
-    else throw new Error('Format non supporté (utilise .gpx ou .csv).');
-
-    if (points.length<2) throw new Error('Pas assez de points dans la trace.');
-
-    computeSegmentsAndStats();
+    const track=await callEngine('load', [file.name, await file.arrayBuffer()]);
+    rawPoints=track.rawPoints;
+
+    flushSessionSave(); currentSessionId=null;
+    resetWaveEdits(); resetReplay(); chartView=null;
+    // GPX exporté par l’appli : réglages et retouches restaurés comme depuis la bibliothèque
+    const session=track.session;
+    if (session){ waveEdits=session.edits; applyDetectionOptions(session.options); }
+    await applyPreprocessing();
     renderTrack();
     configureThresholdControls();
+    // Seuil de la session relue, sinon celui du lien de réglages (null → seuil automatique)
+    applyThresholdSetting(session ? session.options.baseThresholdKmh : BodyboardPresets.decodeSettingsHash(location.hash)?.baseThresholdKmh);
     setEnabled(true);
-    runWaveDetection();
+    stopShoreDrawing(false); setShoreline(null);   // spot inconnu tant que la session n’est pas renseignée
+    await runWaveDetection();
+    if (session) await restoreExportedWaves(session.waves);
+    await saveNewSession(file.name);
   }catch(err){
     alert('Erreur au chargement: '+err.message);
     console.error(err);
   }finally{ fileInput.value=''; }
 });
 
-function parseGPX(xmlText){
-  const dom=new DOMParser().parseFromString(xmlText,'application/xml');
-  const parserErr=dom.querySelector('parsererror'); if (parserErr) throw new Error('GPX invalide.');
-  const trkpts=dom.getElementsByTagName('trkpt'); const pts=[];
-  for (let i=0;i<trkpts.length;i++){
-    const n=trkpts[i]; const lat=parseFloat(n.getAttribute('lat')); const lon=parseFloat(n.getAttribute('lon'));
-    const eleNode=n.getElementsByTagName('ele')[0]; const timeNode=n.getElementsByTagName('time')[0];
-    const ele=eleNode?parseFloat(eleNode.textContent):null; const time=timeNode?new Date(timeNode.textContent.trim()):null;
-    if (Number.isFinite(lat)&&Number.isFinite(lon)) pts.push({lat,lon,ele,time});
-  }
-  return pts;
-}
-function parseCSV(text){
-  const lines=text.trim().split(/\r?\n/); if (lines.length<2) throw new Error('CSV trop court.');
-  const header=lines[0].split(',').map(s=>s.trim().toLowerCase());
-  const iTime=header.indexOf('time'), iLat=header.indexOf('lat'), iLon=header.indexOf('lon'), iEle=header.indexOf('ele');
-  if (iTime<0||iLat<0||iLon<0) throw new Error('CSV attendu avec colonnes: time,lat,lon[,ele]');
-  const pts=[];
-  for (let i=1;i<lines.length;i++){
-    if (!lines[i].trim()) continue;
-    const c=lines[i].split(',').map(s=>s.trim());
-    const lat=parseFloat(c[iLat]), lon=parseFloat(c[iLon]), ele=(iEle>=0&&c[iEle]!==undefined)?parseFloat(c[iEle]):null;
-    const time=new Date((c[iTime]||'').replace(' ','T'));
-    if (Number.isFinite(lat)&&Number.isFinite(lon)) pts.push({lat,lon,ele,time});
-  }
-  return pts;
-}
-
-// ---- Calculs & Stats --------------
-function computeSegmentsAndStats(){
-  segments=[]; let distM=0, durationS=0, maxKmh=0;
-  for (let i=1;i<points.length;i++){
-    const a=points[i-1], b=points[i];
-    const d=haversineDistanceM(a,b);
-    const tA=a.time?.getTime?.() ?? NaN, tB=b.time?.getTime?.() ?? NaN;
-    const dt=Number.isFinite(tA)&&Number.isFinite(tB)?(tB-tA)/1000:NaN;
-    const speedMS=(Number.isFinite(dt)&&dt>0)?d/dt:0;
-    const speedKmh=speedMS*3.6;
-    const bearingDeg=Number.isFinite(d)?bearingDegrees({lat:a.lat,lon:a.lon},{lat:b.lat,lon:b.lon}):NaN;
-
-    let accelKmhS=0;
-    if (i>1){
-      const prev=segments[i-2];
-      if (prev && Number.isFinite(prev.dtS) && prev.dtS>0){
-        accelKmhS = (speedKmh - prev.speedKmh) / prev.dtS;
-      }
-    }
-    segments.push({ a:[a.lat,a.lon], b:[b.lat,b.lon], distM:d, dtS:dt, speedKmh, bearingDeg, accelKmhS });
+// Les vagues enregistrées font foi : si la détection ne les retrouve pas à l’identique
+// (rivage absent, autre version de l’algorithme…), elles sont imposées par des retouches.
+async function restoreExportedWaves(spans){
+  const current=waves.map(w=>BodyboardAnalysis.waveSpan(points, w));
+  const same=current.length===spans.length && spans.every((s,i)=>current[i] && current[i].start===s.start && current[i].end===s.end);
+  if (same) return;
+  waveEdits=BodyboardAnalysis.pinWaveSpans(waveEdits, current, spans);
+  await runWaveDetection();
+}
 
-    if (Number.isFinite(d)) distM+=d;
-    if (Number.isFinite(dt)&&dt>0) durationS+=dt;
-    if (speedKmh>maxKmh) maxKmh=speedKmh;
-  }
-  const avgKmh = (distM/1000) / (durationS/3600 || 1e-9);
-  stats = { distM, durationS, avgKmh, maxKmh };
+fileInput.accept=BodyboardParsers.supportedExtensions().concat(['.json','.xml']).join(',');
+
+// ---- Filtrage GPS (pré-traitement) --
+function getFilterSettings(){
+  return {
+    enabled: Boolean(filterToggle?.checked),
+    maxSpeedKmh: Math.max(1, parseFloat(maxPlausibleSpeedInput?.value)||45),
+    maxAccelMS2: Math.max(0.1, parseFloat(maxAccelInput?.value)||6),
+    smooth: Boolean(kalmanToggle?.checked),
+    gpsNoiseM: Math.max(0.5, parseFloat(gpsNoiseInput?.value)||5),
+    medianWindow: Math.max(1, Math.round(parseFloat(medianWindowInput?.value)||1))
+  };
+}
+// rawPoints → points → segments/stats (voir BodyboardAnalysis.preprocessPoints), calculés par le moteur
+async function applyPreprocessing(){
+  const settings=getFilterSettings();
+  detectionSeq++;   // une détection en cours porte sur les anciens segments
+  const res=await callEngine('preprocess', [settings]);
+  points=res.points ?? rawPoints; segments=res.segments; stats=res.stats; rejectedPointCount=res.rejected;
+  updateFilterSummary(settings);
+  updateReplayBounds();
+}
+function updateFilterSummary(settings=getFilterSettings()){
+  if (!filterSummary) return;
+  if (!settings.enabled || !rawPoints.length){ filterSummary.textContent=''; return; }
+  filterSummary.textContent = rejectedPointCount
+    ? `${rejectedPointCount} point${rejectedPointCount>1?'s':''} aberrant${rejectedPointCount>1?'s':''} rejeté${rejectedPointCount>1?'s':''} sur ${rawPoints.length}.`
+    : 'Aucun point aberrant détecté.';
 }
 
 // ---- Rendu Leaflet -----------------
 let trackBounds=null;
-function renderTrack(){
+const TRACK_SIMPLIFY_PX = 0.75;   // tolérance Douglas–Peucker de la trace, en pixels à l’écran
+let trackRuns=[];                 // portions continues : { latlngs, byZoom:Map(zoom → latlngs simplifiés), lines:[halo, trait] }
+
+function renderTrack({ fit=true }={}){
+  trackRuns=[];
   if (!mapReady||!trackLayerGroup||!wavesLayerGroup){ trackBounds=null; return; }
   trackLayerGroup.clearLayers(); wavesLayerGroup.clearLayers();
+  renderRawTrack();
   if (directionLayerGroup) directionLayerGroup.clearLayers();
   if (segments.length===0 || points.length===0){
     trackBounds=null; updateLegend(NaN,NaN); resetWaveUI(); return;
   }
   const latlngs=points.map(p=>[p.lat,p.lon]);
 
-  // Halo blanc puis trait gris (hérité de ta v1):contentReference[oaicite:8]{index=8}
-  L.polyline(latlngs,{color:'rgba(255,255,255,0.25)',weight:7,opacity:0.3,lineCap:'round'}).addTo(trackLayerGroup);
-  L.polyline(latlngs,{color:'#4b5563',weight:4,opacity:0.55,lineCap:'round'}).addTo(trackLayerGroup);
+  // Portions continues (coupées aux gaps) ; les gaps eux-mêmes en pointillés, dans une seule couche
+  const runs=[], gaps=[]; let run=[latlngs[0]];
+  segments.forEach((s,i)=>{
+    if (s.gap){ runs.push(run); run=[latlngs[i+1]]; gaps.push([s.a,s.b]); }
+    else run.push(latlngs[i+1]);
+  });
+  runs.push(run);
+  if (gaps.length) L.polyline(gaps,{color:'#e5e7eb',weight:2,opacity:0.6,dashArray:'4 8',interactive:false}).addTo(trackLayerGroup);
+
+  // Halo blanc puis trait gris (hérité de ta v1), simplifiés au zoom courant (updateTrackSimplification)
+  trackRuns=runs.filter(r=>r.length>1).map(r=>({
+    latlngs:r, byZoom:new Map(),
+    lines:[
+      L.polyline([],{color:'rgba(255,255,255,0.25)',weight:7,opacity:0.3,lineCap:'round'}).addTo(trackLayerGroup),
+      L.polyline([],{color:'#4b5563',weight:4,opacity:0.55,lineCap:'round'}).addTo(trackLayerGroup)
+    ]
+  }));
 
   trackBounds=L.latLngBounds(latlngs);
-  if (mapReady&&map) map.fitBounds(trackBounds,{padding:[30,30]});
+  if (fit&&mapReady&&map) map.fitBounds(trackBounds,{padding:[30,30]});
+  updateTrackSimplification();
   updateDirectionVisual();
 }
+// Trace de base : Douglas–Peucker à ~1 pixel du zoom courant, calculé une fois par zoom et par portion
+function updateTrackSimplification(){
+  if (!mapReady||!map||!trackRuns.length) return;
+  const zoom=Math.round(map.getZoom());
+  trackRuns.forEach(run=>{
+    if (!run.byZoom.has(zoom)){
+      const toleranceM=BodyboardSimplify.metersPerPixel(zoom, run.latlngs[0][0])*TRACK_SIMPLIFY_PX;
+      run.byZoom.set(zoom, BodyboardSimplify.simplifyLatLngs(run.latlngs, toleranceM));
+    }
+    const latlngs=run.byZoom.get(zoom);
+    run.lines.forEach(line=>line.setLatLngs(latlngs));
+  });
+}
+if (mapReady) map.on('zoomend', updateTrackSimplification);
+
+// Trace brute (avant filtrage), affichée à la demande pour comparaison
+function renderRawTrack(){
+  if (!rawTrackLayerGroup) return;
+  rawTrackLayerGroup.clearLayers();
+  if (!showRawToggle?.checked || points===rawPoints || rawPoints.length<2) return;
+  rawPointsLayer(rawPoints.map(p=>[p.lat,p.lon]),{color:'#f97316',weight:2,opacity:0.7,dashArray:'2 6',interactive:false}).addTo(rawTrackLayerGroup);
+}
+
+// Couche canvas de la trace brute : la ligne pointillée puis un point par fix GPS, dessinés en une passe
+// (pas de simplification, sinon des fixes disparaîtraient)
+let RawPointsLayer = null;
+function rawPointsLayer(latlngs, options){
+  RawPointsLayer ??= L.Polyline.extend({
+    options: { smoothFactor:0, dotRadius:2, dotOpacity:0.6 },
+    _updatePath(){
+      L.Polyline.prototype._updatePath.call(this);
+      const renderer=this._renderer;
+      if (!(renderer instanceof L.Canvas) || !renderer._drawing || !this._parts.length) return;
+      const ctx=renderer._ctx, o=this.options, r=o.dotRadius;
+      ctx.beginPath();
+      this._parts.forEach(part=>part.forEach(p=>{ ctx.moveTo(p.x+r, p.y); ctx.arc(p.x, p.y, r, 0, 2*Math.PI); }));
+      ctx.globalAlpha=o.dotOpacity; ctx.fillStyle=o.color; ctx.fill();
+    }
+  });
+  return new RawPointsLayer(latlngs, options);
+}
 
 // ---- UI Stats ----------------------
 function updateStatsUI(){
   if (!stats){ resetStatsUI(); return; }
   statDistance.textContent=fmtDistance(stats.distM);
-  statDuration.textContent=fmtDuration(stats.durationS);
+  statDuration.textContent=fmtDuration(stats.durationS)+(stats.gapCount?` (${stats.gapCount} coupure${stats.gapCount>1?'s':''})`:'');
+  statMoving.textContent=fmtDuration(stats.movingS);
   statAvg.textContent=`${stats.avgKmh.toFixed(2)} km/h`;
   statMax.textContent=`${stats.maxKmh.toFixed(2)} km/h`;
   statWaves.textContent=segments.length?String(waves.length):'–';
   statBest.textContent=segments.length&&waves.length?bestWaveLabel(waves):'–';
+  statManeuvers.textContent=segments.length?maneuverSummaryLabel(waves):'–';
+  updateActivityUI();
+  renderSessionConditions();
 }
 function resetStatsUI(){
-  statDistance.textContent=statDuration.textContent=statAvg.textContent=
-  statMax.textContent=statWaves.textContent=statBest.textContent='–';
+  statDistance.textContent=statDuration.textContent=statMoving.textContent=statAvg.textContent=
+  statMax.textContent=statWaves.textContent=statBest.textContent=statManeuvers.textContent='–';
+  resetActivityUI();
+  if (conditionsStrip){ conditionsStrip.innerHTML=conditionsSessionSummary.innerHTML=''; conditionsNow.textContent=''; }
+}
+const ACTIVITY_LABELS = { riding:'Glisse', paddling:'Rame', lineup:'Attente au pic', beach:'Plage' };
+// Frise colorée (une bande par portion continue d’un même état, à l’échelle du temps) + totaux par état
+function updateActivityUI(){
+  const bounds=sessionTimeBounds();
+  if (!activity || !bounds || activity.states.length!==segments.length){ resetActivityUI(); return; }
+  const span=bounds.t1-bounds.t0;
+  activityTimeline.innerHTML=activity.runs.filter(r=>r.state).map(r=>{
+    const t0=timeMs(points[r.startIdx]), t1=timeMs(points[r.endIdx+1]);
+    if (!Number.isFinite(t0) || !Number.isFinite(t1)) return '';   // bord sans horodatage
+    return `<span class="${r.state}" style="left:${((t0-bounds.t0)/span*100).toFixed(3)}%;width:${((t1-t0)/span*100).toFixed(3)}%"`
+      +` title="${ACTIVITY_LABELS[r.state]} • ${fmtTime(new Date(t0))} • ${fmtDuration(r.durationS)}"></span>`;
+  }).join('');
+  Object.entries(activityStats).forEach(([state,el])=>{ el.textContent=fmtDuration(activity.totals[state]); });
 }
+function resetActivityUI(){
+  activityTimeline.innerHTML='';
+  Object.values(activityStats).forEach(el=>{ el.textContent='–'; });
+}
+// Meilleure vague = meilleur score (rang 1 de BodyboardScoring)
 function bestWaveLabel(ws){
-  let best=ws[0]; for (const w of ws){
-    if (w.maxKmh>best.maxKmh) best=w;
-    else if (w.maxKmh===best.maxKmh && w.distM>best.distM) best=w;
-  }
-  return `${fmtDistance(best.distM)} • ${fmtDuration(best.durationS)} • ${best.maxKmh.toFixed(1)} km/h`;
+  const best=BodyboardScoring.bestWave(ws) ?? ws[0];
+  const idx=ws.indexOf(best);
+  return `#${idx+1} • ${scoreLabel(best)} • ${fmtDistance(best.distM)} • ${fmtDuration(best.durationS)} • ${best.maxKmh.toFixed(1)} km/h`;
+}
+const scoreLabel = w=>Number.isFinite(w.score) ? `${w.score.toFixed(1)}/10` : '–';
+// « 5 (2 bottom turns, 2 cutbacks, 1 360) »
+function maneuverSummaryLabel(ws){
+  const { total, byType }=BodyboardManeuvers.countManeuvers(ws);
+  if (!total) return '0';
+  const parts=Object.entries(byType).filter(([, n])=>n).map(([type, n])=>`${n} ${type}${n>1 && type!=='360'?'s':''}`);
+  return `${total} (${parts.join(', ')})`;
 }
 
 // ---- Légende -----------------------
@@ -335,14 +577,6 @@ function updateLegend(min,max){
 }
 
 // ---- Contrôles seuil ----
-function computeAutoThreshold(segs){
-  const speeds=segs.map(s=>s.speedKmh).filter(v=>Number.isFinite(v)&&v>1);
-  if (!speeds.length) return 15;
-  speeds.sort((a,b)=>a-b);
-  const idx=Math.floor(0.75*(speeds.length-1));
-  const candidate=speeds[idx];
-  return clamp(candidate,5,120);
-}
 function configureThresholdControls(){
   if (!segments.length){
     autoThreshold=null;
@@ -353,7 +587,7 @@ function configureThresholdControls(){
     updateAutoThresholdLabel();
     return;
   }
-  const speeds=segments.map(s=>s.speedKmh).filter(Number.isFinite);
+  const speeds=segments.filter(s=>!s.gap).map(s=>s.speedKmh).filter(Number.isFinite);
   if (!speeds.length){
     autoThreshold=null;
     thresholdRange.min=thresholdNumber.min=String(DEFAULT_THRESHOLD_MIN);
@@ -370,7 +604,7 @@ function configureThresholdControls(){
   thresholdRange.min=thresholdNumber.min=String(minVal);
   thresholdRange.max=String(Math.max(maxVal,DEFAULT_THRESHOLD_MAX));
   thresholdNumber.max=String(Math.max(maxVal,DEFAULT_THRESHOLD_NUMBER_MAX));
-  autoThreshold=computeAutoThreshold(segments);
+  autoThreshold=BodyboardAnalysis.computeAutoThreshold(segments);
   const applied=setThreshold(autoThreshold);
   updateAutoThresholdLabel(applied);
 }
@@ -393,12 +627,6 @@ function updateAutoThresholdLabel(current){
 }
 
 // ---- Tableau vagues ----------------
-function waveTypeLabel(w){
-  if (w.durationS<4) return 'courte';
-  if (w.avgKmh>=25) return 'rapide';
-  if (w.distM>=80) return 'longue';
-  return 'standard';
-}
 function updateWaveTable(ws, options={}){
   const directionSettings=options.directionSettings||null;
   const filterApplied=Boolean(directionSettings?.enabled);
@@ -419,15 +647,21 @@ function updateWaveTable(ws, options={}){
     wavesEmpty.textContent=`${rejected} vague${rejected>1?'s':''} ignorée${rejected>1?'s':''} car hors tolérance.`;
   } else wavesEmpty.style.display='none';
 
-  ws.forEach((w,idx)=>{
+  // Vue classée : meilleures vagues d’abord (le # reste le numéro chronologique de la vague)
+  const order=ws.map((w,i)=>i);
+  if (waveOrderSelect?.value==='score') order.sort((a,b)=>(ws[a].scoreRank ?? Infinity)-(ws[b].scoreRank ?? Infinity));
+  order.forEach(idx=>{
+    const w=ws[idx];
     const tr=document.createElement('tr');
     const avg=Number.isFinite(w.avgKmh)?w.avgKmh:(w.durationS>0?(w.distM/w.durationS*3.6):NaN);
     const avgStr=Number.isFinite(avg)?`${avg.toFixed(1)} km/h`:'–';
     const directionStr=Number.isFinite(w.directionDeg)?`${Math.round(w.directionDeg*10)/10}°`:'–';
-    const delta=showDelta && Number.isFinite(w.directionDeg)? angularDifference(w.directionDeg,directionSettings.direction):NaN;
+    const deltaKey=directionSettings?.reference==='shore' ? 'shoreAngleDeg' : 'directionDeg';
+    const delta=showDelta && Number.isFinite(w[deltaKey])? angularDifference(w[deltaKey],directionSettings.direction):NaN;
     const deltaStr=Number.isFinite(delta)?`${Math.round(delta*10)/10}°`:'–';
+    const timing=activity?.perWave[idx];
     tr.innerHTML=`
-      <td>${idx+1}</td>
+      <td>${idx+1}${w.locked?' <span title="Vague retouchée à la main">🔒</span>':''}${w.confirmed?' <span title="Vague validée">✓</span>':''}</td>
       <td>${fmtTime(w.startTime)}</td>
       <td>${fmtDistance(w.distM)}</td>
       <td>${fmtDuration(w.durationS)}</td>
@@ -435,15 +669,29 @@ function updateWaveTable(ws, options={}){
       <td>${avgStr}</td>
       <td>${directionStr}</td>
       <td>${deltaStr}</td>
-      <td>${waveTypeLabel(w)}</td>`;
+      <td title="${Number.isFinite(w.scoreRank)?`Rang ${w.scoreRank} sur ${ws.length}`:''}">${Number.isFinite(w.score)?w.score.toFixed(1):'–'}</td>
+      <td>${w.category ?? '–'}</td>
+      <td>${shoreCellHTML(w)}</td>
+      ${conditionCellsHTML(w.conditions)}
+      <td>${timing?fmtDuration(timing.waitBeforeS):'–'}</td>
+      <td>${timing?fmtDuration(timing.paddleBackS):'–'}</td>
+      <td><button type="button" class="replay-jump" title="Rejouer depuis le début de la vague">▶</button></td>`;
     tr.tabIndex=0;
-    if (w.bounds){
-      tr.addEventListener('click', ()=>{ map.fitBounds(w.bounds,{padding:[50,50]}); });
-      tr.addEventListener('keypress', (evt)=>{ if (evt.key==='Enter'||evt.key===' '){ evt.preventDefault(); map.fitBounds(w.bounds,{padding:[50,50]}); } });
-    }
+    tr.dataset.idx=String(idx);
+    if (idx===selectedWaveIdx) tr.classList.add('selected');
+    tr.addEventListener('click', ()=>selectWave(idx));
+    tr.querySelector('.replay-jump').addEventListener('click', (evt)=>{ evt.stopPropagation(); replayFromWave(idx); });
+    tr.addEventListener('keypress', (evt)=>{ if (evt.key==='Enter'||evt.key===' '){ evt.preventDefault(); selectWave(idx); } });
     wavesTableBody.appendChild(tr);
   });
 }
+const SHORE_SIDE_LABELS = { gauche:'Gauche', droite:'Droite', face:'Face' };
+function shoreCellHTML(w){
+  if (!w.shoreSide) return '–';
+  const gain=Number.isFinite(w.shoreGainM) ? `${w.shoreGainM>=0?'+':'−'}${fmtDistance(Math.abs(w.shoreGainM))}` : '–';
+  return `${SHORE_SIDE_LABELS[w.shoreSide]} ${Math.round(Math.abs(w.shoreAngleDeg))}°`
+    +`<br/><small title="Distance au bord au départ • gagnée vers la plage">${fmtDistance(w.shoreTakeoffM)} • ${gain}</small>`;
+}
 function resetWaveUI(){
   wavesTableBody.innerHTML='';
   wavesEmpty.style.display='block';
@@ -451,186 +699,13 @@ function resetWaveUI(){
   updateLegend(NaN,NaN);
 }
 
-// ---- Enrichissement d’une vague ----
-function enrichWave(w){
-  const overIdx = Array.isArray(w.segmentIndices)?[...new Set(w.segmentIndices)]:[];
-  overIdx.sort((a,b)=>a-b);
-  const hasOver=overIdx.length>0;
-  const start = hasOver?Math.max(0,overIdx[0]):Math.max(0,w.startIdx);
-  const endCandidate=hasOver?overIdx[overIdx.length-1]:w.endIdx;
-  const end=Math.min(segments.length-1,endCandidate);
-
-  const indices=[]; for (let i=start;i<=end;i++) indices.push(i);
-  const slice=points.slice(start,end+2);
-  const latlngs=slice.map(p=>[p.lat,p.lon]);
-
-  const startSource=points[start] ?? slice[0] ?? null;
-  const canLeaf = mapReady && typeof L!=='undefined';
-  const bounds = canLeaf && latlngs.length ? L.latLngBounds(latlngs) : null;
-  const startPoint = canLeaf && startSource ? [startSource.lat,startSource.lon] : null;
-  const midPoint = canLeaf && latlngs.length ? latlngs[Math.floor(latlngs.length/2)] : null;
-
-  // direction moyenne (circular mean)
-  let directionDeg=NaN;
-  const bearingSamples = indices.map(i=>segments[i]?.bearingDeg).filter(Number.isFinite);
-  if (bearingSamples.length){
-    const sin=bearingSamples.reduce((a,d)=>a+Math.sin(toRad(d)),0);
-    const cos=bearingSamples.reduce((a,d)=>a+Math.cos(toRad(d)),0);
-    if (Math.abs(sin)>1e-6||Math.abs(cos)>1e-6){
-      directionDeg=normalizeBearing(Math.atan2(sin,cos)*180/Math.PI);
-    }
-  } else if (slice.length>=2){
-    const first=slice[0], last=slice[slice.length-1];
-    directionDeg=bearingDegrees({lat:first.lat,lon:first.lon},{lat:last.lat,lon:last.lon});
-  }
-
-  const avgKmh = w.durationS>0 ? (w.distM/w.durationS*3.6) : NaN;
-
-  // Pic (index et valeur)
-  let peakIdx = indices[0], peakVal = -Infinity;
-  indices.forEach(i=>{ const v=segments[i]?.speedKmh ?? -Infinity; if (v>peakVal){ peakVal=v; peakIdx=i; } });
-
-  // sparkline data (vitesse)
-  const speeds = indices.map(i=>segments[i]?.speedKmh ?? 0);
-  return {
-    ...w, startIdx:start, endIdx:end, indices,
-    bounds, startPoint, midPoint, directionDeg, avgKmh, startTime:(startSource?.time instanceof Date && !isNaN(startSource.time))?startSource.time:null,
-    peakIdx, peakVal, speeds
-  };
-}
-
 // ---- Détection des vagues v2 ----
 detectBtn.addEventListener('click', ()=> runWaveDetection(true));
 
-function computeLocalStats(winSec){
-  // renvoie un tableau localStats[i] = {median, std} centré approximativement autour du segment i
-  const localStats = new Array(segments.length).fill(null);
-  if (!segments.length || winSec<=0) return localStats;
-
-  let left=0; let sum=0; let sumSq=0; let timeSpan=0;
-  const speeds = segments.map(s=>s.speedKmh||0);
-  // Utiliser un buffer croissant en temps jusqu’à winSec (méthode glissante)
-  for (let right=0; right<segments.length; right++){
-    const dtR = Number.isFinite(segments[right].dtS)?segments[right].dtS:0;
-    timeSpan += dtR;
-
-    // ajuster la fenêtre pour ne pas dépasser winSec
-    while (timeSpan > winSec && left<right){
-      const dtL = Number.isFinite(segments[left].dtS)?segments[left].dtS:0;
-      timeSpan -= dtL;
-      left++;
-    }
-    const slice = speeds.slice(left, right+1).filter(Number.isFinite);
-    if (slice.length){
-      const sorted=[...slice].sort((a,b)=>a-b);
-      const mid=Math.floor(sorted.length/2);
-      const median = sorted.length%2 ? sorted[mid] : 0.5*(sorted[mid-1]+sorted[mid]);
-      const mean = sorted.reduce((a,v)=>a+v,0)/sorted.length;
-      const variance = sorted.reduce((a,v)=>a+(v-mean)*(v-mean),0)/Math.max(1,(sorted.length-1));
-      const std = Math.sqrt(variance);
-      localStats[right] = { median, std };
-    } else {
-      localStats[right] = { median: 0, std: 0 };
-    }
-  }
-  return localStats;
-}
-
-function detectWavesV2(options){
-  const {
-    baseThresholdKmh=15, minDurationS=2,
-    useAdaptive=true, winSec=8, kSigma=0.8,
-    dropPct=35, endGraceS=1,
-    dirStdMaxDeg=25
-  } = options;
-
-  const found=[];
-  const local = useAdaptive ? computeLocalStats(winSec) : null;
-
-  let cur=null;
-  let timeOver=0;         // temps cumulé sur la vague
-  let timeUnderPeak=0;    // grâce de fin quand on est sous le critère de fin
-
-  for (let i=0;i<segments.length;i++){
-    const s=segments[i];
-    const dt = Number.isFinite(s.dtS) && s.dtS>0 ? s.dtS : 0;
-
-    // seuil courant (adaptatif ou fixe)
-    let thr = baseThresholdKmh;
-    if (useAdaptive && local && local[i]){
-      const {median,std} = local[i];
-      thr = Math.max(baseThresholdKmh, median + kSigma*std);
-    }
-
-    const over = (s.speedKmh >= thr) && dt>0;
-
-    if (over){
-      if (!cur){
-        cur = {
-          startIdx:i, endIdx:i,
-          distM:0, durationS:0, maxKmh:0,
-          segmentIndices:[], bearings:[], ended:false,
-          peak:0
-        };
-        timeOver=0; timeUnderPeak=0;
-      }
-      cur.endIdx=i;
-      cur.segmentIndices.push(i);
-      cur.distM += (Number.isFinite(s.distM)?s.distM:0);
-      cur.durationS += dt;
-      timeOver += dt;
-      if (s.speedKmh>cur.maxKmh){ cur.maxKmh=s.speedKmh; cur.peak = s.speedKmh; }
-      if (Number.isFinite(s.bearingDeg)) cur.bearings.push(s.bearingDeg);
-
-      // tant qu'on est au-dessus du seuil, reset la grâce de fin
-      timeUnderPeak=0;
-    } else if (cur){
-      // critère de fin : chute relative vs pic
-      const v = s.speedKmh||0;
-      const drop = cur.peak>0 ? (1 - v/cur.peak)*100 : 100;
-      const below = drop >= dropPct;
-      if (below){
-        timeUnderPeak += dt;
-        if (timeUnderPeak >= endGraceS){
-          // on valide la vague si durée suffisante
-          if (cur.durationS >= minDurationS && cur.segmentIndices.length){
-            found.push(cur);
-          }
-          cur=null; timeOver=0; timeUnderPeak=0;
-        }
-      } else {
-        // pas assez de drop → on continue la vague
-        cur.endIdx=i;
-        cur.segmentIndices.push(i);
-        cur.distM += (Number.isFinite(s.distM)?s.distM:0);
-        cur.durationS += dt;
-        if (s.speedKmh>cur.maxKmh){ cur.maxKmh=s.speedKmh; cur.peak = s.speedKmh; }
-        if (Number.isFinite(s.bearingDeg)) cur.bearings.push(s.bearingDeg);
-        timeUnderPeak=0;
-      }
-    }
-  }
-  // fin de trace
-  if (cur && cur.durationS>=minDurationS && cur.segmentIndices.length){
-    found.push(cur);
-  }
-
-  // filtre de stabilité de direction (écart-type angulaire max)
-  const stable = found.filter(w=>{
-    const std = circularStdDeg(w.bearings||[]);
-    return !Number.isFinite(dirStdMaxDeg) || isNaN(std) || std<=dirStdMaxDeg;
-  });
-
-  return stable;
-}
-
 // ---- Rendu des vagues -------------
-function renderWaves(wavesArr){
-  if (wavesLayerGroup) wavesLayerGroup.clearLayers();
-  if (!wavesArr.length){ updateLegend(NaN,NaN); return; }
-
-  const mode = (colorModeSelect?.value)||COLOR_MODE.AVG;
-
+// Couleurs des vagues selon colorMode : { minAvg, maxAvg, colors:[{ waveColor, segColors }] }
+// (segColors alignés sur segmentIndices, ou indices à défaut) — partagé par la carte et l’export KML
+function computeWaveColors(wavesArr, mode){
   // Échelles pour vitesse/accélération
   const avgSamples = wavesArr.map(w=>Number.isFinite(w.avgKmh)?w.avgKmh:NaN).filter(Number.isFinite);
   const minAvg = avgSamples.length?Math.min(...avgSamples):NaN;
@@ -648,19 +723,7 @@ function renderWaves(wavesArr){
     }
   }
 
-  // Légende (vitesse pour AVG/INTRA, rien pour ACCEL)
-  if (mode===COLOR_MODE.ACCEL){
-    updateLegend(NaN,NaN);
-  } else {
-    let cmin=Number.isFinite(minAvg)?minAvg:0;
-    let cmax=Number.isFinite(maxAvg)?maxAvg:(cmin+1);
-    if (Math.abs(cmax-cmin)<1e-3) cmax=cmin+1;
-    updateLegend(cmin,cmax);
-  }
-
-  if (!mapReady||!wavesLayerGroup) return;
-
-  wavesArr.forEach((w, waveIdx)=>{
+  const colors = wavesArr.map(w=>{
     const idxSource = (w.segmentIndices && w.segmentIndices.length)? w.segmentIndices : w.indices;
 
     // Couleur dominante (pour badge & start marker)
@@ -673,15 +736,11 @@ function renderWaves(wavesArr){
       waveColor = 'rgb(250 204 21)'; // jaune neutre
     }
 
-    // Tracé
-    for (let idxI=0; idxI<idxSource.length; idxI++){
-      const i = idxSource[idxI];
-      const seg = segments[i]; if (!seg) continue;
-      const coords=[seg.a, seg.b];
-
+    const segColors = idxSource.map((i, idxI)=>{
+      const seg = segments[i];
       // Couleur segment selon mode
       let segColor = waveColor;
-      if (mode===COLOR_MODE.ACCEL && Number.isFinite(seg.accelKmhS)){
+      if (mode===COLOR_MODE.ACCEL && Number.isFinite(seg?.accelKmhS)){
         // map accélération à 0..1 avec tanh pour limiter l’effet des outliers
         const range = Math.max(1e-6, (maxAcc - minAcc));
         const t = clamp((seg.accelKmhS - minAcc)/range, 0, 1);
@@ -703,14 +762,55 @@ function renderWaves(wavesArr){
           const b = Math.round(lerp(38,246,t));
           segColor = `rgb(${r} ${g} ${b})`;
         }
-      } else if (mode===COLOR_MODE.AVG && Number.isFinite(w.avgKmh) && Number.isFinite(minAvg) && Number.isFinite(maxAvg)){
-        segColor = speedToColor(w.avgKmh, minAvg, maxAvg);
       }
+      return segColor;
+    });
+    return { waveColor, segColors };
+  });
+  return { minAvg, maxAvg, colors };
+}
 
-      // Halo + trait coloré
-      L.polyline(coords,{color:'rgba(255,255,255,0.9)',weight:6,opacity:0.75,lineCap:'round'}).addTo(wavesLayerGroup);
-      L.polyline(coords,{color:segColor,weight:4,opacity:0.95,lineCap:'round'}).addTo(wavesLayerGroup);
-    }
+function renderWaves(wavesArr){
+  if (wavesLayerGroup) wavesLayerGroup.clearLayers();
+  if (!wavesArr.length){ updateLegend(NaN,NaN); return; }
+
+  const mode = (colorModeSelect?.value)||COLOR_MODE.AVG;
+  const { minAvg, maxAvg, colors } = computeWaveColors(wavesArr, mode);
+
+  // Légende (vitesse pour AVG/INTRA, rien pour ACCEL)
+  if (mode===COLOR_MODE.ACCEL){
+    updateLegend(NaN,NaN);
+  } else {
+    let cmin=Number.isFinite(minAvg)?minAvg:0;
+    let cmax=Number.isFinite(maxAvg)?maxAvg:(cmin+1);
+    if (Math.abs(cmax-cmin)<1e-3) cmax=cmin+1;
+    updateLegend(cmin,cmax);
+  }
+
+  if (!mapReady||!wavesLayerGroup) return;
+
+  // Tracé : segments consécutifs de même couleur fusionnés, tous dessinés par une seule couche canvas
+  const strokes=[];
+  wavesArr.forEach((w, waveIdx)=>{
+    const idxSource = (w.segmentIndices && w.segmentIndices.length)? w.segmentIndices : w.indices;
+    const { segColors } = colors[waveIdx];
+    let stroke=null, prevIdx=NaN;
+    idxSource.forEach((segIdx, idxI)=>{
+      const seg = segments[segIdx]; if (!seg) return;
+      const color = segColors[idxI];
+      if (stroke && stroke.color===color && segIdx===prevIdx+1) stroke.latlngs.push(seg.b);
+      else { stroke={ latlngs:[seg.a, seg.b], color, waveIdx }; strokes.push(stroke); }
+      prevIdx=segIdx;
+    });
+  });
+  const strokesLayer=waveStrokesLayer(strokes).addTo(wavesLayerGroup);
+  strokesLayer.on('click', e=>{
+    const waveIdx=strokesLayer.waveAt(e.layerPoint);
+    if (waveIdx!=null && !waveEditMode && !shoreDrawing) selectWave(waveIdx, { fit:false });
+  });
+
+  wavesArr.forEach((w, waveIdx)=>{
+    const { waveColor } = colors[waveIdx];
 
     // Marqueurs + popup
     if (w.startPoint){
@@ -726,24 +826,104 @@ function renderWaves(wavesArr){
       });
       marker.addTo(wavesLayerGroup);
     }
+    // Manœuvres : pastille au sommet du virage (flèche = sens de rotation)
+    (w.maneuvers || []).forEach(m=>{
+      if (!m.latlng) return;
+      L.marker(m.latlng,{
+        icon:L.divIcon({ className:'maneuver-marker leaflet-div-icon', iconSize:[0, 0], html:`<span>${MANEUVER_SHORT[m.type]}${m.angleDeg>0?'↻':'↺'}</span>` }),
+        title:`Vague #${waveIdx+1} • ${maneuverLabel(m)}`, interactive:false, keyboard:false
+      }).addTo(wavesLayerGroup);
+    });
   });
 }
 
+// Couche canvas des vagues : un seul objet Leaflet pour tous les tracés colorés (halo blanc puis une passe
+// par couleur) au lieu de deux polylignes par segment. strokes : [{ latlngs, color, waveIdx }].
+let WaveStrokesLayer = null;
+function waveStrokesLayer(strokes){
+  WaveStrokesLayer ??= L.Polyline.extend({
+    options: { weight:4, opacity:0.95, haloColor:'rgba(255,255,255,0.9)', haloWeight:6, haloOpacity:0.75, lineCap:'round', lineJoin:'round' },
+    initialize(strokes, options){
+      this._strokes=strokes;
+      L.Polyline.prototype.initialize.call(this, strokes.map(s=>s.latlngs), options);
+    },
+    // Découpe à l’écran comme L.Polyline (puis simplification par zoom, inchangée), en retenant le tracé
+    // d’origine de chaque morceau : _partStrokes[k] = indice dans _strokes (couleur, vague)
+    _clipPoints(){
+      const bounds=this._renderer._bounds;
+      this._parts=[]; this._partStrokes=[];
+      if (!this._pxBounds || !this._pxBounds.intersects(bounds)) return;
+      this._rings.forEach((ring,i)=>{
+        let part=null;
+        for (let j=0;j<ring.length-1;j++){
+          const seg=L.LineUtil.clipSegment(ring[j], ring[j+1], bounds, j, true);
+          if (!seg) continue;
+          if (!part){ part=[]; this._parts.push(part); this._partStrokes.push(i); }
+          part.push(seg[0]);
+          if (seg[1]!==ring[j+1] || j===ring.length-2){ part.push(seg[1]); part=null; }
+        }
+      });
+    },
+    _updatePath(){
+      const renderer=this._renderer;
+      if (!(renderer instanceof L.Canvas)){ L.Polyline.prototype._updatePath.call(this); return; }
+      if (!renderer._drawing || !this._parts.length) return;
+      const ctx=renderer._ctx, o=this.options;
+      const trace=parts=>{
+        ctx.beginPath();
+        parts.forEach(part=>part.forEach((p,j)=>ctx[j ? 'lineTo' : 'moveTo'](p.x, p.y)));
+      };
+      ctx.setLineDash?.([]);
+      ctx.lineCap=o.lineCap; ctx.lineJoin=o.lineJoin;
+      trace(this._parts);
+      ctx.globalAlpha=o.haloOpacity; ctx.lineWidth=o.haloWeight; ctx.strokeStyle=o.haloColor; ctx.stroke();
+      const byColor=new Map();
+      this._parts.forEach((part,i)=>{
+        const color=this._strokes[this._partStrokes[i]].color;
+        if (!byColor.has(color)) byColor.set(color, []);
+        byColor.get(color).push(part);
+      });
+      ctx.globalAlpha=o.opacity; ctx.lineWidth=o.weight;
+      byColor.forEach((parts, color)=>{ trace(parts); ctx.strokeStyle=color; ctx.stroke(); });
+    },
+    // Vague sous un point de la carte (le dernier tracé dessiné l’emporte), null sinon
+    waveAt(layerPoint){
+      const tolerance=this._clickTolerance();
+      let hit=null;
+      this._parts.forEach((part,i)=>{
+        for (let j=1;j<part.length;j++){
+          if (L.LineUtil.pointToSegmentDistance(layerPoint, part[j-1], part[j])<=tolerance){ hit=this._strokes[this._partStrokes[i]].waveIdx; break; }
+        }
+      });
+      return hit;
+    }
+  });
+  return new WaveStrokesLayer(strokes);
+}
+
 function buildWavePopupHTML(w, num){
   const spark = sparklineSVG(w.speeds || []);
   const avgStr = Number.isFinite(w.avgKmh)?w.avgKmh.toFixed(1):'–';
   return `
     <div>
-      <b>Vague #${num}</b><br/>
+      <b>Vague #${num}</b>${w.locked?' 🔒':''}<br/>
+      Score : ${scoreLabel(w)}${Number.isFinite(w.scoreRank)?` (rang ${w.scoreRank})`:''}${w.category?` • ${w.category}`:''}<br/>
       Début : ${fmtTime(w.startTime)}<br/>
       Distance : ${fmtDistance(w.distM)}<br/>
       Durée : ${fmtDuration(w.durationS)}<br/>
       Vitesse max : ${w.maxKmh.toFixed(1)} km/h<br/>
       Vitesse moy. : ${avgStr} km/h
+      ${w.maneuvers?.length ? `<br/>Manœuvres :<ul class="maneuver-list">${w.maneuvers.map(m=>`<li>${maneuverLabel(m)}</li>`).join('')}</ul>` : ''}
       <div style="margin-top:.35rem">${spark}</div>
     </div>
   `;
 }
+const MANEUVER_SHORT = { 'bottom turn':'BT', cutback:'CB', '360':'360', virage:'V' };
+// « cutback 165° à gauche • 08:03:12 • 24 → 15 km/h »
+function maneuverLabel(m){
+  const side=m.angleDeg>0 ? 'à droite' : 'à gauche';
+  return `${m.type} ${Math.abs(m.angleDeg)}° ${side} • ${fmtTime(m.time)} • ${m.speedInKmh.toFixed(0)} → ${m.speedOutKmh.toFixed(0)} km/h`;
+}
 function sparklineSVG(values){
   if (!values.length) return '';
   const w=160, h=40, pad=4;
@@ -760,16 +940,585 @@ function sparklineSVG(values){
   </svg>`;
 }
 
+// ---- Retouches manuelles -----------
+// Les retouches (BodyboardAnalysis.resizeWave/splitWave/…) sont des plages horaires verrouillées ou
+// supprimées, réappliquées à chaque détection : changer un réglage ne les efface pas.
+function waveSpanOf(w){ return w ? BodyboardAnalysis.waveSpan(points, w) : null; }
+function findWaveBySpan(span){
+  if (!span) return null;
+  const idx=waves.findIndex(w=>{ const s=waveSpanOf(w); return s && s.start<span.end && span.start<s.end; });
+  return idx>=0 ? idx : null;
+}
+function spanFromPoints(startPointIdx, endPointIdx){
+  const start=points[startPointIdx]?.time?.getTime(), end=points[endPointIdx]?.time?.getTime();
+  return Number.isFinite(start) && Number.isFinite(end) && end>start ? { start, end } : null;
+}
+function nearestPointIdx(latlng, lo=0, hi=points.length-1){
+  const k=Math.cos(toRad(latlng.lat));
+  let best=-1, bestD=Infinity;
+  for (let i=Math.max(0,lo); i<=Math.min(hi,points.length-1); i++){
+    const dy=points[i].lat-latlng.lat, dx=(points[i].lon-latlng.lng)*k, d=dx*dx+dy*dy;
+    if (d<bestD){ bestD=d; best=i; }
+  }
+  return best;
+}
+
+function selectWave(idx, { fit=true }={}){
+  selectedWaveIdx = Number.isInteger(idx) && waves[idx] ? idx : null;
+  selectedWaveSpan = waveSpanOf(waves[selectedWaveIdx]);
+  const rows=wavesTableBody.querySelectorAll('tr');
+  rows.forEach(tr=>tr.classList.toggle('selected', Number(tr.dataset.idx)===selectedWaveIdx));
+  if (selectedWaveIdx!=null){
+    wavesTableBody.querySelector(`tr[data-idx="${selectedWaveIdx}"]`)?.scrollIntoView?.({ block:'nearest' });
+    const w=waves[selectedWaveIdx];
+    if (fit && w.bounds && mapReady) map.fitBounds(w.bounds,{padding:[50,50]});
+  }
+  renderEditHandles();
+  updateWaveEditBar();
+  drawSpeedChart();
+}
+// Après une nouvelle détection : on retrouve la vague sélectionnée par sa plage horaire
+function restoreWaveSelection(){
+  selectedWaveIdx=findWaveBySpan(selectedWaveSpan);
+  if (selectedWaveIdx==null) selectedWaveSpan=null;
+}
+async function commitWaveEdits(next, focusSpan=null){
+  waveEdits=next;
+  selectedWaveSpan=focusSpan;
+  await runWaveDetection();
+  selectWave(selectedWaveIdx, { fit:false });
+}
+
+function setWaveEditMode(mode){
+  waveEditMode=mode; drawAnchorIdx=null;
+  if (editLayerGroup) editLayerGroup.eachLayer(l=>{ if (l.options?.drawAnchor) editLayerGroup.removeLayer(l); });
+  if (mapReady) map.getContainer().classList.toggle('editing', Boolean(mode));
+  updateWaveEditBar();
+}
+function updateWaveEditBar(){
+  const loaded=points.length>1;
+  const w=waves[selectedWaveIdx];
+  const hasEdits=waveEdits.locked.length>0 || waveEdits.deleted.length>0 || (waveEdits.confirmed || []).length>0;
+  [waveStartEarlierBtn,waveStartLaterBtn,waveEndEarlierBtn,waveEndLaterBtn,waveDeleteBtn].forEach(btn=>{ if (btn) btn.disabled=!w; });
+  if (waveSplitBtn){ waveSplitBtn.disabled=!w || !mapReady || w.endIdx<=w.startIdx; waveSplitBtn.classList.toggle('active', waveEditMode==='split'); }
+  if (waveMergeBtn) waveMergeBtn.disabled=!w || !waves[selectedWaveIdx+1];
+  if (waveConfirmBtn){ waveConfirmBtn.disabled=!w || w.locked; waveConfirmBtn.classList.toggle('active', Boolean(w?.confirmed)); }
+  if (waveDrawBtn){ waveDrawBtn.disabled=!loaded || !mapReady; waveDrawBtn.classList.toggle('active', waveEditMode==='draw'); }
+  if (waveResetEditsBtn) waveResetEditsBtn.disabled=!loaded || !hasEdits;
+  if (!waveEditHint) return;
+  if (waveEditMode==='split') waveEditHint.textContent='Cliquez sur la vague, à l’endroit de la coupure (Échap pour annuler).';
+  else if (waveEditMode==='draw') waveEditHint.textContent = drawAnchorIdx==null
+    ? 'Cliquez sur la trace au début de la nouvelle vague (Échap pour annuler).'
+    : 'Cliquez maintenant sur la fin de la vague.';
+  else if (w) waveEditHint.textContent=`Vague ${selectedWaveIdx+1}${w.locked?' (retouchée)':w.confirmed?' (validée)':''} : faites glisser les poignées ou utilisez les boutons.`;
+  else waveEditHint.textContent='Sélectionnez une vague (table ou carte) pour la retoucher ; les poignées se déplacent le long de la trace.';
+}
+
+// Bornes admissibles (indices de points) : une vague ne déborde pas sur ses voisines
+function waveEditLimits(idx){
+  const w=waves[idx];
+  return {
+    minStart: waves[idx-1] ? waves[idx-1].endIdx+1 : 0,
+    maxStart: w.endIdx,
+    minEnd: w.startIdx+1,
+    maxEnd: waves[idx+1] ? waves[idx+1].startIdx : points.length-1
+  };
+}
+function resizeSelectedWave(startPointIdx, endPointIdx){
+  const w=waves[selectedWaveIdx]; if (!w) return;
+  const lim=waveEditLimits(selectedWaveIdx);
+  const p=clamp(startPointIdx, lim.minStart, lim.maxStart), q=clamp(endPointIdx, Math.max(lim.minEnd, p+1), lim.maxEnd);
+  const span=spanFromPoints(p, q); if (!span) return;
+  commitWaveEdits(BodyboardAnalysis.resizeWave(waveEdits, waveSpanOf(w), span), span);
+}
+
+function renderEditHandles(){
+  if (!editLayerGroup) return;
+  editLayerGroup.clearLayers();
+  const w=waves[selectedWaveIdx]; if (!w || !mapReady) return;
+  const lim=waveEditLimits(selectedWaveIdx);
+  const outline=L.polyline(points.slice(w.startIdx, w.endIdx+2).map(p=>[p.lat,p.lon]),{color:'#ffffff',weight:10,opacity:0.35,interactive:false}).addTo(editLayerGroup);
+  const preview=(p,q)=>outline.setLatLngs(points.slice(p, q+1).map(pt=>[pt.lat,pt.lon]));
+  const handle=(pointIdx, kind)=>{
+    const marker=L.marker([points[pointIdx].lat, points[pointIdx].lon],{
+      draggable:true, keyboard:false, title:kind==='start'?'Début de la vague':'Fin de la vague',
+      icon:L.divIcon({ className:`wave-handle ${kind}`, iconSize:[14,14] })
+    }).addTo(editLayerGroup);
+    const snap=()=>kind==='start'
+      ? nearestPointIdx(marker.getLatLng(), lim.minStart, lim.maxStart)
+      : nearestPointIdx(marker.getLatLng(), lim.minEnd, lim.maxEnd);
+    marker.on('drag', ()=>{ const i=snap(); if (i>=0) kind==='start' ? preview(i, w.endIdx+1) : preview(w.startIdx, i); });
+    marker.on('dragend', ()=>{
+      const i=snap(); if (i<0) return;
+      if (kind==='start') resizeSelectedWave(i, w.endIdx+1); else resizeSelectedWave(w.startIdx, i);
+    });
+  };
+  handle(w.startIdx, 'start');
+  handle(w.endIdx+1, 'end');
+}
+
+function handleMapEditClick(e){
+  if (!waveEditMode || points.length<2) return;
+  if (waveEditMode==='split'){
+    const w=waves[selectedWaveIdx]; if (!w){ setWaveEditMode(null); return; }
+    const at=nearestPointIdx(e.latlng, w.startIdx+1, w.endIdx);
+    const span=waveSpanOf(w), atMs=points[at]?.time?.getTime();
+    setWaveEditMode(null);
+    if (span && Number.isFinite(atMs)) commitWaveEdits(BodyboardAnalysis.splitWave(waveEdits, span, atMs), { start:span.start, end:atMs });
+  } else if (waveEditMode==='draw'){
+    const i=nearestPointIdx(e.latlng);
+    if (drawAnchorIdx==null){
+      drawAnchorIdx=i;
+      L.circleMarker([points[i].lat,points[i].lon],{ radius:6, color:'#ffffff', weight:2, fillColor:'#4cc9f0', fillOpacity:1, interactive:false, drawAnchor:true }).addTo(editLayerGroup);
+      updateWaveEditBar();
+      return;
+    }
+    const span=spanFromPoints(Math.min(drawAnchorIdx,i), Math.max(drawAnchorIdx,i));
+    setWaveEditMode(null);
+    if (span) commitWaveEdits(BodyboardAnalysis.addWave(waveEdits, span), span);
+  }
+}
+
+function resetWaveEdits(){
+  waveEdits=BodyboardAnalysis.EMPTY_EDITS;
+  selectedWaveIdx=null; selectedWaveSpan=null; waveEditMode=null; drawAnchorIdx=null;
+  if (editLayerGroup) editLayerGroup.clearLayers();
+  if (mapReady) map.getContainer().classList.remove('editing');
+  updateWaveEditBar();
+  autotuneResults=null; renderAutotuneResults();   // étiquettes d’une autre session
+}
+
+const nudgeSelectedWave=(dStart, dEnd)=>{ const w=waves[selectedWaveIdx]; if (w) resizeSelectedWave(w.startIdx+dStart, w.endIdx+1+dEnd); };
+if (waveStartEarlierBtn) waveStartEarlierBtn.addEventListener('click', ()=>nudgeSelectedWave(-1,0));
+if (waveStartLaterBtn) waveStartLaterBtn.addEventListener('click', ()=>nudgeSelectedWave(1,0));
+if (waveEndEarlierBtn) waveEndEarlierBtn.addEventListener('click', ()=>nudgeSelectedWave(0,-1));
+if (waveEndLaterBtn) waveEndLaterBtn.addEventListener('click', ()=>nudgeSelectedWave(0,1));
+if (waveSplitBtn) waveSplitBtn.addEventListener('click', ()=>setWaveEditMode(waveEditMode==='split' ? null : 'split'));
+if (waveDrawBtn) waveDrawBtn.addEventListener('click', ()=>setWaveEditMode(waveEditMode==='draw' ? null : 'draw'));
+if (waveMergeBtn){
+  waveMergeBtn.addEventListener('click', ()=>{
+    const a=waveSpanOf(waves[selectedWaveIdx]), b=waveSpanOf(waves[selectedWaveIdx+1]);
+    if (a && b) commitWaveEdits(BodyboardAnalysis.mergeWaves(waveEdits, a, b), { start:a.start, end:b.end });
+  });
+}
+if (waveConfirmBtn){
+  waveConfirmBtn.addEventListener('click', ()=>{
+    const span=waveSpanOf(waves[selectedWaveIdx]);
+    if (span) commitWaveEdits(BodyboardAnalysis.confirmWave(waveEdits, span), span);
+  });
+}
+if (waveDeleteBtn){
+  waveDeleteBtn.addEventListener('click', ()=>{
+    const span=waveSpanOf(waves[selectedWaveIdx]);
+    if (span) commitWaveEdits(BodyboardAnalysis.deleteWave(waveEdits, span), null);
+  });
+}
+if (waveResetEditsBtn){
+  waveResetEditsBtn.addEventListener('click', ()=>{
+    if (!confirm('Annuler toutes les retouches manuelles de cette session ?')) return;
+    resetWaveEdits(); runWaveDetection();
+  });
+}
+document.addEventListener('keydown', e=>{ if (e.key==='Escape' && waveEditMode) setWaveEditMode(null); });
+if (mapReady) map.on('click', handleMapEditClick);
+
+// ---- Réglage automatique -----------
+// Étiquettes = retouches (BodyboardAutotune.labelsFromEdits) ; chaque candidat relance la détection
+// sans retouches, avec le filtre de sens et le rivage courants.
+let autotuneResults = null;   // { baseline, ranked } de la dernière recherche
+let autotuneRunning = false;
+
+const fmtRatio = v=>Number.isFinite(v) ? `${Math.round(v*100)} %` : '–';
+const fmtTuneParams = p=>`Fenêtre ${p.winSec} s · k ${p.kSigma} · chute ${p.dropPct} %`;
+const fmtTuneScore = sc=>`précision ${fmtRatio(sc.precision)} • rappel ${fmtRatio(sc.recall)}`;
+
+function updateAutotuneUI(){
+  if (!autotuneBtn) return;
+  const { positives, negatives }=BodyboardAutotune.labelsFromEdits(waveEdits);
+  const missing=BodyboardAutotune.missingLabels({ positives, negatives });
+  autotuneBtn.disabled=autotuneRunning || segments.length===0 || Boolean(missing);
+  if (autotuneRunning) return;
+  const labels = positives.length+negatives.length
+    ? `${positives.length} vraie${positives.length>1?'s':''} • ${negatives.length} fausse${negatives.length>1?'s':''}`
+    : '';
+  // Étiquettes d’un seul côté : pas de recherche (ni de « meilleur » réglage affiché), on dit ce qui manque
+  if (missing){ autotuneResults=null; renderAutotuneResults(); }
+  autotuneStatus.textContent = missing ? [labels, missing].filter(Boolean).join('. ')
+    : autotuneResults ? `${labels}. Réglages actuels : ${fmtTuneScore(autotuneResults.baseline.score)}.`
+    : labels;
+}
+function renderAutotuneResults(){
+  if (!autotuneList) return;
+  const top=autotuneResults ? autotuneResults.ranked.slice(0, 5) : [];
+  autotuneList.innerHTML=top.map((c,i)=>`
+    <li><span>${i===0?'★ ':''}${fmtTuneParams(c.params)}</span>
+    <a data-candidate="${i}" title="Appliquer ces réglages">${fmtTuneScore(c.score)} • F1 ${c.score.f1.toFixed(2)}</a></li>`).join('');
+}
+async function runAutotune(){
+  if (autotuneRunning || !segments.length) return;
+  const labels=BodyboardAutotune.labelsFromEdits(waveEdits);
+  autotuneRunning=true; autotuneResults=null; renderAutotuneResults(); updateAutotuneUI();
+  try {
+    // grille complète dans le worker (BodyboardEngine.autotune) : la page reste fluide
+    autotuneResults=await callEngine('autotune', [getDetectionOptions(), labels], (done,total)=>{
+      autotuneStatus.textContent=`Recherche… ${done}/${total} combinaisons`;
+    });
+  } catch (err){ console.error(err); autotuneStatus.textContent=`Recherche impossible : ${err.message}`; }
+  finally { autotuneRunning=false; }
+  renderAutotuneResults();
+  if (autotuneResults) updateAutotuneUI();
+  else autotuneBtn.disabled=false;
+}
+function applyTunedParams(params){
+  if (useAdaptiveToggle) useAdaptiveToggle.checked=true;
+  if (winSecondsInput) winSecondsInput.value=String(params.winSec);
+  if (kSigmaInput) kSigmaInput.value=String(params.kSigma);
+  if (dropPctInput) dropPctInput.value=String(params.dropPct);
+  runWaveDetection();
+}
+if (autotuneBtn) autotuneBtn.addEventListener('click', runAutotune);
+if (autotuneList){
+  autotuneList.addEventListener('click', evt=>{
+    const link=evt.target.closest('a[data-candidate]'); if (!link || !autotuneResults) return;
+    const candidate=autotuneResults.ranked[Number(link.dataset.candidate)];
+    if (candidate) applyTunedParams(candidate.params);
+  });
+}
+
+// ---- Replay de la session ----------
+// Horloge virtuelle (offset depuis le premier point) avancée par requestAnimationFrame × vitesse choisie ;
+// la position du rider est interpolée entre les points (BodyboardAnalysis.pointAtTime).
+let replayOffsetMs = 0;
+let replayPlaying = false;
+let replayActive = false;     // marqueur affiché dès la première lecture / le premier déplacement du curseur
+let replayFrame = null;
+let replayLastTs = null;
+let replayMarker = null;
+let replayWaveLine = null;
+
+const COMPASS_LABELS = ['N','NE','E','SE','S','SO','O','NO'];
+const compassLabel = deg=>COMPASS_LABELS[Math.round(normalizeBearing(deg)/45)%8];
+
+function sessionTimeBounds(){
+  const t0=points[0]?.time?.getTime?.(), t1=points[points.length-1]?.time?.getTime?.();
+  return Number.isFinite(t0) && Number.isFinite(t1) && t1>t0 ? { t0, t1 } : null;
+}
+function updateReplayBounds(){
+  const bounds=sessionTimeBounds();
+  if (replayBar) replayBar.hidden=!bounds;
+  if (!bounds){ resetReplay(); return; }
+  replayScrubber.max=String(bounds.t1-bounds.t0);
+  replayOffsetMs=clamp(replayOffsetMs, 0, bounds.t1-bounds.t0);
+  renderReplayFrame();
+}
+function resetReplay(){
+  pauseReplay();
+  replayOffsetMs=0; replayActive=false;
+  if (replayLayerGroup) replayLayerGroup.clearLayers();
+  replayMarker=null; replayWaveLine=null;
+  if (replayScrubber) replayScrubber.value='0';
+}
+
+function renderReplayFrame(){
+  const bounds=sessionTimeBounds(); if (!bounds || !replayBar) return;
+  const t=bounds.t0+replayOffsetMs;
+  const at=BodyboardAnalysis.pointAtTime(points, segments, t); if (!at) return;
+  const waveIdx=waves.findIndex(w=>at.segIdx>=w.startIdx && at.segIdx<=w.endIdx && !at.gap);
+
+  replayScrubber.value=String(Math.round(replayOffsetMs));
+  replayClock.textContent=`${fmtTime(new Date(t))} (+${fmtDuration(replayOffsetMs/1000)})`;
+  replayLive.textContent = at.gap ? 'Pause'
+    : `${Number.isFinite(at.speedKmh)?at.speedKmh.toFixed(1):'–'} km/h • ${Number.isFinite(at.bearingDeg)?`${Math.round(at.bearingDeg)}° ${compassLabel(at.bearingDeg)}`:'–'}`;
+  replayWave.textContent = waveIdx>=0 ? `Vague ${waveIdx+1}` : '';
+
+  if (!mapReady || !replayLayerGroup || !replayActive) return;
+  const latlng=[at.lat, at.lon];
+  if (!replayMarker){
+    replayMarker=L.circleMarker(latlng,{ radius:7, color:'#4cc9f0', weight:3, fillColor:'#ffffff', fillOpacity:1, interactive:false }).addTo(replayLayerGroup);
+  } else replayMarker.setLatLng(latlng);
+
+  const w=waves[waveIdx];
+  if (w){
+    const line=points.slice(w.startIdx, w.endIdx+2).map(p=>[p.lat,p.lon]);
+    if (!replayWaveLine) replayWaveLine=L.polyline(line,{ color:'#ffffff', weight:10, opacity:0.45, lineCap:'round', interactive:false }).addTo(replayLayerGroup);
+    else replayWaveLine.setLatLngs(line);
+    replayMarker.bringToFront();
+  } else if (replayWaveLine){ replayLayerGroup.removeLayer(replayWaveLine); replayWaveLine=null; }
+
+  // suivi : on recadre quand le rider sort de la zone visible
+  if (replayPlaying && !map.getBounds().pad(-0.1).contains(latlng)) map.panTo(latlng,{ animate:false });
+}
+
+function replayStep(ts){
+  if (!replayPlaying) return;
+  const bounds=sessionTimeBounds(); if (!bounds){ pauseReplay(); return; }
+  if (replayLastTs!=null) replayOffsetMs+=(ts-replayLastTs)*(parseFloat(replaySpeedSelect.value) || 1);
+  replayLastTs=ts;
+  const end=bounds.t1-bounds.t0;
+  if (replayOffsetMs>=end){ replayOffsetMs=end; renderReplayFrame(); pauseReplay(); return; }
+  renderReplayFrame();
+  replayFrame=requestAnimationFrame(replayStep);
+}
+function playReplay(){
+  const bounds=sessionTimeBounds(); if (!bounds || replayPlaying) return;
+  if (replayOffsetMs>=bounds.t1-bounds.t0) replayOffsetMs=0;
+  replayPlaying=true; replayActive=true; replayLastTs=null;
+  replayPlayBtn.textContent='❚❚'; replayPlayBtn.setAttribute('aria-label','Pause');
+  renderReplayFrame();
+  replayFrame=requestAnimationFrame(replayStep);
+}
+function pauseReplay(){
+  replayPlaying=false; replayLastTs=null;
+  if (replayFrame!=null) cancelAnimationFrame(replayFrame);
+  replayFrame=null;
+  if (replayPlayBtn){ replayPlayBtn.textContent='▶'; replayPlayBtn.setAttribute('aria-label','Lecture'); }
+}
+// Depuis la table : début de la vague, puis lecture
+function replayFromWave(idx){
+  const bounds=sessionTimeBounds(), w=waves[idx];
+  const start=points[w?.startIdx]?.time?.getTime?.();
+  if (!bounds || !Number.isFinite(start)) return;
+  replayOffsetMs=clamp(start-bounds.t0, 0, bounds.t1-bounds.t0);
+  replayActive=true;
+  if (mapReady) map.panTo([points[w.startIdx].lat, points[w.startIdx].lon]);
+  renderReplayFrame();
+  playReplay();
+}
+
+if (replayPlayBtn) replayPlayBtn.addEventListener('click', ()=>{ if (replayPlaying) pauseReplay(); else playReplay(); });
+// Frise d’activité : clic → replay placé à cet instant
+activityTimeline.addEventListener('click', (evt)=>{
+  const bounds=sessionTimeBounds(); if (!bounds) return;
+  const rect=activityTimeline.getBoundingClientRect(); if (!rect.width) return;
+  replayOffsetMs=clamp((evt.clientX-rect.left)/rect.width, 0, 1)*(bounds.t1-bounds.t0);
+  replayActive=true; replayLastTs=null;
+  renderReplayFrame();
+});
+if (replayScrubber){
+  replayScrubber.addEventListener('input', ()=>{
+    replayOffsetMs=parseFloat(replayScrubber.value) || 0;
+    replayActive=true; replayLastTs=null;
+    renderReplayFrame();
+  });
+}
+
+// ---- Graphique de vitesse ----------
+// Toute la session sous la carte : vitesse par segment, seuil de base, courbe adaptative (médiane + k·σ,
+// calculée avec la détection : result.adaptiveKmh), vagues ombrées. Survol → position sur la carte ; glisser → zoom ; clic → sélection.
+const CHART_PAD = { l:36, r:10, t:8, b:18 };
+const CHART_MIN_SPAN_MS = 5000;
+const CHART_MIN_HEIGHT = 110;
+
+let chartData = null;    // { t:[ms milieu de segment], v, adaptive, gap, base, t0, t1 }
+let chartView = null;    // { t0, t1 } fenêtre affichée (zoom)
+let chartBrush = null;   // { x0, x1 } sélection en cours (px)
+let chartHoverT = null;
+let chartHoverMarker = null;
+
+function buildSpeedChartData(options, adaptiveKmh){
+  if (!segments.length || points.length<2) return null;
+  const t=[], v=[], adaptive=[], gap=[];
+  let t0=Infinity, t1=-Infinity;
+  segments.forEach((s,i)=>{
+    // point sans horodatage (trkpt GPX sans <time>) : segment traité comme une coupure
+    const a=timeMs(points[i]), b=timeMs(points[i+1]), cut=Boolean(s.gap) || !Number.isFinite(a) || !Number.isFinite(b);
+    t.push((a+b)/2);
+    v.push(cut ? NaN : s.speedKmh);
+    adaptive.push(!cut && Number.isFinite(adaptiveKmh?.[i]) ? adaptiveKmh[i] : NaN);
+    gap.push(cut);
+    if (!cut){ t0=Math.min(t0, a); t1=Math.max(t1, b); }
+  });
+  if (!(t1>t0)) return null;
+  return { t, v, adaptive, gap, base:options.baseThresholdKmh, t0, t1 };
+}
+function updateSpeedChart(options, adaptiveKmh){
+  if (!speedChartPanel) return;
+  chartData=buildSpeedChartData(options, adaptiveKmh);
+  const visible=Boolean(chartData);
+  if (speedChartPanel.hidden===visible){
+    speedChartPanel.hidden=!visible;
+    if (mapReady) map.invalidateSize();
+  }
+  if (!chartData){ chartView=null; return; }
+  if (!chartView || chartView.t0<chartData.t0 || chartView.t1>chartData.t1) chartView={ t0:chartData.t0, t1:chartData.t1 };
+  drawSpeedChart();
+}
+function resetSpeedChart(){
+  chartData=null; chartView=null; chartBrush=null; chartHoverT=null;
+  if (chartHoverMarker && mapReady) map.removeLayer(chartHoverMarker);
+  chartHoverMarker=null;
+  if (chartReadout) chartReadout.textContent='';
+  if (speedChartPanel && !speedChartPanel.hidden){ speedChartPanel.hidden=true; if (mapReady) map.invalidateSize(); }
+}
+
+function chartScales(){
+  const W=speedChartCanvas.clientWidth, H=speedChartCanvas.clientHeight;
+  const { t0, t1 }=chartView;
+  let vMax=Number.isFinite(chartData.base) ? chartData.base*1.2 : 10;
+  chartData.t.forEach((t,i)=>{ if (t>=t0 && t<=t1 && chartData.v[i]>vMax) vMax=chartData.v[i]; });
+  vMax=Math.ceil(vMax*1.05/5)*5;
+  const x=t=>CHART_PAD.l+(W-CHART_PAD.l-CHART_PAD.r)*(t-t0)/Math.max(1,t1-t0);
+  const y=v=>H-CHART_PAD.b-(H-CHART_PAD.t-CHART_PAD.b)*clamp(v/vMax,0,1);
+  const tAt=px=>t0+(clamp(px,CHART_PAD.l,W-CHART_PAD.r)-CHART_PAD.l)/Math.max(1,W-CHART_PAD.l-CHART_PAD.r)*(t1-t0);
+  return { W, H, vMax, x, y, tAt };
+}
+
+function drawSpeedChart(){
+  if (!speedChartCanvas || !chartData || !chartView || speedChartPanel.hidden) return;
+  const ctx=speedChartCanvas.getContext('2d'); if (!ctx) return;
+  const dpr=window.devicePixelRatio || 1;
+  const { W, H, vMax, x, y }=chartScales();
+  if (!(W>0 && H>0)) return;
+  speedChartCanvas.width=Math.round(W*dpr); speedChartCanvas.height=Math.round(H*dpr);
+  ctx.setTransform(dpr,0,0,dpr,0,0);
+  ctx.clearRect(0,0,W,H);
+  const { t0, t1 }=chartView;
+  const bottom=H-CHART_PAD.b;
+
+  // vagues
+  waves.forEach((w,i)=>{
+    const a=points[w.startIdx]?.time?.getTime(), b=points[w.endIdx+1]?.time?.getTime();
+    if (!(b>=t0 && a<=t1)) return;
+    ctx.fillStyle = i===selectedWaveIdx ? 'rgba(76,201,240,0.35)' : 'rgba(76,201,240,0.15)';
+    ctx.fillRect(x(a), CHART_PAD.t, Math.max(1,x(b)-x(a)), bottom-CHART_PAD.t);
+  });
+
+  // graduations
+  ctx.font='10px system-ui, sans-serif'; ctx.fillStyle='#9da7b3'; ctx.strokeStyle='rgba(255,255,255,0.07)'; ctx.lineWidth=1;
+  const step=vMax>40 ? 10 : 5;
+  ctx.textAlign='right'; ctx.textBaseline='middle';
+  for (let v=0; v<=vMax; v+=step){
+    ctx.beginPath(); ctx.moveTo(CHART_PAD.l, y(v)); ctx.lineTo(W-CHART_PAD.r, y(v)); ctx.stroke();
+    ctx.fillText(String(v), CHART_PAD.l-4, y(v));
+  }
+  ctx.textBaseline='alphabetic';
+  ctx.textAlign='left'; ctx.fillText(fmtTime(new Date(t0)), CHART_PAD.l, H-4);
+  ctx.textAlign='right'; ctx.fillText(fmtTime(new Date(t1)), W-CHART_PAD.r, H-4);
+
+  // courbes (coupées aux gaps et aux valeurs absentes)
+  const curve=(values, style, width, dash=[])=>{
+    ctx.strokeStyle=style; ctx.lineWidth=width; ctx.setLineDash(dash);
+    ctx.beginPath();
+    let pen=false;
+    chartData.t.forEach((t,i)=>{
+      const v=values[i];
+      if (t<t0 || t>t1 || chartData.gap[i] || !Number.isFinite(v)){ pen=false; return; }
+      if (pen) ctx.lineTo(x(t), y(v)); else { ctx.moveTo(x(t), y(v)); pen=true; }
+    });
+    ctx.stroke(); ctx.setLineDash([]);
+  };
+  curve(chartData.v, '#e6edf3', 1.2);
+  curve(chartData.adaptive, '#fbbf24', 1.2, [4,3]);
+  if (Number.isFinite(chartData.base)){
+    ctx.strokeStyle='#f87171'; ctx.lineWidth=1.2; ctx.setLineDash([6,4]);
+    ctx.beginPath(); ctx.moveTo(CHART_PAD.l, y(chartData.base)); ctx.lineTo(W-CHART_PAD.r, y(chartData.base)); ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  if (chartBrush){
+    ctx.fillStyle='rgba(255,255,255,0.12)';
+    ctx.fillRect(Math.min(chartBrush.x0,chartBrush.x1), CHART_PAD.t, Math.abs(chartBrush.x1-chartBrush.x0), bottom-CHART_PAD.t);
+  }
+  if (Number.isFinite(chartHoverT) && chartHoverT>=t0 && chartHoverT<=t1){
+    ctx.strokeStyle='rgba(255,255,255,0.6)'; ctx.lineWidth=1;
+    ctx.beginPath(); ctx.moveTo(x(chartHoverT), CHART_PAD.t); ctx.lineTo(x(chartHoverT), bottom); ctx.stroke();
+  }
+  if (chartResetZoomBtn) chartResetZoomBtn.disabled = chartView.t0===chartData.t0 && chartView.t1===chartData.t1;
+}
+
+function waveIndexAtTime(t){
+  return waves.findIndex(w=>{
+    const a=points[w.startIdx]?.time?.getTime(), b=points[w.endIdx+1]?.time?.getTime();
+    return t>=a && t<=b;
+  });
+}
+function chartEventX(e){ return e.clientX-speedChartCanvas.getBoundingClientRect().left; }
+function updateChartHover(t){
+  chartHoverT=t;
+  const at=BodyboardAnalysis.pointAtTime(points, segments, t);
+  if (!at){ return; }
+  if (mapReady){
+    if (!chartHoverMarker) chartHoverMarker=L.circleMarker([at.lat,at.lon],{ radius:6, color:'#ffffff', weight:2, fillColor:'#fbbf24', fillOpacity:1, interactive:false }).addTo(map);
+    else chartHoverMarker.setLatLng([at.lat,at.lon]);
+  }
+  const adaptive=chartData.adaptive[at.segIdx];
+  const threshold=Number.isFinite(adaptive) ? Math.max(chartData.base, adaptive) : chartData.base;
+  const waveIdx=waveIndexAtTime(t);
+  if (chartReadout){
+    chartReadout.textContent = at.gap ? `${fmtTime(new Date(t))} • coupure`
+      : `${fmtTime(new Date(t))} • ${Number.isFinite(at.speedKmh)?at.speedKmh.toFixed(1):'–'} km/h • seuil ${Number.isFinite(threshold)?threshold.toFixed(1):'–'} km/h${waveIdx>=0?` • vague ${waveIdx+1}`:''}`;
+  }
+}
+function clearChartHover(){
+  chartHoverT=null;
+  if (chartHoverMarker && mapReady) map.removeLayer(chartHoverMarker);
+  chartHoverMarker=null;
+  if (chartReadout) chartReadout.textContent='';
+}
+
+if (speedChartCanvas){
+  speedChartCanvas.addEventListener('mousedown', e=>{
+    if (!chartData || e.button!==0) return;
+    const px=chartEventX(e); chartBrush={ x0:px, x1:px };
+  });
+  speedChartCanvas.addEventListener('mousemove', e=>{
+    if (!chartData) return;
+    const px=chartEventX(e);
+    if (chartBrush) chartBrush.x1=px;
+    updateChartHover(chartScales().tAt(px));
+    drawSpeedChart();
+  });
+  speedChartCanvas.addEventListener('mouseleave', ()=>{ chartBrush=null; clearChartHover(); drawSpeedChart(); });
+  speedChartCanvas.addEventListener('mouseup', e=>{
+    if (!chartData || !chartBrush) return;
+    const { tAt }=chartScales();
+    const brush=chartBrush; chartBrush=null;
+    if (Math.abs(brush.x1-brush.x0)>5){
+      let a=tAt(Math.min(brush.x0,brush.x1)), b=tAt(Math.max(brush.x0,brush.x1));
+      if (b-a<CHART_MIN_SPAN_MS){ const mid=(a+b)/2; a=mid-CHART_MIN_SPAN_MS/2; b=mid+CHART_MIN_SPAN_MS/2; }
+      chartView={ t0:Math.max(chartData.t0,a), t1:Math.min(chartData.t1,b) };
+      drawSpeedChart();
+    } else {
+      const idx=waveIndexAtTime(tAt(chartEventX(e)));
+      if (idx>=0) selectWave(idx); else drawSpeedChart();
+    }
+  });
+  speedChartCanvas.addEventListener('dblclick', ()=>{ if (!chartData) return; chartView={ t0:chartData.t0, t1:chartData.t1 }; drawSpeedChart(); });
+}
+if (chartResetZoomBtn) chartResetZoomBtn.addEventListener('click', ()=>{ if (!chartData) return; chartView={ t0:chartData.t0, t1:chartData.t1 }; drawSpeedChart(); });
+
+// Poignée de redimensionnement (hauteur du graphique, la carte prend le reste)
+if (chartResizer && speedChartPanel){
+  chartResizer.addEventListener('pointerdown', e=>{
+    e.preventDefault();
+    const startY=e.clientY, startH=speedChartPanel.offsetHeight;
+    const maxH=()=>Math.max(CHART_MIN_HEIGHT, speedChartPanel.parentElement.clientHeight-200);
+    const move=ev=>{
+      speedChartPanel.style.height=`${clamp(startH+(startY-ev.clientY), CHART_MIN_HEIGHT, maxH())}px`;
+      drawSpeedChart();
+    };
+    const up=()=>{
+      window.removeEventListener('pointermove', move); window.removeEventListener('pointerup', up);
+      if (mapReady) map.invalidateSize();
+    };
+    window.addEventListener('pointermove', move); window.addEventListener('pointerup', up);
+  });
+}
+window.addEventListener('resize', drawSpeedChart);
+
 // ---- Direction UI ------------------
 function getDirectionSettings(){
   if (!directionToggle || !directionAngleInput || !directionToleranceInput){
     return { enabled:false, direction:0, tolerance:DEFAULT_DIRECTION_TOLERANCE, stdMax:25 };
   }
   const enabled = !directionToggle.disabled && Boolean(directionToggle.checked);
-  let direction=parseFloat(directionAngleInput.value); if (!Number.isFinite(direction)) direction=0; direction=normalizeBearing(direction);
+  // 'shore' seulement si un rivage est chargé (lu après le select : shoreFrame n’existe pas encore à l’init)
+  const reference = directionReferenceSelect?.value==='shore' && shoreFrame ? 'shore' : 'compass';
+  let direction=parseFloat(directionAngleInput.value); if (!Number.isFinite(direction)) direction=0;
+  direction = reference==='shore' ? BodyboardShore.signedAngle(0, direction) : normalizeBearing(direction);
   let tolerance=parseFloat(directionToleranceInput.value); if (!Number.isFinite(tolerance)) tolerance=DEFAULT_DIRECTION_TOLERANCE; tolerance=clamp(tolerance,0,180);
   let stdMax=parseFloat(dirStdMaxInput.value); if (!Number.isFinite(stdMax)) stdMax=25; stdMax=clamp(stdMax,0,180);
-  return { enabled, direction, tolerance, stdMax };
+  return { enabled, direction, tolerance, stdMax, reference };
 }
 function updateDirectionInputsState(){
   if (!directionToggle || !directionAngleInput || !directionToleranceInput || !dirStdMaxInput) return;
@@ -778,63 +1527,911 @@ function updateDirectionInputsState(){
   directionAngleInput.disabled = toggleDisabled || !active;
   directionToleranceInput.disabled = toggleDisabled || !active;
   dirStdMaxInput.disabled = toggleDisabled || !active;
+  if (directionReferenceSelect) directionReferenceSelect.disabled = toggleDisabled || !active;
+}
+
+// Cône direction visée ± tolérance, centré sur les départs de vagues ; la poignée au bout de la flèche
+// fait tourner la direction (détection relancée au relâchement).
+let directionModes = [];   // sens dominants estimés sur les vagues avant filtre de sens
+
+function offsetLatLng([lat,lon], bearingDeg, distM){
+  const b=toRad(bearingDeg);
+  return [lat+distM*Math.cos(b)/111320, lon+distM*Math.sin(b)/(111320*Math.cos(toRad(lat)))];
+}
+function directionAnchor(){
+  const starts=waves.map(w=>w.startPoint).filter(Boolean);
+  const center = starts.length
+    ? [starts.reduce((a,p)=>a+p[0],0)/starts.length, starts.reduce((a,p)=>a+p[1],0)/starts.length]
+    : trackBounds ? [trackBounds.getCenter().lat, trackBounds.getCenter().lng] : null;
+  const radiusM = trackBounds ? clamp(map.distance(trackBounds.getSouthWest(), trackBounds.getNorthEast())*0.3, 40, 600) : 100;
+  return center ? { center, radiusM } : null;
+}
+// Cap de la direction visée ; en référence rivage, relatif à la normale au centre du cône
+function coneBearing(center, settings){
+  return settings.reference==='shore' ? shoreFrame.locate(center[0], center[1]).normalBearingDeg+settings.direction : settings.direction;
+}
+function drawDirectionCone(center, radiusM, settings){
+  if (directionCone) directionLayerGroup.removeLayer(directionCone);
+  const tol=settings.tolerance, steps=Math.max(2, Math.ceil(tol/5)*2), bearing=coneBearing(center, settings);
+  const arc=[];
+  for (let k=0;k<=steps;k++) arc.push(offsetLatLng(center, bearing-tol+2*tol*k/steps, radiusM));
+  const tip=offsetLatLng(center, bearing, radiusM);
+  const head=[offsetLatLng(tip, bearing+150, radiusM*0.15), tip, offsetLatLng(tip, bearing-150, radiusM*0.15)];
+  const style={ color:'#4cc9f0', weight:3, interactive:false };
+  directionCone=L.layerGroup([
+    L.polygon(tol>=180 ? arc : [center, ...arc], { ...style, weight:1, fillColor:'#4cc9f0', fillOpacity:0.12 }),
+    L.polyline([center, tip], style),
+    L.polyline(head, style)
+  ]).addTo(directionLayerGroup);
+}
+function updateDirectionVisual(settings=getDirectionSettings()){
+  if (!directionLayerGroup){ return; }
+  directionLayerGroup.clearLayers(); directionCone=null;
+  // (appelée dès l’init, filtre désactivé : on sort avant de lire l’état de session)
+  if (!settings.enabled || !mapReady || !segments.length) return;
+  const anchor=directionAnchor(); if (!anchor) return;
+  const { center, radiusM }=anchor;
+  drawDirectionCone(center, radiusM, settings);
+
+  const handle=L.marker(offsetLatLng(center, coneBearing(center, settings), radiusM), {
+    draggable:true, keyboard:false, title:'Glisser pour tourner la direction visée',
+    icon:L.divIcon({ className:'direction-handle', iconSize:[18,18] })
+  }).addTo(directionLayerGroup);
+  handle.on('drag', ()=>{
+    const ll=handle.getLatLng();
+    const bearing=BodyboardAnalysis.bearingDegrees({ lat:center[0], lon:center[1] }, { lat:ll.lat, lon:ll.lng });
+    const value=settings.reference==='shore' ? BodyboardShore.signedAngle(shoreFrame.locate(center[0], center[1]).normalBearingDeg, bearing) : bearing;
+    directionAngleInput.value=String(Math.round(value));
+    drawDirectionCone(center, radiusM, getDirectionSettings());
+  });
+  handle.on('dragend', ()=>runWaveDetection());
+}
+function renderDirectionSuggestions(){
+  if (!directionSuggest) return;
+  if (!directionModes.length){ directionSuggest.innerHTML=''; return; }
+  directionSuggest.innerHTML=`<span>Sens dominant${directionModes.length>1?'s':''} :</span> `+directionModes.map((m,i)=>
+    `<button type="button" data-mode="${i}" title="Filtrer sur ${m.directionDeg}° ± ${m.toleranceDeg}° (${m.waveCount} vague${m.waveCount>1?'s':''})">`
+    +`${m.directionDeg}° ${compassLabel(m.directionDeg)} · ${Math.round(m.share*100)} %</button>`).join(' ');
+}
+if (directionSuggest){
+  directionSuggest.addEventListener('click', (evt)=>{
+    const mode=directionModes[Number(evt.target.closest('button[data-mode]')?.dataset.mode)];
+    if (!mode || !directionToggle || directionToggle.disabled) return;
+    directionToggle.checked=true;
+    if (directionReferenceSelect) directionReferenceSelect.value='compass';   // sens estimés en cap boussole
+    directionAngleInput.value=String(mode.directionDeg);
+    directionToleranceInput.value=String(mode.toleranceDeg);
+    updateDirectionInputsState();
+    runWaveDetection();
+  });
 }
-function updateDirectionVisual(){ if (!directionLayerGroup){ return; } directionLayerGroup.clearLayers(); }
 function initializeDirectionUI(){
   if (directionAngleInput) directionAngleInput.value='0';
   if (directionToleranceInput) directionToleranceInput.value=String(DEFAULT_DIRECTION_TOLERANCE);
   if (dirStdMaxInput) dirStdMaxInput.value='25';
   if (directionToggle) directionToggle.checked=false;
+  if (directionReferenceSelect) directionReferenceSelect.value='compass';
   updateDirectionInputsState(); updateDirectionVisual();
 }
 
-// ---- Export GPX --------------------
+// ---- Rivage (trait de côte) --------
+// Une polyligne par spot (store `spots` de la bibliothèque) ; tant que la session n’a pas de spot,
+// le rivage tracé/importé reste en mémoire et sera rattaché au spot dès qu’il est renseigné.
+let shoreline = null;      // [[lat, lon], …]
+let shoreFrame = null;     // BodyboardShore.createShoreFrame(shoreline)
+let shoreSaved = false;    // enregistré pour le spot de la session
+let shoreDrawing = null;   // tracé en cours : [[lat, lon], …] ; null hors tracé
+
+const currentSpotName = ()=>String(libraryRecords.find(r=>r.id===currentSessionId)?.spot || '').trim();
+
+function setShoreline(line, { saved=false }={}){
+  shoreline=line ? BodyboardShore.normalizeShoreline(line) : null;
+  shoreFrame=shoreline ? BodyboardShore.createShoreFrame(shoreline) : null;
+  callEngine('setShoreline', [shoreline]);
+  shoreSaved=Boolean(shoreline) && saved;
+  const shoreOption=directionReferenceSelect?.querySelector('option[value=shore]');
+  if (shoreOption) shoreOption.disabled=!shoreFrame;
+  if (!shoreFrame && directionReferenceSelect) directionReferenceSelect.value='compass';
+  renderShoreline();
+  updateShoreUI();
+}
+function renderShoreline(){
+  if (!shoreLayerGroup) return;
+  shoreLayerGroup.clearLayers();
+  const line=shoreDrawing || shoreline; if (!line?.length) return;
+  L.polyline(line, { color:'#d6b67a', weight:3, dashArray:'8 6', interactive:false }).addTo(shoreLayerGroup);
+  if (shoreDrawing) line.forEach(p=>L.circleMarker(p, { radius:4, color:'#d6b67a', weight:2, fillColor:'#0c1320', fillOpacity:1, interactive:false }).addTo(shoreLayerGroup));
+}
+function updateShoreUI(){
+  const loaded=points.length>1, spot=currentSpotName();
+  if (shoreDrawBtn){ shoreDrawBtn.disabled=!loaded || !mapReady; shoreDrawBtn.classList.toggle('active', Boolean(shoreDrawing)); }
+  if (shoreImportBtn) shoreImportBtn.disabled=!loaded;
+  if (shoreExportBtn) shoreExportBtn.disabled=!shoreline;
+  if (shoreDeleteBtn) shoreDeleteBtn.disabled=!shoreline;
+  if (!shoreStatus) return;
+  if (shoreDrawing) shoreStatus.textContent='Cliquez le long du bord (côté plage) ; double-clic ou Entrée pour terminer, Échap pour annuler.';
+  else if (!shoreline) shoreStatus.textContent='Aucun rivage : tracez-le sur la carte ou importez une ligne GeoJSON.';
+  else if (shoreSaved) shoreStatus.textContent=`Rivage du spot « ${spot} » (${shoreline.length} points).`;
+  else shoreStatus.textContent=`Rivage non enregistré (${shoreline.length} points) : renseignez le spot de la session dans la bibliothèque.`;
+}
+
+async function persistShoreline(){
+  const spot=currentSpotName();
+  if (!library || !spot){ shoreSaved=false; updateShoreUI(); return; }
+  try {
+    await library.putSpot(spot, { shoreline });
+    shoreSaved=Boolean(shoreline);
+  } catch (err){ console.error(err); setLibraryStatus(`Rivage non enregistré : ${err.message}`); }
+  updateShoreUI();
+}
+// Session ouverte ou spot renommé : rivage du spot s’il existe, sinon on y rattache le rivage en mémoire
+async function syncSpotShoreline(){
+  const spot=currentSpotName();
+  if (!library || !spot){ shoreSaved=false; updateShoreUI(); return; }
+  try {
+    const record=await library.getSpot(spot);
+    if (record?.shoreline){ setShoreline(record.shoreline, { saved:true }); runWaveDetection(); }
+    else if (shoreline) await persistShoreline();
+    else updateShoreUI();
+  } catch (err){ console.error(err); }
+}
+function applyShoreline(line){
+  setShoreline(line);
+  persistShoreline();
+  runWaveDetection();
+}
+
+function startShoreDrawing(){
+  if (!mapReady || points.length<2) return;
+  setWaveEditMode(null);
+  shoreDrawing=[];
+  map.doubleClickZoom.disable();
+  map.getContainer().classList.add('editing');
+  renderShoreline(); updateShoreUI();
+}
+function stopShoreDrawing(commit){
+  if (!shoreDrawing) return;
+  // le double-clic de fin ajoute aussi deux clics : on retire les sommets confondus
+  const line=shoreDrawing.filter((p,i,arr)=>i===0 || map.distance(p, arr[i-1])>0.5);
+  shoreDrawing=null;
+  map.doubleClickZoom.enable();
+  map.getContainer().classList.toggle('editing', Boolean(waveEditMode));
+  if (commit && line.length>=2) applyShoreline(line);
+  else { renderShoreline(); updateShoreUI(); }
+}
+if (mapReady){
+  map.on('click', e=>{ if (!shoreDrawing) return; shoreDrawing.push([e.latlng.lat, e.latlng.lng]); renderShoreline(); });
+  map.on('dblclick', ()=>stopShoreDrawing(true));
+}
+document.addEventListener('keydown', e=>{
+  if (!shoreDrawing) return;
+  if (e.key==='Escape') stopShoreDrawing(false);
+  else if (e.key==='Enter') stopShoreDrawing(true);
+});
+
+if (shoreDrawBtn) shoreDrawBtn.addEventListener('click', ()=>{ if (shoreDrawing) stopShoreDrawing(true); else startShoreDrawing(); });
+if (shoreImportBtn && shoreImportInput){
+  shoreImportBtn.addEventListener('click', ()=>shoreImportInput.click());
+  shoreImportInput.addEventListener('change', async e=>{
+    const file=e.target.files?.[0]; if (!file) return;
+    try { applyShoreline(BodyboardShore.parseShorelineGeoJSON(await file.text())); }
+    catch (err){ alert('Rivage illisible : '+err.message); console.error(err); }
+    finally { shoreImportInput.value=''; }
+  });
+}
+if (shoreExportBtn){
+  shoreExportBtn.addEventListener('click', ()=>{
+    if (!shoreline) return;
+    const spot=currentSpotName();
+    const slug=(spot || 'session').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[^a-z0-9]+/g,'-').replace(/^-|-$/g,'');
+    downloadFile(BodyboardShore.shorelineToGeoJSON(shoreline, spot ? { spot } : {}), 'application/geo+json', `rivage_${slug || 'session'}.geojson`);
+  });
+}
+if (shoreDeleteBtn){
+  shoreDeleteBtn.addEventListener('click', ()=>{
+    if (!shoreline || !confirm('Supprimer le rivage de ce spot ?')) return;
+    applyShoreline(null);
+  });
+}
+if (directionReferenceSelect) directionReferenceSelect.addEventListener('change', ()=>{
+  if (directionReferenceSelect.disabled) return;
+  directionAngleInput.value='0';   // 0 = cap du rivage (face à la plage) ou nord : on repart d’une valeur neutre
+  runWaveDetection();
+});
+
+// ---- Export (GPX, CSV, GeoJSON, KML/KMZ) -----
+const EXPORT_HINTS = {
+  gpx:'Trace complète avec vitesse et n° de vague par point, départs en waypoints et vagues en <code>&lt;trk&gt;</code> séparés. Réimporté ici, il restaure les vagues et les réglages.',
+  csv:'Une ligne par vague, avec toutes les colonnes du tableau (direction, type, rivage, attente, rame).',
+  geojson:'FeatureCollection : la trace complète puis une LineString par vague portant toutes ses mesures.',
+  kml:'Vagues colorées selon le mode de couleur choisi (panneau 3), lisible dans Google Earth.',
+  kmz:'Même contenu que le KML, dans une archive .kmz.'
+};
+exportFormatSelect?.addEventListener('change', ()=>{ if (exportHint) exportHint.innerHTML=EXPORT_HINTS[exportFormatSelect.value] || ''; });
+
 exportBtn.addEventListener('click', ()=>{
   if (!points.length) return;
-  const gpx=buildGPX(points,waves);
-  const blob=new Blob([gpx],{type:'application/gpx+xml'});
+  const format=exportFormatSelect?.value || 'gpx';
+  const base=`session_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}`;
+  const { WAVE_COLUMNS, waveRecords, toCSV, sessionToGPX, sessionToGeoJSON, sessionToKML, kmz } = BodyboardExport;
+  if (format==='gpx'){
+    const gpx=sessionToGPX(rawPoints, points, segments, waves, { options:getDetectionOptions(), edits:waveEdits, name:currentSpotName() || 'Bodyboard Session' });
+    downloadFile(gpx, 'application/gpx+xml', `${base}.gpx`);
+    return;
+  }
+
+  const settings=getDirectionSettings();
+  const deltaKey=settings?.reference==='shore' ? 'shoreAngleDeg' : 'directionDeg';
+  const records=waveRecords(points, waves, {
+    timings:activity?.perWave,
+    deltaDeg:settings?.enabled && Number.isFinite(settings.direction)
+      ? w=>Number.isFinite(w[deltaKey]) ? angularDifference(w[deltaKey], settings.direction) : NaN
+      : null
+  });
+  const name=currentSpotName() || 'Session bodyboard';
+  if (format==='csv') downloadFile(toCSV(records, WAVE_COLUMNS), 'text/csv', `${base}_vagues.csv`);
+  else if (format==='geojson') downloadFile(sessionToGeoJSON(points, waves, records, { name }), 'application/geo+json', `${base}.geojson`);
+  else {
+    const kml=sessionToKML(points, waves, records, { name, colors:computeWaveColors(waves, colorModeSelect?.value || COLOR_MODE.AVG).colors });
+    if (format==='kml') downloadFile(kml, 'application/vnd.google-earth.kml+xml', `${base}.kml`);
+    else downloadFile(kmz(kml), 'application/vnd.google-earth.kmz', `${base}.kmz`);
+  }
+});
+function downloadFile(content, type, fileName){
+  const blob=new Blob([content],{type});
   const url=URL.createObjectURL(blob);
-  const a=document.createElement('a'); a.href=url;
-  a.download=`session_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.gpx`;
+  const a=document.createElement('a'); a.href=url; a.download=fileName;
   document.body.appendChild(a); a.click(); URL.revokeObjectURL(url); a.remove();
+}
+// ---- Bibliothèque (IndexedDB) ------
+// Chaque import est enregistré ; une nouvelle détection met à jour la session courante (en différé).
+let libraryRecords = [];
+let libraryEditId = null;
+let pendingSessionSave = null;   // { id, snapshot, timer }
+
+const escapeHTML = s=>String(s ?? '').replace(/[<&>"]/g,m=>({'<':'&lt;','>':'&gt;','&':'&amp;','"':'&quot;'}[m]));
+
+async function initLibrary(){
+  if (typeof BodyboardLibrary==='undefined'){ setLibraryStatus('Bibliothèque indisponible.'); renderLibraryList(); return; }
+  try {
+    library=await BodyboardLibrary.openLibrary();
+    libraryExportBtn.disabled=false; libraryImportBtn.disabled=false;
+    await refreshLibrary();
+    await refreshPresets();
+    await refreshConditions();
+  } catch (err){
+    library=null; console.error(err);
+    setLibraryStatus(`Bibliothèque indisponible : ${err.message}`);
+    renderLibraryList(); renderProgression(); updatePresetUI();
+  }
+}
+function setLibraryStatus(message){ if (libraryStatus) libraryStatus.textContent=message || ''; }
+async function refreshLibrary(){
+  if (!library) return;
+  libraryRecords=await library.list();
+  renderLibraryList();
+  renderProgression();
+  renderTakeoffZones();   // spot modifié ou sessions ajoutées
+}
+
+function currentSessionSnapshot(){ return { options:getDetectionOptions(), stats, waves, edits:waveEdits }; }
+async function saveNewSession(fileName){
+  if (!library) return;
+  try {
+    const record=BodyboardLibrary.createSessionRecord({ fileName, rawPoints, ...currentSessionSnapshot() });
+    await library.put(record);
+    currentSessionId=record.id;
+    await refreshLibrary();
+  } catch (err){ console.error(err); setLibraryStatus(`Session non enregistrée : ${err.message}`); }
+}
+function scheduleSessionSave(){
+  if (!library || !currentSessionId) return;
+  if (pendingSessionSave) clearTimeout(pendingSessionSave.timer);
+  const pending={ id:currentSessionId, snapshot:currentSessionSnapshot() };
+  pending.timer=setTimeout(()=>{ pendingSessionSave=null; saveSessionResults(pending); }, LIBRARY_SAVE_DELAY_MS);
+  pendingSessionSave=pending;
+}
+// Avant de changer de session : on n'attend pas le délai
+function flushSessionSave(){
+  if (!pendingSessionSave) return;
+  const pending=pendingSessionSave; pendingSessionSave=null;
+  clearTimeout(pending.timer); saveSessionResults(pending);
+}
+async function saveSessionResults({ id, snapshot }){
+  try {
+    const record=await library.get(id); if (!record) return;
+    await library.put(BodyboardLibrary.updateSessionResults(record, snapshot));
+    await refreshLibrary();
+  } catch (err){ console.error(err); setLibraryStatus(`Session non enregistrée : ${err.message}`); }
+}
+
+// Réglages enregistrés → panneau (le seuil est appliqué à part, après configureThresholdControls)
+function applyDetectionOptions(options){
+  const defaults=BodyboardAnalysis.DEFAULT_OPTIONS;
+  const o={ ...defaults, ...(options||{}) };
+  const direction={ ...defaults.direction, ...(o.direction||{}) };
+  const filter={ ...defaults.filter, ...(o.filter||{}) };
+  minDurationInput.value=String(o.minDurationS);
+  if (useAdaptiveToggle) useAdaptiveToggle.checked=Boolean(o.useAdaptive);
+  if (winSecondsInput) winSecondsInput.value=String(o.winSec);
+  if (kSigmaInput) kSigmaInput.value=String(o.kSigma);
+  if (dropPctInput) dropPctInput.value=String(o.dropPct);
+  if (endGraceInput) endGraceInput.value=String(o.endGraceS);
+  if (dirStdMaxInput) dirStdMaxInput.value=String(o.dirStdMaxDeg);
+  if (directionToggle) directionToggle.checked=Boolean(direction.enabled);
+  if (directionAngleInput) directionAngleInput.value=String(direction.direction);
+  if (directionToleranceInput) directionToleranceInput.value=String(direction.tolerance);
+  if (directionReferenceSelect) directionReferenceSelect.value=direction.reference==='shore' ? 'shore' : 'compass';
+  if (filterToggle) filterToggle.checked=Boolean(filter.enabled);
+  if (maxPlausibleSpeedInput) maxPlausibleSpeedInput.value=String(filter.maxSpeedKmh);
+  if (maxAccelInput) maxAccelInput.value=String(filter.maxAccelMS2);
+  if (kalmanToggle) kalmanToggle.checked=Boolean(filter.smooth);
+  if (gpsNoiseInput) gpsNoiseInput.value=String(filter.gpsNoiseM);
+  if (medianWindowInput) medianWindowInput.value=String(filter.medianWindow);
+  const scoring=BodyboardScoring.sanitizeScoring(o.scoring);
+  Object.entries(scoringInputs).forEach(([k,el])=>{ if (el) el.value=String(scoring[k]); });
+  updateDirectionInputsState();
+}
+
+async function openLibrarySession(id){
+  if (!library) return false;
+  flushSessionSave();
+  try {
+    const record=await library.get(id);
+    if (!record) throw new Error('Session introuvable dans la bibliothèque.');
+    currentSessionId=null;   // pas d'enregistrement pendant la restauration
+    const spotRecord=record.spot ? await library.getSpot(record.spot) : null;
+    rawPoints=record.rawPoints;
+    await callEngine('setPoints', [rawPoints]);
+    resetWaveEdits(); resetReplay(); chartView=null;
+    waveEdits=record.edits || BodyboardAnalysis.EMPTY_EDITS;
+    applyDetectionOptions(record.options);
+    await applyPreprocessing();
+    renderTrack();
+    configureThresholdControls();
+    if (Number.isFinite(record.options?.baseThresholdKmh)) updateAutoThresholdLabel(setThreshold(record.options.baseThresholdKmh));
+    setEnabled(true);
+    stopShoreDrawing(false); setShoreline(spotRecord?.shoreline ?? null, { saved:true });
+    await runWaveDetection();
+    currentSessionId=record.id;
+    renderLibraryList();
+    renderTakeoffZones();
+    updateShoreUI();
+    return true;
+  } catch (err){
+    alert('Erreur à l’ouverture: '+err.message);
+    console.error(err);
+    return false;
+  }
+}
+async function deleteLibrarySession(id){
+  if (!library) return;
+  const record=libraryRecords.find(r=>r.id===id);
+  if (!confirm(`Supprimer « ${record?.name ?? 'cette session'} » de la bibliothèque ?`)) return;
+  if (pendingSessionSave?.id===id){ clearTimeout(pendingSessionSave.timer); pendingSessionSave=null; }
+  try {
+    await library.remove(id);
+    if (currentSessionId===id) currentSessionId=null;   // la trace reste affichée mais n'est plus enregistrée
+    await refreshLibrary();
+  } catch (err){ console.error(err); setLibraryStatus(`Suppression impossible : ${err.message}`); }
+}
+
+function libraryMatches(record, query){
+  if (!query) return true;
+  const haystack=[record.name, record.spot, ...(record.tags||[])].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term=>haystack.includes(term));
+}
+function libraryItemHTML(r){
+  const summary=r.summary || {};
+  const count=summary.waveCount ?? 0;
+  const best=(Number.isFinite(summary.bestScore) ? ` • meilleure vague ${summary.bestScore.toFixed(1)}/10` : '')
+    +(Number.isFinite(summary.bestMaxKmh) ? ` • vmax ${summary.bestMaxKmh.toFixed(1)} km/h` : '');
+  const meta=`${r.spot ? escapeHTML(r.spot)+' • ' : ''}${count} vague${count>1?'s':''}${best}`;
+  const tags=(r.tags||[]).map(t=>`<span class="tag">${escapeHTML(t)}</span>`).join('');
+  const actions = r.id===libraryEditId
+    ? `<form class="library-edit">
+        <input type="text" name="name" value="${escapeHTML(r.name)}" placeholder="Nom" aria-label="Nom" />
+        <input type="text" name="spot" value="${escapeHTML(r.spot)}" placeholder="Spot" aria-label="Spot" />
+        <input type="text" name="tags" value="${escapeHTML((r.tags||[]).join(', '))}" placeholder="Tags (séparés par des virgules)" aria-label="Tags" />
+        <div class="library-actions"><button type="submit">Enregistrer</button><button type="button" data-action="cancel">Annuler</button></div>
+      </form>`
+    : `<div class="library-actions">
+        <button type="button" data-action="open">Ouvrir</button>
+        <button type="button" data-action="edit">Modifier</button>
+        <button type="button" data-action="delete">Supprimer</button>
+      </div>`;
+  return `<li class="library-item${r.id===currentSessionId?' current':''}" data-id="${escapeHTML(r.id)}">
+      <div class="library-head"><strong>${escapeHTML(r.name)}</strong><span>${fmtDate(r.date)}</span></div>
+      <div class="library-meta">${meta}</div>
+      ${tags ? `<div class="library-tags">${tags}</div>` : ''}
+      ${actions}
+    </li>`;
+}
+function renderLibraryList(){
+  if (!libraryList) return;
+  const shown=libraryRecords.filter(r=>libraryMatches(r, librarySearch?.value.trim()));
+  libraryList.innerHTML=shown.map(libraryItemHTML).join('');
+  if (libraryEmpty){
+    libraryEmpty.style.display=shown.length ? 'none' : 'block';
+    libraryEmpty.textContent = !library ? 'Les sessions ne peuvent pas être enregistrées dans ce navigateur.'
+      : libraryRecords.length ? 'Aucune session ne correspond à la recherche.' : 'Aucune session enregistrée.';
+  }
+}
+
+if (libraryList){
+  libraryList.addEventListener('click', e=>{
+    const btn=e.target.closest('button[data-action]'); if (!btn) return;
+    const id=btn.closest('.library-item')?.dataset.id; if (!id) return;
+    const action=btn.dataset.action;
+    if (action==='open') openLibrarySession(id);
+    else if (action==='edit'){ libraryEditId=id; renderLibraryList(); }
+    else if (action==='cancel'){ libraryEditId=null; renderLibraryList(); }
+    else if (action==='delete') deleteLibrarySession(id);
+  });
+  libraryList.addEventListener('submit', async e=>{
+    e.preventDefault();
+    const id=e.target.closest('.library-item')?.dataset.id; if (!id || !library) return;
+    const data=new FormData(e.target);
+    try {
+      await library.update(id, {
+        name:String(data.get('name') ?? '').trim() || 'Session',
+        spot:String(data.get('spot') ?? '').trim(),
+        tags:BodyboardLibrary.normalizeTags(data.get('tags'))
+      });
+      libraryEditId=null;
+      await refreshLibrary();
+      if (id===currentSessionId) await syncSpotShoreline();
+    } catch (err){ console.error(err); setLibraryStatus(`Modification impossible : ${err.message}`); }
+  });
+}
+if (librarySearch) librarySearch.addEventListener('input', renderLibraryList);
+
+if (libraryExportBtn){
+  libraryExportBtn.addEventListener('click', async ()=>{
+    if (!library) return;
+    try {
+      const records=await library.list();
+      downloadFile(BodyboardLibrary.exportBundle(records, await library.listSpots(), await library.listConditions()), 'application/json', `bodyboard-bibliotheque_${new Date().toISOString().slice(0,10)}.json`);
+      setLibraryStatus(`${records.length} session${records.length>1?'s':''} exportée${records.length>1?'s':''}.`);
+    } catch (err){ console.error(err); setLibraryStatus(`Export impossible : ${err.message}`); }
+  });
+}
+if (libraryImportBtn && libraryImportInput){
+  libraryImportBtn.addEventListener('click', ()=>libraryImportInput.click());
+  libraryImportInput.addEventListener('change', async e=>{
+    const file=e.target.files?.[0]; if (!file || !library) return;
+    try {
+      const text=await file.text();
+      const records=BodyboardLibrary.parseBundle(text);
+      const n=await library.putAll(records);
+      await library.putSpots(BodyboardLibrary.parseBundleSpots(text));
+      for (const set of BodyboardLibrary.parseBundleConditions(text)) await library.putConditions(set);
+      await refreshLibrary();
+      await refreshConditions();
+      setLibraryStatus(`${n} session${n>1?'s':''} importée${n>1?'s':''}.`);
+    } catch (err){
+      alert('Erreur à l’import: '+err.message);
+      console.error(err);
+    } finally { libraryImportInput.value=''; }
+  });
+}
+initLibrary();
+
+// ---- Préréglages & lien de réglages --
+// Préréglages nommés (store `presets` de la bibliothèque) et réglages courants inscrits dans le hash
+// de l’URL (BodyboardPresets) : un lien partagé redonne la même détection, même avant l’import de la trace.
+let presets = [];
+
+// Seuil partagé : null (« auto ») tant qu’il suit le seuil automatique de la trace
+function shareableOptions(options=getDetectionOptions()){
+  const auto=Number.isFinite(autoThreshold) && Math.abs(options.baseThresholdKmh-autoThreshold)<0.25;
+  return { ...options, baseThresholdKmh:auto ? null : options.baseThresholdKmh };
+}
+function writeSettingsHash(options){
+  const hash=BodyboardPresets.encodeSettingsHash(options);
+  if (location.hash!==hash) history.replaceState(null, '', hash);
+}
+// Seuil imposé (nombre) ou seuil automatique de la trace chargée (null)
+function applyThresholdSetting(thresholdKmh){
+  if (Number.isFinite(thresholdKmh)) updateAutoThresholdLabel(setThreshold(thresholdKmh));
+  else if (Number.isFinite(autoThreshold)) updateAutoThresholdLabel(setThreshold(autoThreshold));
+}
+// Préréglage, lien ou valeurs par défaut → champs, puis re-filtrage et détection si une trace est chargée
+async function applySettings(options){
+  applyDetectionOptions(options);
+  if (!rawPoints.length){
+    if (Number.isFinite(options.baseThresholdKmh)) setThreshold(options.baseThresholdKmh);
+    writeSettingsHash({ ...getDetectionOptions(), baseThresholdKmh:options.baseThresholdKmh ?? null });
+    return;
+  }
+  await applyPreprocessing();
+  renderTrack({ fit:false });
+  configureThresholdControls();
+  applyThresholdSetting(options.baseThresholdKmh);
+  updateDirectionVisual();
+  runWaveDetection();
+}
+function applySettingsHash(){
+  const settings=BodyboardPresets.decodeSettingsHash(location.hash);
+  if (!settings) return false;
+  applySettings(settings);
+  setPresetStatus('Réglages du lien appliqués.');
+  return true;
+}
+
+function setPresetStatus(message){ if (presetStatus) presetStatus.textContent=message || ''; }
+function updatePresetUI(){
+  if (!presetSelect) return;
+  presetSaveBtn.disabled=!library; presetImportBtn.disabled=!library;
+  presetDeleteBtn.disabled=!library || !presetSelect.value;
+  presetExportBtn.disabled=!library || !presets.length;
+}
+async function refreshPresets(selectedKey=presetSelect?.value){
+  if (!library || !presetSelect) return;
+  presets=await library.listPresets();
+  presetSelect.innerHTML='<option value="">— Choisir —</option>'
+    +presets.map(p=>`<option value="${escapeHTML(p.key)}">${escapeHTML(p.name)}</option>`).join('');
+  presetSelect.value=presets.some(p=>p.key===selectedKey) ? selectedKey : '';
+  updatePresetUI();
+}
+
+if (presetSelect){
+  presetSelect.addEventListener('change', ()=>{
+    const preset=presets.find(p=>p.key===presetSelect.value);
+    if (preset){ applySettings(preset.options); setPresetStatus(`Préréglage « ${preset.name} » appliqué.`); }
+    updatePresetUI();
+  });
+  presetSaveBtn.addEventListener('click', async ()=>{
+    if (!library) return;
+    const selected=presets.find(p=>p.key===presetSelect.value);
+    const name=prompt('Nom du préréglage (ex. « reef gauche, GPS téléphone ») :', selected?.name ?? '');
+    if (!name || !name.trim()) return;
+    try {
+      const preset=BodyboardPresets.createPreset(name, shareableOptions());
+      const existing=presets.find(p=>p.key===preset.key);
+      if (existing && existing!==selected && !confirm(`Remplacer le préréglage « ${existing.name} » ?`)) return;
+      await library.putPresets([preset]);
+      await refreshPresets(preset.key);
+      setPresetStatus(`Préréglage « ${preset.name} » enregistré.`);
+    } catch (err){ console.error(err); setPresetStatus(`Enregistrement impossible : ${err.message}`); }
+  });
+  presetDeleteBtn.addEventListener('click', async ()=>{
+    const preset=presets.find(p=>p.key===presetSelect.value);
+    if (!library || !preset || !confirm(`Supprimer le préréglage « ${preset.name} » ?`)) return;
+    try {
+      await library.removePreset(preset.key);
+      await refreshPresets('');
+      setPresetStatus(`Préréglage « ${preset.name} » supprimé.`);
+    } catch (err){ console.error(err); setPresetStatus(`Suppression impossible : ${err.message}`); }
+  });
+  presetExportBtn.addEventListener('click', ()=>{
+    if (!presets.length) return;
+    downloadFile(BodyboardPresets.exportPresets(presets), 'application/json', `bodyboard-prereglages_${new Date().toISOString().slice(0,10)}.json`);
+  });
+  presetImportBtn.addEventListener('click', ()=>presetImportInput.click());
+  presetImportInput.addEventListener('change', async e=>{
+    const file=e.target.files?.[0]; if (!file || !library) return;
+    try {
+      const imported=BodyboardPresets.parsePresets(await file.text());
+      const n=await library.putPresets(imported);
+      await refreshPresets();
+      setPresetStatus(`${n} préréglage${n>1?'s':''} importé${n>1?'s':''}.`);
+    } catch (err){
+      alert('Erreur à l’import: '+err.message);
+      console.error(err);
+    } finally { presetImportInput.value=''; }
+  });
+}
+if (settingsLinkBtn){
+  settingsLinkBtn.addEventListener('click', async ()=>{
+    if (rawPoints.length || !BodyboardPresets.decodeSettingsHash(location.hash)) writeSettingsHash(shareableOptions());
+    const url=location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setPresetStatus('Lien des réglages copié.');
+    } catch {
+      prompt('Copiez ce lien :', url);
+    }
+  });
+}
+if (settingsResetBtn){
+  settingsResetBtn.addEventListener('click', ()=>{
+    if (presetSelect) presetSelect.value='';
+    applySettings(BodyboardAnalysis.DEFAULT_OPTIONS);
+    updatePresetUI();
+    setPresetStatus('Réglages par défaut rétablis.');
+  });
+}
+window.addEventListener('hashchange', applySettingsHash);
+applySettingsHash();
+
+// ---- Conditions (marée, houle, vent) --
+// Séries importées (BodyboardConditions), gardées dans la bibliothèque quand elle est disponible ;
+// interpolées au départ de chaque vague (tableau, export), frise de marée et synthèses conditions → performance.
+const CONDITION_DIMENSION_LABELS = { tideStage:'Marée', swellM:'Houle', swellPeriodS:'Période', windKmh:'Vent' };
+const CONDITION_FIELD_LABELS = { tideM:'marée', swellM:'houle', swellPeriodS:'période', swellDirDeg:'direction houle', windKmh:'vent', windDirDeg:'direction vent' };
+const TIDE_STAGE_ARROWS = { basse:'', montante:' ↗', haute:'', descendante:' ↘' };
+
+const fmtDir = deg=>Number.isFinite(deg) ? `${Math.round(deg)}° ${compassLabel(deg)}` : '';
+function conditionCellsHTML(c){
+  if (!c) return '<td>–</td><td>–</td><td>–</td>';
+  const tide=Number.isFinite(c.tideM) ? `${c.tideM.toFixed(1)} m${c.tideStage?`<br/><small>${c.tideStage}${TIDE_STAGE_ARROWS[c.tideStage]}</small>`:''}` : '–';
+  const swell=Number.isFinite(c.swellM)
+    ? `${c.swellM.toFixed(1)} m${Number.isFinite(c.swellPeriodS)?` • ${c.swellPeriodS.toFixed(0)} s`:''}${Number.isFinite(c.swellDirDeg)?`<br/><small>${fmtDir(c.swellDirDeg)}</small>`:''}` : '–';
+  const wind=Number.isFinite(c.windKmh)
+    ? `${c.windKmh.toFixed(0)} km/h${Number.isFinite(c.windDirDeg)?`<br/><small>${fmtDir(c.windDirDeg)}</small>`:''}` : '–';
+  return `<td>${tide}</td><td>${swell}</td><td>${wind}</td>`;
+}
+// « Marée 1.2 m basse • Houle 1.4 m 12 s 290° O • Vent 15 km/h 80° E »
+function conditionsLine(c){
+  if (!c) return '';
+  const parts=[];
+  if (Number.isFinite(c.tideM)) parts.push(`Marée ${c.tideM.toFixed(1)} m${c.tideStage?` ${c.tideStage}`:''}`);
+  if (Number.isFinite(c.swellM)) parts.push(`Houle ${c.swellM.toFixed(1)} m${Number.isFinite(c.swellPeriodS)?` ${c.swellPeriodS.toFixed(0)} s`:''}${Number.isFinite(c.swellDirDeg)?` ${fmtDir(c.swellDirDeg)}`:''}`);
+  if (Number.isFinite(c.windKmh)) parts.push(`Vent ${c.windKmh.toFixed(0)} km/h${Number.isFinite(c.windDirDeg)?` ${fmtDir(c.windDirDeg)}`:''}`);
+  return parts.join(' • ');
+}
+// Une ligne par classe (stade de marée, tranche de houle…) : vagues, score moyen, meilleur score
+function conditionsSummaryHTML(items, { sessions=false }={}){
+  const summary=BodyboardConditions.summarizeConditions(items);
+  return BodyboardConditions.SUMMARY_DIMENSIONS.flatMap(dim=>summary[dim].map(g=>{
+    const count=`${g.waveCount} vague${g.waveCount>1?'s':''}${sessions?` / ${g.sessionCount} session${g.sessionCount>1?'s':''}`:''}`;
+    const perf=Number.isFinite(g.meanScore) ? `score moy. ${g.meanScore.toFixed(1)} • meilleur ${g.bestScore.toFixed(1)}`
+      : Number.isFinite(g.meanMaxKmh) ? `vmax moy. ${g.meanMaxKmh.toFixed(1)} km/h` : '–';
+    return `<li><span>${CONDITION_DIMENSION_LABELS[dim]} ${escapeHTML(g.label)} (${count})</span><span>${perf}</span></li>`;
+  })).join('');
+}
+
+// Frise : hauteur d’eau sur la durée de la session + départs de vague
+function conditionsStripSVG(bounds){
+  const W=300, H=48, n=120, span=bounds.t1-bounds.t0;
+  const samples=Array.from({ length:n+1 }, (_, i)=>BodyboardConditions.valueAt(conditionSeries, 'tideM', bounds.t0+span*i/n));
+  const known=samples.filter(Number.isFinite);
+  const ticks=waves.filter(w=>w.startTime).map(w=>{
+    const x=(w.startTime.getTime()-bounds.t0)/span*W;
+    return `<line class="wave-tick" x1="${x.toFixed(1)}" y1="0" x2="${x.toFixed(1)}" y2="${H}"><title>${fmtTime(w.startTime)}</title></line>`;
+  }).join('');
+  let tide='';
+  if (known.length>=2){
+    const lo=Math.min(...known), hi=Math.max(...known), rng=Math.max(0.2, hi-lo);
+    const Y=v=>H-4-(H-8)*(v-lo)/rng;
+    // une portion par plage continue de données
+    const runs=[]; let run=null;
+    samples.forEach((v,i)=>{
+      if (!Number.isFinite(v)){ run=null; return; }
+      if (!run){ run=[]; runs.push(run); }
+      run.push(`${(i/n*W).toFixed(1)},${Y(v).toFixed(1)}`);
+    });
+    tide=runs.filter(r=>r.length>1).map(r=>`<polygon class="tide" points="${r[0].split(',')[0]},${H} ${r.join(' ')} ${r[r.length-1].split(',')[0]},${H}" />`).join('')
+      +`<title>Marée ${lo.toFixed(1)} → ${hi.toFixed(1)} m</title>`;
+  }
+  return `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="Conditions pendant la session">${tide}${ticks}</svg>`;
+}
+function renderSessionConditions(){
+  if (!conditionsStrip) return;
+  const bounds=sessionTimeBounds();
+  const start=bounds && conditionSeries ? BodyboardConditions.conditionsAt(conditionSeries, bounds.t0) : null;
+  const end=bounds && conditionSeries ? BodyboardConditions.conditionsAt(conditionSeries, bounds.t1) : null;
+  const covered=Boolean(conditionsLine(start) || conditionsLine(end));
+  conditionsStrip.innerHTML=covered ? conditionsStripSVG(bounds) : '';
+  conditionsNow.textContent = !conditionSeries ? 'Importez des données de marée, houle ou vent (étape 1).'
+    : !bounds ? ''
+    : covered ? `Début : ${conditionsLine(start) || '–'}\nFin : ${conditionsLine(end) || '–'}`
+    : 'Les conditions importées ne couvrent pas cette session.';
+  conditionsSessionSummary.innerHTML=covered ? conditionsSummaryHTML(waves) : '';
+}
+
+function updateConditionsStatus(){
+  conditionsClearBtn.disabled=!conditionSets.length;
+  conditionsStatus.textContent=conditionSets.length
+    ? conditionSets.map(set=>`${set.name} : ${set.fields.map(f=>CONDITION_FIELD_LABELS[f]).join(', ')} (${fmtDate(set.from)} → ${fmtDate(set.to)})`).join(' • ')
+    : 'Aucune donnée de conditions.';
+}
+// Nouvelles séries → vagues ré-annotées (sans nouvelle détection), frise, synthèses
+function applyConditions(){
+  conditionSeries=conditionSets.length ? BodyboardConditions.mergeSeries(conditionSets) : null;
+  waves=BodyboardConditions.annotateWaves(waves, conditionSeries);
+  updateConditionsStatus();
+  if (waves.length) updateWaveTable(waves, waveTableOptions);
+  renderSessionConditions();
+  renderProgression();
+}
+async function refreshConditions(){
+  if (library) conditionSets=await library.listConditions();
+  applyConditions();
+}
+
+if (conditionsImportBtn) conditionsImportBtn.addEventListener('click', ()=>conditionsImportInput.click());
+if (conditionsImportInput){
+  conditionsImportInput.addEventListener('change', async ()=>{
+    const files=[...conditionsImportInput.files];
+    conditionsImportInput.value='';
+    const errors=[];
+    for (const file of files){
+      try {
+        const set=BodyboardConditions.parseConditions(file.name, await file.text());
+        conditionSets.push(library ? await library.putConditions(set) : set);
+      } catch (err){ errors.push(`${file.name} : ${err.message}`); }
+    }
+    await refreshConditions();
+    if (errors.length) alert(`Conditions non importées :\n${errors.join('\n')}`);
+  });
+}
+if (conditionsClearBtn){
+  conditionsClearBtn.addEventListener('click', async ()=>{
+    if (!conditionSets.length || !confirm('Oublier toutes les données de marée, houle et vent importées ?')) return;
+    if (library) for (const set of conditionSets) await library.removeConditions(set.key);
+    conditionSets=[];
+    await refreshConditions();
+  });
+}
+
+// ---- Progression (multi-sessions) --
+// Agrège les sessions de la bibliothèque (BodyboardProgression) ; clic sur un point / un record → ouverture.
+const PROGRESS_FORMAT = {
+  wavesPerHour: v=>`${v.toFixed(1)} /h`,
+  medianMaxKmh: v=>`${v.toFixed(1)} km/h`,
+  bestMaxKmh: v=>`${v.toFixed(1)} km/h`,
+  medianDistM: v=>fmtDistance(v),
+  medianDurationS: v=>fmtDuration(v)
+};
+const PROGRESS_TREND_UNIT = { wavesPerHour:'vague/h', medianMaxKmh:'km/h', bestMaxKmh:'km/h', medianDistM:'m', medianDurationS:'s' };
+const RECORD_LABELS = {
+  maxKmh: ['Vitesse max', v=>`${v.toFixed(1)} km/h`],
+  distM: ['Plus longue distance', v=>fmtDistance(v)],
+  durationS: ['Plus longue vague', v=>fmtDuration(v)],
+  wavesPerHour: ['Session la plus active', v=>`${v.toFixed(1)} vagues/h`]
+};
+
+function getProgressFilters(){
+  const day=(input, endOfDay)=>input?.value ? new Date(`${input.value}T${endOfDay?'23:59:59.999':'00:00:00'}`).getTime() : NaN;
+  return { spot:progressSpotSelect?.value || '', from:day(progressFromInput,false), to:day(progressToInput,true) };
+}
+function updateProgressSpots(spots){
+  if (!progressSpotSelect) return;
+  const current=progressSpotSelect.value;
+  const keep=spots.includes(current) ? current : '';
+  progressSpotSelect.innerHTML='<option value="">Tous les spots</option>'+spots.map(s=>`<option value="${escapeHTML(s)}">${escapeHTML(s)}</option>`).join('');
+  progressSpotSelect.value=keep;
+}
+function renderProgression(){
+  if (!progressChart || typeof BodyboardProgression==='undefined') return;
+  const data=BodyboardProgression.buildProgression(libraryRecords, getProgressFilters());
+  updateProgressSpots(data.spots);
+  const metric=progressMetricSelect?.value || 'wavesPerHour';
+  progressChart.innerHTML=progressChartSVG(data.sessions, metric);
+
+  if (progressSummary){
+    const { sessionCount, waveCount, durationS }=data.totals;
+    const trend=BodyboardProgression.linearTrend(data.sessions.map(s=>({ x:s.date, y:s[metric] })));
+    const perMonth=trend ? trend.perDay*30 : NaN;
+    const trendStr=Number.isFinite(perMonth) && sessionCount>=3
+      ? ` • tendance ${perMonth>=0?'+':''}${Math.abs(perMonth)<10?perMonth.toFixed(2):perMonth.toFixed(0)} ${PROGRESS_TREND_UNIT[metric]} / mois`
+      : '';
+    progressSummary.textContent = sessionCount
+      ? `${sessionCount} session${sessionCount>1?'s':''} • ${waveCount} vague${waveCount>1?'s':''} • ${fmtDuration(durationS)} à l’eau${trendStr}`
+      : '';
+  }
+  if (progressRecords){
+    progressRecords.innerHTML = data.records.length
+      ? data.records.map(r=>{
+          const [label, fmt]=RECORD_LABELS[r.key];
+          const origin=`${r.sessionName}${r.waveIndex!=null?` • vague ${r.waveIndex+1}`:''} • ${fmtDate(new Date(r.date))}`;
+          return `<li><span>${label}</span><a data-id="${escapeHTML(r.sessionId)}" data-wave="${r.waveIndex ?? ''}" title="${escapeHTML(origin)}">${fmt(r.value)}</a></li>`;
+        }).join('')
+      : '<li><span>Aucun record pour ces filtres.</span></li>';
+  }
+  if (progressConditions){
+    const items=BodyboardProgression.filterSessions(libraryRecords, getProgressFilters())
+      .flatMap(r=>BodyboardConditions.annotateWaves(r.waves || [], conditionSeries).map(w=>({ ...w, sessionId:r.id })));
+    progressConditions.innerHTML=conditionsSummaryHTML(items, { sessions:true })
+      || `<li><span>${conditionSeries ? 'Aucune vague couverte par les conditions importées.' : 'Importez des conditions (étape 1) pour comparer les sessions.'}</span></li>`;
+  }
+}
+function progressChartSVG(sessions, metric){
+  const samples=sessions.map(s=>({ x:s.date, y:s[metric], s })).filter(p=>Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!samples.length) return `<p class="empty">${libraryRecords.length ? 'Aucune session pour ces filtres.' : 'Les sessions enregistrées apparaîtront ici.'}</p>`;
+  const W=320, H=150, padL=46, padR=10, padT=10, padB=20;
+  const xs=samples.map(p=>p.x), ys=samples.map(p=>p.y);
+  let x0=Math.min(...xs), x1=Math.max(...xs); if (x1===x0){ x0-=86400000; x1+=86400000; }
+  const y0=Math.min(0,...ys); let y1=Math.max(...ys); if (y1===y0) y1=y0+1;
+  const X=x=>padL+(W-padL-padR)*(x-x0)/(x1-x0), Y=y=>H-padB-(H-padT-padB)*(y-y0)/(y1-y0);
+  const fmt=PROGRESS_FORMAT[metric];
+  const dateLabel=t=>new Date(t).toLocaleDateString(undefined,{day:'2-digit',month:'2-digit',year:'2-digit'});
+  const trend=BodyboardProgression.linearTrend(samples);
+  const trendLine=trend && samples.length>=3
+    ? `<line class="trend" x1="${X(x0).toFixed(1)}" y1="${Y(trend.intercept+trend.slope*x0).toFixed(1)}" x2="${X(x1).toFixed(1)}" y2="${Y(trend.intercept+trend.slope*x1).toFixed(1)}" />`
+    : '';
+  const line=samples.map(p=>`${X(p.x).toFixed(1)},${Y(p.y).toFixed(1)}`).join(' ');
+  const dots=samples.map(p=>`<circle class="dot" cx="${X(p.x).toFixed(1)}" cy="${Y(p.y).toFixed(1)}" r="3.5" data-id="${escapeHTML(p.s.id)}"><title>${escapeHTML(p.s.name)} – ${fmtDate(new Date(p.x))} : ${fmt(p.y)}</title></circle>`).join('');
+  return `
+  <svg viewBox="0 0 ${W} ${H}" role="img" aria-label="Progression par session">
+    <line x1="${padL}" y1="${H-padB}" x2="${W-padR}" y2="${H-padB}" stroke="#273040" />
+    <text class="axis" x="${padL-4}" y="${padT+4}" text-anchor="end">${fmt(y1)}</text>
+    <text class="axis" x="${padL-4}" y="${H-padB}" text-anchor="end">${fmt(y0)}</text>
+    <text class="axis" x="${padL}" y="${H-5}">${dateLabel(x0)}</text>
+    <text class="axis" x="${W-padR}" y="${H-5}" text-anchor="end">${dateLabel(x1)}</text>
+    ${trendLine}
+    <polyline points="${line}" fill="none" stroke="rgba(76,201,240,0.6)" stroke-width="1.5" />
+    ${dots}
+  </svg>`;
+}
+
+[progressSpotSelect,progressFromInput,progressToInput,progressMetricSelect].forEach(el=>{
+  if (el) el.addEventListener('change', renderProgression);
 });
-function buildGPX(pts, wavesArr){
-  const esc=s=>String(s).replace(/[<&>]/g,m=>({'<':'&lt;','>':'&gt;','&':'&amp;'}[m]));
-  const trkpts=pts.map(p=>{
-    const time=p.time instanceof Date && !isNaN(p.time)?p.time.toISOString():null;
-    const eleTag=Number.isFinite(p.ele)?`<ele>${p.ele}</ele>`:'';
-    const timeTag=time?`<time>${time}</time>`:'';
-    return `<trkpt lat="${p.lat}" lon="${p.lon}">${eleTag}${timeTag}</trkpt>`;
-  }).join('\n        ');
-  const waveTrks = wavesArr.map((w,i)=>{
-    const slice=pts.slice(w.startIdx,w.endIdx+2);
-    const body=slice.map(p=>{
-      const time=p.time instanceof Date && !isNaN(p.time)?p.time.toISOString():null;
-      const eleTag=Number.isFinite(p.ele)?`<ele>${p.ele}</ele>`:'';
-      const timeTag=time?`<time>${time}</time>`:'';
-      return `<trkpt lat="${p.lat}" lon="${p.lon}">${eleTag}${timeTag}</trkpt>`;
-    }).join('\n            ');
-    return `
-      <trk>
-        <name>${esc(`Wave ${i+1} • ${fmtDistance(w.distM)} • ${w.maxKmh.toFixed(1)} km/h`)}</name>
-        <trkseg>
-            ${body}
-        </trkseg>
-      </trk>`;
-  }).join('\n');
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<gpx creator="Bodyboard Viewer v2" version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata><time>${new Date().toISOString()}</time></metadata>
-  <trk><name>Bodyboard Session</name><trkseg>
-        ${trkpts}
-  </trkseg></trk>
-  ${waveTrks}
-</gpx>`;
+if (progressChart){
+  progressChart.addEventListener('click', e=>{
+    const id=e.target.closest('.dot')?.dataset.id;
+    if (id) openLibrarySession(id);
+  });
+}
+if (progressRecords){
+  progressRecords.addEventListener('click', async e=>{
+    const link=e.target.closest('a[data-id]'); if (!link) return;
+    const opened=await openLibrarySession(link.dataset.id);
+    if (opened && link.dataset.wave!=='') selectWave(Number(link.dataset.wave));
+  });
 }
 
+// ---- Zones de départ ---------------
+// Départs de vagues regroupés par DBSCAN (BodyboardZones) : session affichée, plus, sur demande,
+// les sessions de la bibliothèque du même spot. Carte de chaleur = cercles translucides superposés.
+let takeoffZones = [];
+
+const currentSpot = ()=>currentSpotName().toLowerCase();
+function collectTakeoffSamples(){
+  const samples=BodyboardZones.takeoffSamples(waves, { sessionId:currentSessionId ?? 'current', current:true });
+  const spot=currentSpot();
+  if (zonesSpotToggle.checked && spot){
+    libraryRecords
+      .filter(r=>r.id!==currentSessionId && String(r.spot || '').trim().toLowerCase()===spot)
+      .forEach(r=>samples.push(...BodyboardZones.takeoffSamples(r.waves || [], { sessionId:r.id, current:false })));
+  }
+  return samples;
+}
+function renderTakeoffZones(){
+  if (zonesLayerGroup) zonesLayerGroup.clearLayers();
+  const epsM=clamp(parseFloat(zonesRadiusInput.value) || BodyboardZones.DEFAULT_ZONE_OPTIONS.epsM, 5, 200);
+  const samples=segments.length ? collectTakeoffSamples() : [];
+  takeoffZones=BodyboardZones.clusterTakeoffs(samples, { epsM }).zones;
+
+  zonesList.innerHTML=takeoffZones.map(z=>`
+    <li><span>Zone ${z.id} · ${z.waveCount} vague${z.waveCount>1?'s':''}${z.sessionCount>1?` (${z.sessionCount} sessions)`:''}</span>
+    <a data-zone="${z.id}" title="Centrer la carte sur la zone">${fmtDistance(z.avgDistM)} • ${fmtDuration(z.avgDurationS)} • ${Number.isFinite(z.bestMaxKmh)?z.bestMaxKmh.toFixed(1):'–'} km/h</a></li>`).join('');
+  zonesEmpty.hidden=takeoffZones.length>0;
+  if (!takeoffZones.length){
+    zonesEmpty.textContent = zonesSpotToggle.checked && segments.length && !currentSpot()
+      ? 'Renseignez le spot de la session (bibliothèque) pour y ajouter les autres sessions.'
+      : `Pas encore assez de départs pour former une zone (${BodyboardZones.DEFAULT_ZONE_OPTIONS.minPts} minimum).`;
+  }
+
+  if (!mapReady || !zonesLayerGroup || !zonesToggle.checked) return;
+  samples.forEach(s=>{
+    L.circle([s.lat,s.lon],{ radius:epsM, stroke:false, fillColor:'#f97316', fillOpacity:s.current?0.14:0.08, interactive:false }).addTo(zonesLayerGroup);
+  });
+  takeoffZones.forEach(z=>{
+    const style={ color:'#facc15', weight:2, dashArray:'5 4', fillColor:'#facc15', fillOpacity:0.08 };
+    const shape = z.hull.length>=3 ? L.polygon(z.hull, style) : L.circle(z.centroid, { ...style, radius:Math.max(epsM/2, z.radiusM) });
+    shape.addTo(zonesLayerGroup)
+      .bindTooltip(`Z${z.id}`, { permanent:true, direction:'center', className:'zone-label' })
+      .bindPopup(`<b>Zone ${z.id}</b><br/>${z.waveCount} vague${z.waveCount>1?'s':''} sur ${z.sessionCount} session${z.sessionCount>1?'s':''}<br/>`
+        +`Longueur moy. : ${fmtDistance(z.avgDistM)} • ${fmtDuration(z.avgDurationS)}<br/>Meilleure vitesse : ${Number.isFinite(z.bestMaxKmh)?z.bestMaxKmh.toFixed(1):'–'} km/h`);
+  });
+}
+
+zonesList.addEventListener('click', (evt)=>{
+  const link=evt.target.closest('a[data-zone]'); if (!link || !mapReady) return;
+  const z=takeoffZones.find(zone=>zone.id===Number(link.dataset.zone)); if (!z) return;
+  if (z.hull.length>=2) map.fitBounds(z.hull, { padding:[60,60], maxZoom:18 });
+  else map.setView(z.centroid, 18);
+});
+[zonesToggle, zonesSpotToggle].forEach(el=>el.addEventListener('change', renderTakeoffZones));
+zonesRadiusInput.addEventListener('input', renderTakeoffZones);
+
 // ---- Divers UI ---------------------
 function setEnabled(loaded){
-  detectBtn.disabled=!loaded; exportBtn.disabled=!loaded; fitBtn.disabled=!loaded || !mapReady; clearBtn.disabled=!loaded;
+  detectBtn.disabled=!loaded; exportBtn.disabled=!loaded; if (exportFormatSelect) exportFormatSelect.disabled=!loaded; fitBtn.disabled=!loaded || !mapReady; clearBtn.disabled=!loaded;
   thresholdRange.disabled=!loaded; thresholdNumber.disabled=!loaded; minDurationInput.disabled=!loaded;
   if (directionToggle){ directionToggle.disabled=!loaded; }
   if (useAdaptiveToggle) useAdaptiveToggle.disabled=!loaded;
@@ -843,6 +2440,8 @@ function setEnabled(loaded){
   if (dropPctInput) dropPctInput.disabled=!loaded;
   if (endGraceInput) endGraceInput.disabled=!loaded;
   if (colorModeSelect) colorModeSelect.disabled=!loaded;
+  [filterToggle,maxPlausibleSpeedInput,maxAccelInput,kalmanToggle,gpsNoiseInput,medianWindowInput,showRawToggle].forEach(el=>{ if (el) el.disabled=!loaded; });
+  Object.values(scoringInputs).forEach(el=>{ if (el) el.disabled=!loaded; });
   updateDirectionInputsState();
 }
 
@@ -853,7 +2452,10 @@ thresholdNumber.addEventListener('blur', ()=>{ if (thresholdNumber.value===''){
 
 fitBtn.addEventListener('click', ()=>{ if (!mapReady||!map||!trackBounds) return; map.fitBounds(trackBounds,{padding:[30,30]}); });
 clearBtn.addEventListener('click', ()=>{
-  points=[]; segments=[]; stats=null; waves=[];
+  flushSessionSave(); currentSessionId=null; renderLibraryList();
+  rawPoints=[]; points=[]; segments=[]; stats=null; waves=[]; rejectedPointCount=0; trackRuns=[];
+  detectionSeq++; callEngine('setPoints', [[]]);
+  if (rawTrackLayerGroup) rawTrackLayerGroup.clearLayers();
   if (trackLayerGroup) trackLayerGroup.clearLayers();
   if (wavesLayerGroup) wavesLayerGroup.clearLayers();
   if (directionLayerGroup) directionLayerGroup.clearLayers();
@@ -863,15 +2465,27 @@ clearBtn.addEventListener('click', ()=>{
   thresholdRange.max=String(DEFAULT_THRESHOLD_MAX);
   thresholdNumber.max=String(DEFAULT_THRESHOLD_NUMBER_MAX);
   setThreshold(15); updateAutoThresholdLabel();
-  resetStatsUI(); resetWaveUI(); setEnabled(false); fileInput.value=''; initializeDirectionUI();
+  directionModes=[]; renderDirectionSuggestions(); stopShoreDrawing(false); setShoreline(null);
+  resetStatsUI(); resetWaveUI(); resetWaveEdits(); updateReplayBounds(); resetSpeedChart(); renderTakeoffZones(); setEnabled(false); fileInput.value=''; initializeDirectionUI(); updateFilterSummary();
 });
 
+// Events filtrage GPS : re-filtrage complet puis nouvelle détection (sans recadrer la carte)
+[filterToggle,maxPlausibleSpeedInput,maxAccelInput,kalmanToggle,gpsNoiseInput,medianWindowInput].forEach(el=>{
+  if (!el) return;
+  el.addEventListener('change', async ()=>{
+    if (!rawPoints.length) return;
+    await applyPreprocessing(); renderTrack({ fit:false }); runWaveDetection();
+  });
+});
+if (showRawToggle) showRawToggle.addEventListener('change', renderRawTrack);
+
 // Events détecteurs v2
-[minDurationInput,useAdaptiveToggle,winSecondsInput,kSigmaInput,dropPctInput,endGraceInput,colorModeSelect].forEach(el=>{
+[minDurationInput,useAdaptiveToggle,winSecondsInput,kSigmaInput,dropPctInput,endGraceInput,colorModeSelect,...Object.values(scoringInputs)].forEach(el=>{
   if (!el) return;
   el.addEventListener('change', ()=>runWaveDetection());
   el.addEventListener('input', ()=>runWaveDetection());
 });
+if (waveOrderSelect) waveOrderSelect.addEventListener('change', ()=>updateWaveTable(waves, waveTableOptions));
 
 // Direction
 if (directionToggle){
@@ -893,49 +2507,79 @@ if (dirStdMaxInput){
 }
 
 // ---- Cœur : runWaveDetection -------
+// Options de détection lues dans le panneau, au format de BodyboardAnalysis.detectWaves
+function getDetectionOptions(){
+  const thresholdInput=parseFloat(thresholdNumber.value);
+  const directionSettings=getDirectionSettings();
+  return {
+    baseThresholdKmh: Number.isFinite(thresholdInput)?thresholdInput:(autoThreshold ?? 15),
+    minDurationS: Math.max(0, Number(minDurationInput.value) || 0),
+    useAdaptive: Boolean(useAdaptiveToggle?.checked),
+    winSec: Math.max(1, parseFloat(winSecondsInput?.value)||8),
+    kSigma: Math.max(0, parseFloat(kSigmaInput?.value)||0.8),
+    dropPct: clamp(parseFloat(dropPctInput?.value)||35, 0, 100),
+    endGraceS: Math.max(0, parseFloat(endGraceInput?.value)||1),
+    dirStdMaxDeg: directionSettings.stdMax,
+    direction: { enabled:directionSettings.enabled, direction:directionSettings.direction, tolerance:directionSettings.tolerance, reference:directionSettings.reference },
+    filter: getFilterSettings(),
+    scoring: getScoringWeights()
+  };
+}
+function getScoringWeights(){
+  const raw={};
+  Object.entries(scoringInputs).forEach(([k,el])=>{ if (el && el.value!=='') raw[k]=parseFloat(el.value); });
+  return BodyboardScoring.sanitizeScoring(raw);
+}
+// Détection dans le moteur (worker) : seule la dernière demande est affichée, les autres sont abandonnées.
+// La promesse se résout quand une détection à jour est affichée (utile pour enchaîner sur ses vagues).
 function runWaveDetection(){
+  const done=new Promise(resolve=>detectionWaiters.push(resolve));
+  const seq=++detectionSeq;
   if (!segments.length){
-    waves=[]; if (wavesLayerGroup) wavesLayerGroup.clearLayers(); if (directionLayerGroup) directionLayerGroup.clearLayers();
-    resetWaveUI(); updateStatsUI(); return;
+    waves=[]; activity=null; directionModes=[]; renderDirectionSuggestions(); if (wavesLayerGroup) wavesLayerGroup.clearLayers(); if (directionLayerGroup) directionLayerGroup.clearLayers();
+    resetWaveUI(); updateStatsUI(); resetSpeedChart(); renderTakeoffZones(); updateAutotuneUI();
+    settleDetection();
+    return done;
   }
 
-  const thresholdInput=parseFloat(thresholdNumber.value);
-  const threshold=Number.isFinite(thresholdInput)?thresholdInput:(autoThreshold ?? 15);
-  const minDur=Math.max(0, Number(minDurationInput.value) || 0);
-
-  const useAdaptive = Boolean(useAdaptiveToggle?.checked);
-  const winSec = Math.max(1, parseFloat(winSecondsInput?.value)||8);
-  const kSigma = Math.max(0, parseFloat(kSigmaInput?.value)||0.8);
-  const dropPct = clamp(parseFloat(dropPctInput?.value)||35, 0, 100);
-  const endGraceS = Math.max(0, parseFloat(endGraceInput?.value)||1);
-
+  const options=getDetectionOptions();
+  writeSettingsHash(shareableOptions(options));
   const directionSettings=getDirectionSettings();
-
-  const detected = detectWavesV2({
-    baseThresholdKmh: threshold,
-    minDurationS: minDur,
-    useAdaptive, winSec, kSigma,
-    dropPct, endGraceS,
-    dirStdMaxDeg: directionSettings.stdMax
-  });
-
-  const enriched = detected.map(enrichWave);
-
-  // Filtre de sens (optionnel)
-  let filtered=enriched; let rejectedCount=0;
-  if (directionSettings.enabled){
-    filtered=enriched.filter(w=>{
-      if (!Number.isFinite(w.directionDeg)) return false;
-      const delta=angularDifference(w.directionDeg,directionSettings.direction);
-      return Number.isFinite(delta) && delta<=directionSettings.tolerance;
-    });
-    rejectedCount=enriched.length-filtered.length;
-  }
-
-  waves=filtered;
+  const edits=waveEdits;
+  // Un tour de boucle d’abord : les événements « input » en rafale ne lancent que la dernière détection
+  setTimeout(()=>{
+    if (seq!==detectionSeq) return;
+    callEngine('detect', [options, edits])
+      .then(result=>{
+        if (!result || seq!==detectionSeq) return;   // dépassée par une demande plus récente
+        applyDetectionResult(options, directionSettings, result);
+        settleDetection();
+      })
+      .catch(err=>{ console.error(err); if (seq===detectionSeq) settleDetection(); });
+  }, 0);
+  return done;
+}
+function settleDetection(){ detectionWaiters.splice(0).forEach(resolve=>resolve()); }
+function applyDetectionResult(options, directionSettings, result){
+  const { rejectedCount, rawCount }=result;
+  const threshold=options.baseThresholdKmh;
+
+  waves=BodyboardConditions.annotateWaves(result.waves, conditionSeries);
+  directionModes=result.directionModes;
+  renderDirectionSuggestions();
+  activity=result.activity;
+  restoreWaveSelection();
   renderWaves(waves);
-  updateWaveTable(waves,{directionSettings,rejectedCount,rawCount:enriched.length});
+  waveTableOptions={directionSettings,rejectedCount,rawCount};
+  updateWaveTable(waves, waveTableOptions);
   updateStatsUI();
   updateAutoThresholdLabel(threshold);
   updateDirectionVisual(directionSettings);
+  renderEditHandles();
+  updateWaveEditBar();
+  renderReplayFrame();
+  updateSpeedChart(options, result.adaptiveKmh);
+  renderTakeoffZones();
+  updateAutotuneUI();
+  scheduleSessionSave();
 }
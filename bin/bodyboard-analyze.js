@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/* Bodyboard – analyse en lot (CLI)
+ * ------------------------------------------------------------------
+ * Même pipeline que le visualiseur (lib/parsers.js + lib/analysis.js → detectWavesV2,
+ * manœuvres lib/maneuvers.js, score lib/scoring.js) appliqué à un ou plusieurs fichiers / dossiers.
+ *
+ * Usage : node bin/bodyboard-analyze.js [options] <fichier|dossier>...
+ *   --format json|csv|md   sortie (défaut : json)
+ *   --table waves|sessions table écrite en CSV (défaut : waves ; json/md contiennent les deux)
+ *   --recursive, -r        parcourt les sous-dossiers
+ *   --options <fichier>    options de détection au format JSON (même forme que DEFAULT_OPTIONS ;
+ *                          poids du score dans « scoring », mêmes clés que DEFAULT_SCORING)
+ *   --threshold <km/h>     seuil de base (défaut : automatique)
+ *   --min-duration <s>  --win <s>  --k-sigma <k>  --drop <%>  --grace <s>  --dir-std <°>
+ *   --no-adaptive          seuil fixe au lieu de médiane + k·σ
+ *   --direction <°> [--tolerance <°>]   garde les vagues dans ce sens
+ *   --shoreline <fichier.geojson>        trait de côte (LineString) → côté, angle, distances au bord par vague
+ *   --shore-relative       --direction devient l’angle à la normale du rivage (− gauche, + droite)
+ *   --conditions <fichier> séries marée / houle / vent (CSV ou JSON, répétable) → conditions au départ de chaque vague
+ *   --filter [--max-speed <km/h>] [--max-accel <m/s²>] [--gps-noise <m>] [--median <n>] [--no-smooth]
+ *
+ * Codes de sortie : 0 OK, 1 au moins un fichier illisible (les autres sont quand même sortis),
+ *                   2 erreur d’usage (option inconnue, chemin introuvable, aucun fichier), 3 erreur interne.
+ */
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseTrack, supportedExtensions } = require('../lib/parsers');
+const { DEFAULT_OPTIONS, analyzeSession } = require('../lib/analysis');
+const { applyScores, bestWave } = require('../lib/scoring');
+const { annotateWaves, countManeuvers } = require('../lib/maneuvers');
+const BodyboardConditions = require('../lib/conditions');
+const { parseShorelineGeoJSON, createShoreFrame } = require('../lib/shore');
+const { toCSV } = require('../lib/exports');
+
+const EXIT_OK = 0, EXIT_UNPARSABLE = 1, EXIT_USAGE = 2, EXIT_INTERNAL = 3;
+
+class UsageError extends Error {}
+
+// ---------- Arguments ----------
+const NUMBER_FLAGS = {
+  '--threshold':    (o,v)=>{ o.baseThresholdKmh=v; },
+  '--min-duration': (o,v)=>{ o.minDurationS=v; },
+  '--win':          (o,v)=>{ o.winSec=v; },
+  '--k-sigma':      (o,v)=>{ o.kSigma=v; },
+  '--drop':         (o,v)=>{ o.dropPct=v; },
+  '--grace':        (o,v)=>{ o.endGraceS=v; },
+  '--dir-std':      (o,v)=>{ o.dirStdMaxDeg=v; },
+  '--direction':    (o,v)=>{ o.direction.enabled=true; o.direction.direction=v; },
+  '--tolerance':    (o,v)=>{ o.direction.tolerance=v; },
+  '--max-speed':    (o,v)=>{ o.filter.maxSpeedKmh=v; },
+  '--max-accel':    (o,v)=>{ o.filter.maxAccelMS2=v; },
+  '--gps-noise':    (o,v)=>{ o.filter.gpsNoiseM=v; },
+  '--median':       (o,v)=>{ o.filter.medianWindow=Math.max(1, Math.round(v)); }
+};
+
+function mergeOptions(base, extra){
+  return {
+    ...base, ...extra,
+    direction: { ...base.direction, ...(extra.direction||{}) },
+    filter: { ...base.filter, ...(extra.filter||{}) }
+  };
+}
+
+async function parseArgs(argv){
+  const args={ format:'json', table:'waves', recursive:false, help:false, paths:[], shore:null, conditions:null };
+  const conditionSets=[];
+  let options=mergeOptions(DEFAULT_OPTIONS, {});
+  const overrides=[];   // appliquées après --options, quel que soit l’ordre sur la ligne
+  for (let i=0;i<argv.length;i++){
+    const arg=argv[i];
+    const value=()=>{
+      if (i+1>=argv.length) throw new UsageError(`Valeur manquante pour ${arg}.`);
+      return argv[++i];
+    };
+    if (arg==='--help' || arg==='-h') args.help=true;
+    else if (arg==='--recursive' || arg==='-r') args.recursive=true;
+    else if (arg==='--format'){
+      args.format=value().toLowerCase();
+      if (args.format==='markdown') args.format='md';
+      if (!['json','csv','md'].includes(args.format)) throw new UsageError(`Format inconnu : ${args.format} (json, csv ou md).`);
+    }
+    else if (arg==='--table'){
+      args.table=value().toLowerCase();
+      if (!['waves','sessions'].includes(args.table)) throw new UsageError(`Table inconnue : ${args.table} (waves ou sessions).`);
+    }
+    else if (arg==='--options'){
+      const file=value();
+      let json;
+      try { json=JSON.parse(await fs.readFile(file,'utf8')); }
+      catch (err){ throw new UsageError(`Options illisibles (${file}) : ${err.message}`); }
+      options=mergeOptions(options, json);
+    }
+    else if (arg==='--shoreline'){
+      const file=value();
+      try { args.shore=createShoreFrame(parseShorelineGeoJSON(await fs.readFile(file,'utf8'))); }
+      catch (err){ throw new UsageError(`Rivage illisible (${file}) : ${err.message}`); }
+    }
+    else if (arg==='--conditions'){
+      const file=value();
+      try { conditionSets.push(BodyboardConditions.parseConditions(path.basename(file), await fs.readFile(file,'utf8'))); }
+      catch (err){ throw new UsageError(`Conditions illisibles (${file}) : ${err.message}`); }
+    }
+    else if (arg==='--shore-relative') overrides.push(o=>{ o.direction.reference='shore'; });
+    else if (arg==='--no-adaptive') overrides.push(o=>{ o.useAdaptive=false; });
+    else if (arg==='--filter') overrides.push(o=>{ o.filter.enabled=true; });
+    else if (arg==='--no-smooth') overrides.push(o=>{ o.filter.smooth=false; });
+    else if (NUMBER_FLAGS[arg]){
+      const raw=value(), v=parseFloat(raw);
+      if (!Number.isFinite(v)) throw new UsageError(`Valeur numérique attendue pour ${arg} : ${raw}`);
+      overrides.push(o=>NUMBER_FLAGS[arg](o,v));
+    }
+    else if (arg.startsWith('-') && arg!=='-') throw new UsageError(`Option inconnue : ${arg}`);
+    else args.paths.push(arg);
+  }
+  overrides.forEach(fn=>fn(options));
+  if (options.direction.reference==='shore' && !args.shore) throw new UsageError('--shore-relative demande --shoreline.');
+  if (conditionSets.length) args.conditions=BodyboardConditions.mergeSeries(conditionSets);
+  args.options=options;
+  return args;
+}
+
+// ---------- Fichiers ----------
+async function collectFiles(paths, recursive){
+  const exts=new Set(supportedExtensions());
+  const files=[];
+  async function walk(dir, depth){
+    const entries=(await fs.readdir(dir,{ withFileTypes:true })).sort((a,b)=>a.name.localeCompare(b.name));
+    for (const e of entries){
+      const full=path.join(dir,e.name);
+      if (e.isDirectory()){ if (recursive) await walk(full, depth+1); }
+      else if (exts.has(path.extname(e.name).toLowerCase())) files.push(full);
+    }
+  }
+  for (const p of paths){
+    let st;
+    try { st=await fs.stat(p); }
+    catch { throw new UsageError(`Chemin introuvable : ${p}`); }
+    if (st.isDirectory()) await walk(p, 0);
+    else files.push(p);   // fichier explicite : on laisse le parseur juger du format
+  }
+  return files;
+}
+
+// ---------- Analyse ----------
+const round = (v, d=1) => Number.isFinite(v) ? Math.round(v*10**d)/10**d : null;
+
+async function analyzeFile(file, options, shore=null, conditions=null){
+  try {
+    const data=await fs.readFile(file);
+    const rawPoints=await parseTrack(path.basename(file), data);
+    const r=analyzeSession(rawPoints, options, null, shore);
+    const waves=BodyboardConditions.annotateWaves(applyScores(annotateWaves(r.waves, r.points, r.segments), r.segments, options.scoring), conditions);
+    const best=bestWave(waves);
+    return {
+      file, ok:true,
+      session: {
+        start: r.points[0]?.time?.toISOString?.() ?? null,
+        points: r.points.length,
+        rejectedPoints: r.rejectedPointCount,
+        distM: round(r.stats.distM,0),
+        durationS: round(r.stats.durationS,0),
+        movingS: round(r.stats.movingS,0),
+        avgKmh: round(r.stats.avgKmh),
+        maxKmh: round(r.stats.maxKmh),
+        gapCount: r.stats.gapCount,
+        thresholdKmh: round(r.baseThresholdKmh),
+        waveCount: waves.length,
+        maneuverCount: countManeuvers(waves).total,
+        rejectedByDirection: r.rejectedCount,
+        bestWaveScore: best ? best.score : null,
+        bestWaveMaxKmh: best ? round(best.maxKmh) : null
+      },
+      waves: waves.map((w,i)=>({
+        n: i+1,
+        start: w.startTime ? w.startTime.toISOString() : null,
+        distM: round(w.distM,0),
+        durationS: round(w.durationS),
+        maxKmh: round(w.maxKmh),
+        avgKmh: round(w.avgKmh),
+        directionDeg: round(w.directionDeg,0),
+        score: w.score,
+        rank: w.scoreRank,
+        type: w.category,
+        maneuvers: w.maneuvers.map(m=>`${m.type} ${m.angleDeg}°`).join(' ; '),
+        shoreSide: w.shoreSide ?? null,
+        shoreAngleDeg: round(w.shoreAngleDeg,0),
+        shoreTakeoffM: round(w.shoreTakeoffM,0),
+        shoreGainM: round(w.shoreGainM,0),
+        tideM: round(w.conditions?.tideM, 2),
+        tideStage: w.conditions?.tideStage ?? null,
+        swellM: round(w.conditions?.swellM, 2),
+        swellPeriodS: round(w.conditions?.swellPeriodS),
+        swellDirDeg: round(w.conditions?.swellDirDeg, 0),
+        windKmh: round(w.conditions?.windKmh),
+        windDirDeg: round(w.conditions?.windDirDeg, 0)
+      }))
+    };
+  } catch (err){
+    return { file, ok:false, error: err.message || String(err) };
+  }
+}
+
+// ---------- Sorties ----------
+const SESSION_COLUMNS = ['file','start','points','distM','durationS','movingS','avgKmh','maxKmh','gapCount','thresholdKmh','waveCount','maneuverCount','bestWaveScore','bestWaveMaxKmh','error'];
+const WAVE_COLUMNS = ['file','n','start','distM','durationS','maxKmh','avgKmh','directionDeg','score','rank','type','maneuvers','shoreSide','shoreAngleDeg','shoreTakeoffM','shoreGainM',
+  'tideM','tideStage','swellM','swellPeriodS','swellDirDeg','windKmh','windDirDeg'];
+
+function sessionRows(results){
+  return results.map(r=>r.ok ? { file:r.file, ...r.session, error:'' } : { file:r.file, error:r.error });
+}
+function waveRows(results){
+  return results.filter(r=>r.ok).flatMap(r=>r.waves.map(w=>({ file:r.file, ...w })));
+}
+
+function mdCell(v){
+  return v==null ? '' : String(v).replace(/\|/g,'\\|').replace(/\r?\n/g,' ');
+}
+function toMarkdownTable(rows, columns){
+  const lines=[`| ${columns.join(' | ')} |`, `| ${columns.map(()=>'---').join(' | ')} |`];
+  rows.forEach(r=>lines.push(`| ${columns.map(c=>mdCell(r[c])).join(' | ')} |`));
+  return lines.join('\n');
+}
+
+function formatOutput(results, args){
+  if (args.format==='csv'){
+    return args.table==='sessions' ? toCSV(sessionRows(results), SESSION_COLUMNS) : toCSV(waveRows(results), WAVE_COLUMNS);
+  }
+  if (args.format==='md'){
+    const waves=waveRows(results);
+    return [
+      '## Sessions', '', toMarkdownTable(sessionRows(results), SESSION_COLUMNS), '',
+      '## Vagues', '', waves.length ? toMarkdownTable(waves, WAVE_COLUMNS) : '_Aucune vague détectée._', ''
+    ].join('\n');
+  }
+  return JSON.stringify({ options: args.options, sessions: results }, null, 2)+'\n';
+}
+
+function usage(){
+  const lines=(require('fs').readFileSync(__filename,'utf8').match(/\/\*([\s\S]*?)\*\//)?.[1] || '').split('\n');
+  return lines.map(l=>l.replace(/^ \* ?/,'')).join('\n').trim()+'\n';
+}
+
+// ---------- Main ----------
+async function main(argv){
+  let args;
+  try {
+    args=await parseArgs(argv);
+    if (args.help){ process.stdout.write(usage()); return EXIT_OK; }
+    if (!args.paths.length) throw new UsageError('Aucun fichier ni dossier indiqué.');
+    args.files=await collectFiles(args.paths, args.recursive);
+    if (!args.files.length) throw new UsageError(`Aucun fichier de trace trouvé (${supportedExtensions().join(', ')}).`);
+  } catch (err){
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`Erreur : ${err.message}\nVoir --help.\n`);
+    return EXIT_USAGE;
+  }
+
+  const results=[];
+  for (const file of args.files) results.push(await analyzeFile(file, args.options, args.shore, args.conditions));
+  process.stdout.write(formatOutput(results, args));
+
+  const failed=results.filter(r=>!r.ok);
+  failed.forEach(r=>process.stderr.write(`Illisible : ${r.file} – ${r.error}\n`));
+  return failed.length ? EXIT_UNPARSABLE : EXIT_OK;
+}
+
+if (require.main===module){
+  main(process.argv.slice(2)).then(code=>{ process.exitCode=code; }, err=>{
+    process.stderr.write(`${err.stack || err}\n`);
+    process.exitCode=EXIT_INTERNAL;
+  });
+}
+
+module.exports = { main, parseArgs, analyzeFile, formatOutput };
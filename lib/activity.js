@@ -0,0 +1,166 @@
+/* Bodyboard – segmentation d’activité (glisse / rame / attente au pic / plage)
+ * ------------------------------------------------------------------
+ * Chaque segment reçoit un état par un modèle de Markov caché (Viterbi) :
+ *   - observations : vitesse, cap relatif au sens des vagues, distance au bord (côté plage),
+ *     appartenance à une vague détectée ;
+ *   - transitions « collantes » : on ne change d’état qu’avec des observations cohérentes.
+ * Le bord est estimé le long de l’axe des vagues (elles déferlent vers la plage) ;
+ * options.shoreDistanceM(point) permet de fournir une vraie distance au rivage.
+ * Navigateur : global `BodyboardActivity` ; Node : `require('./lib/activity')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardActivity=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  // Ordre des états = ordre des colonnes des matrices ci-dessous
+  const STATES = ['riding','paddling','lineup','beach'];
+
+  const DEFAULT_ACTIVITY_OPTIONS = {
+    waveDirectionDeg: NaN,   // NaN → estimé à partir des vagues
+    shoreDistanceM: null,    // (point) => m ; null → estimation le long de l’axe des vagues
+    stayProb: 0.97,          // probabilité de rester dans le même état d’un segment à l’autre
+    paddleKmh: 3.5,          // vitesse typique de rame
+    lineupMaxKmh: 1.5,       // dérive au pic
+    beachZoneM: 50           // bande côté plage
+  };
+
+  // Probabilités relatives de sortie de chaque état (lignes : depuis, colonnes : vers)
+  const EXIT_WEIGHTS = [
+    [0,   0.6,  0.3,  0.1],
+    [0.3, 0,    0.5,  0.2],
+    [0.35,0.6,  0,    0.05],
+    [0.05,0.8,  0.15, 0]
+  ];
+
+  const toRad = d=>d*Math.PI/180;
+  const gaussLog = (x, mean, sd)=>-0.5*((x-mean)/sd)**2-Math.log(sd);
+
+  // Sens moyen des vagues (moyenne circulaire pondérée par la distance)
+  function estimateWaveDirection(waves){
+    let sin=0, cos=0;
+    waves.forEach(w=>{
+      if (!Number.isFinite(w.directionDeg)) return;
+      const weight=Number.isFinite(w.distM) && w.distM>0 ? w.distM : 1;
+      sin+=weight*Math.sin(toRad(w.directionDeg)); cos+=weight*Math.cos(toRad(w.directionDeg));
+    });
+    if (Math.abs(sin)<1e-9 && Math.abs(cos)<1e-9) return NaN;
+    return (Math.atan2(sin,cos)*180/Math.PI+360)%360;
+  }
+
+  // Distance (m) au bord côté plage, estimée par projection sur l’axe des vagues :
+  // le bord est le 98e centile des positions les plus « en aval ».
+  function shoreDistanceAlongAxis(points, directionDeg){
+    if (!Number.isFinite(directionDeg) || !points.length) return null;
+    const lat0=points[0].lat, lon0=points[0].lon, k=Math.cos(toRad(lat0));
+    const ux=Math.sin(toRad(directionDeg)), uy=Math.cos(toRad(directionDeg));
+    const project=p=>((p.lon-lon0)*k*ux+(p.lat-lat0)*uy)*111320;
+    const sorted=points.map(project).sort((a,b)=>a-b);
+    const shore=sorted[Math.min(sorted.length-1, Math.floor(sorted.length*0.98))];
+    return p=>Math.max(0, shore-project(p));
+  }
+
+  function emissionLogs(seg, ctx){
+    const v=Number.isFinite(seg.speedKmh) ? seg.speedKmh : 0;
+    if (ctx.inWave) return [0, -6, -6, -10];
+    const moving=v>=ctx.lineupMaxKmh;
+    const c=moving && Number.isFinite(ctx.relHeadingDeg) ? Math.cos(toRad(ctx.relHeadingDeg)) : 0;
+    const nearShore=Number.isFinite(ctx.shoreM) && ctx.shoreM<=ctx.beachZoneM;
+    const farFromShore=Number.isFinite(ctx.shoreM) ? Math.max(0, ctx.shoreM-ctx.beachZoneM) : NaN;
+
+    const paddling=gaussLog(v, ctx.paddleKmh, 1.8) + (c<-0.3 ? 0.5 : c>0.5 ? -0.3 : 0) + (nearShore ? -1 : 0);
+    const lineup=gaussLog(Math.max(0,v-ctx.lineupMaxKmh/2), 0, 0.9) + (nearShore ? -2 : 0);
+    const beach = Number.isFinite(farFromShore)
+      ? Math.max(-12, -0.5*(farFromShore/15)**2) + gaussLog(v, 2, 3)
+      : -4 + gaussLog(v, 2, 3);
+    return [-12, paddling, lineup, beach];
+  }
+
+  // Viterbi sur une portion continue (sans coupure) ; renvoie les états de chaque segment
+  function viterbi(obs, transLog){
+    const n=obs.length, S=STATES.length;
+    if (!n) return [];
+    const back=new Array(n);
+    let score=obs[0].map(o=>o-Math.log(S));
+    for (let t=1;t<n;t++){
+      const next=new Array(S), from=new Int8Array(S);
+      for (let j=0;j<S;j++){
+        let best=-Infinity, arg=0;
+        for (let i=0;i<S;i++){ const v=score[i]+transLog[i][j]; if (v>best){ best=v; arg=i; } }
+        next[j]=best+obs[t][j]; from[j]=arg;
+      }
+      back[t]=from; score=next;
+    }
+    const path=new Array(n);
+    let cur=score.indexOf(Math.max(...score));
+    for (let t=n-1;t>=0;t--){ path[t]=cur; if (t>0) cur=back[t][cur]; }
+    return path;
+  }
+
+  function transitionLogs(stayProb){
+    return EXIT_WEIGHTS.map((row,i)=>row.map((w,j)=>Math.log(i===j ? stayProb : Math.max(1e-9, (1-stayProb)*w))));
+  }
+
+  // states[i] : état du segment i (null pour une coupure) ; runs : portions continues d’un même état
+  function segmentActivity(points, segments, waves, options={}){
+    const opts={ ...DEFAULT_ACTIVITY_OPTIONS, ...options };
+    const waveDirectionDeg=Number.isFinite(opts.waveDirectionDeg) ? opts.waveDirectionDeg : estimateWaveDirection(waves);
+    const shoreDistance=typeof opts.shoreDistanceM==='function' ? opts.shoreDistanceM : shoreDistanceAlongAxis(points, waveDirectionDeg);
+
+    const inWave=new Uint8Array(segments.length);
+    waves.forEach(w=>{ for (let i=Math.max(0,w.startIdx); i<=Math.min(segments.length-1,w.endIdx); i++) inWave[i]=1; });
+
+    const transLog=transitionLogs(opts.stayProb);
+    const states=new Array(segments.length).fill(null);
+    let chunkStart=0;
+    const flush=end=>{
+      if (end<=chunkStart) return;
+      const obs=[];
+      for (let i=chunkStart;i<end;i++){
+        const s=segments[i];
+        obs.push(emissionLogs(s, {
+          inWave:inWave[i]===1,
+          relHeadingDeg:Number.isFinite(s.bearingDeg) && Number.isFinite(waveDirectionDeg) ? s.bearingDeg-waveDirectionDeg : NaN,
+          shoreM:shoreDistance ? shoreDistance(points[i]) : NaN,
+          paddleKmh:opts.paddleKmh, lineupMaxKmh:opts.lineupMaxKmh, beachZoneM:opts.beachZoneM
+        }));
+      }
+      viterbi(obs, transLog).forEach((st,k)=>{ states[chunkStart+k]=STATES[st]; });
+    };
+    segments.forEach((s,i)=>{ if (s.gap){ flush(i); chunkStart=i+1; } });
+    flush(segments.length);
+
+    const runs=[];
+    const totals={ riding:0, paddling:0, lineup:0, beach:0 };
+    segments.forEach((s,i)=>{
+      const state=states[i], dt=Number.isFinite(s.dtS) && s.dtS>0 ? s.dtS : 0;
+      if (state) totals[state]+=dt;
+      const last=runs[runs.length-1];
+      if (last && last.state===state){ last.endIdx=i; last.durationS+=dt; }
+      else runs.push({ state, startIdx:i, endIdx:i, durationS:dt });
+    });
+
+    return { states, runs, totals, waveDirectionDeg, perWave:waveTimings(segments, states, waves) };
+  }
+
+  // Par vague : attente au pic avant le départ (depuis la vague précédente) et rame après (jusqu’à la suivante)
+  function waveTimings(segments, states, waves){
+    const sumState=(from, to, state)=>{
+      let total=0;
+      for (let i=Math.max(0,from); i<=Math.min(segments.length-1,to); i++){
+        if (states[i]===state && Number.isFinite(segments[i].dtS)) total+=segments[i].dtS;
+      }
+      return total;
+    };
+    return waves.map((w,k)=>({
+      waitBeforeS: sumState(k>0 ? waves[k-1].endIdx+1 : 0, w.startIdx-1, 'lineup'),
+      paddleBackS: sumState(w.endIdx+1, k<waves.length-1 ? waves[k+1].startIdx-1 : segments.length-1, 'paddling')
+    }));
+  }
+
+  return {
+    STATES, DEFAULT_ACTIVITY_OPTIONS,
+    estimateWaveDirection, shoreDistanceAlongAxis, segmentActivity, waveTimings
+  };
+});
@@ -0,0 +1,630 @@
+/* Bodyboard – moteur d’analyse (filtrage → segments → stats → vagues)
+ * ------------------------------------------------------------------
+ * Module pur, sans DOM ni Leaflet : chaque fonction prend ses données et ses
+ * options en paramètres et renvoie un résultat, sans état global.
+ * Navigateur : global `BodyboardAnalysis` ; Node : `require('./lib/analysis')`.
+ *
+ * Pipeline : analyzeSession(rawPoints, options, edits)
+ *   preprocessPoints → computeSegmentsAndStats → detectWavesV2 → enrichWave → filtre de sens → retouches
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardAnalysis=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  // ---------- Constantes ----------
+  // Coupure (gap) : nouveau trkseg / pause chrono signalés par le parseur, ou trou de temps/distance.
+  // Un segment "gap" relie deux portions sans être une mesure : vitesse nulle, exclu des stats et de la détection.
+  const GAP_MAX_DT_S = 20;
+  const GAP_MAX_DIST_M = 150;
+  const MOVING_MIN_KMH = 1.5;   // en-dessous : immobile (compte dans la durée totale, pas dans le temps en mouvement)
+  const FILTER_MAX_CONSECUTIVE_REJECTS = 5;   // au-delà, on considère que c’est le point de référence qui était faux
+
+  // Valeurs par défaut communes à l’UI et aux scripts (mêmes défauts que les champs du panneau)
+  const DEFAULT_OPTIONS = {
+    baseThresholdKmh: null,   // null → seuil automatique (computeAutoThreshold)
+    minDurationS: 2,
+    useAdaptive: true, winSec: 8, kSigma: 0.8,
+    dropPct: 35, endGraceS: 1,
+    dirStdMaxDeg: 25,
+    direction: { enabled:false, direction:0, tolerance:45, reference:'compass' },   // reference 'shore' : angle à la normale du rivage
+    filter: { enabled:false, maxSpeedKmh:45, maxAccelMS2:6, smooth:true, gpsNoiseM:5, medianWindow:1 }
+  };
+
+  // ------------- Helpers géo ------------
+  const toRad = d => d * Math.PI / 180;
+  function haversineDistanceM(a, b){
+    const R = 6371000;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const lat1 = toRad(a.lat);
+    const lat2 = toRad(b.lat);
+    const h = Math.sin(dLat/2)**2 + Math.cos(lat1)*Math.cos(lat2)*Math.sin(dLon/2)**2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+  }
+  function clamp(v,min,max){return Math.max(min, Math.min(max, v));}
+  function normalizeBearing(deg){ if (!Number.isFinite(deg)) return NaN; const w=deg%360; return w<0?w+360:w; }
+  function angularDifference(a,b){
+    if (!Number.isFinite(a)||!Number.isFinite(b)) return NaN;
+    const diff = Math.abs(normalizeBearing(a)-normalizeBearing(b))%360;
+    return diff>180?360-diff:diff;
+  }
+  function bearingDegrees(a,b){
+    const lat1=toRad(a.lat), lat2=toRad(b.lat);
+    const dLon=toRad(b.lon-a.lon);
+    const y=Math.sin(dLon)*Math.cos(lat2);
+    const x=Math.cos(lat1)*Math.sin(lat2)-Math.sin(lat1)*Math.cos(lat2)*Math.cos(dLon);
+    return normalizeBearing(Math.atan2(y,x)*180/Math.PI);
+  }
+  function circularStdDeg(samples){
+    const vals = samples.filter(Number.isFinite);
+    if (!vals.length) return NaN;
+    const sin = vals.reduce((a,d)=>a+Math.sin(toRad(d)),0);
+    const cos = vals.reduce((a,d)=>a+Math.cos(toRad(d)),0);
+    const R = Math.sqrt(sin*sin+cos*cos)/vals.length;
+    // std angulaire approx : sqrt(-2 ln R) en radians
+    return Math.sqrt(Math.max(0, -2*Math.log(Math.max(R,1e-9))))*180/Math.PI;
+  }
+  function timeMs(p){ return p?.time?.getTime?.() ?? NaN; }
+
+  // ---- Filtrage GPS (pré-traitement) --
+  // rawPoints → points : rejet des sauts impossibles (vitesse / accélération), puis lissage
+  // Kalman à vitesse constante + passe arrière RTS. Le lissage médian des vitesses est appliqué
+  // ensuite, dans computeSegmentsAndStats.
+  function filterPoints(pts, opts={}){
+    const { maxSpeedKmh=45, maxAccelMS2=6, smooth=true, gpsNoiseM=5, accelNoiseMS2=1.5 } = opts;
+    const kept=[]; let rejected=0, streak=0, pendingBreak=false, lastSpeedMS=null;
+    for (const p of pts){
+      const prev=kept[kept.length-1];
+      if (p.breakBefore) pendingBreak=true;
+      const dt = prev ? (timeMs(p)-timeMs(prev))/1000 : NaN;
+      const restart = !prev || pendingBreak || !Number.isFinite(dt) || dt>GAP_MAX_DT_S;
+      if (!restart){
+        const v=haversineDistanceM(prev,p)/Math.max(dt,1e-3);
+        const accel=lastSpeedMS!==null ? Math.abs(v-lastSpeedMS)/Math.max(dt,1e-3) : 0;
+        const implausible = dt<=0 || v*3.6>maxSpeedKmh || accel>maxAccelMS2;
+        if (implausible && streak<FILTER_MAX_CONSECUTIVE_REJECTS){ rejected++; streak++; continue; }
+        lastSpeedMS = implausible ? null : v;
+      } else lastSpeedMS=null;
+      const q={...p}; delete q.breakBefore;
+      if (pendingBreak && kept.length) q.breakBefore=true;
+      kept.push(q); streak=0; pendingBreak=false;
+    }
+    return { points: smooth ? kalmanSmooth(kept, gpsNoiseM, accelNoiseMS2) : kept, rejected };
+  }
+
+  // Kalman position/vitesse par axe (plan tangent local, mètres) + lissage RTS.
+  // Les deux axes partagent la même covariance (mêmes bruits) : P est calculée une seule fois.
+  function kalmanSmooth(pts, gpsNoiseM, accelNoiseMS2){
+    if (pts.length<3) return pts;
+    const out=pts.map(p=>({...p}));
+    let start=0;
+    for (let i=1;i<=pts.length;i++){
+      const dt=i<pts.length ? (timeMs(pts[i])-timeMs(pts[i-1]))/1000 : NaN;
+      const cut = i===pts.length || pts[i].breakBefore || !Number.isFinite(dt) || dt>GAP_MAX_DT_S;
+      if (cut){ smoothRun(pts, out, start, i, gpsNoiseM, accelNoiseMS2); start=i; }
+    }
+    return out;
+  }
+  function smoothRun(pts, out, from, to, gpsNoiseM, accelNoiseMS2){
+    const n=to-from; if (n<3) return;
+    const lat0=pts[from].lat, lon0=pts[from].lon, R=6371000;
+    const kx=toRad(1)*R*Math.cos(toRad(lat0)), ky=toRad(1)*R;
+    const r=gpsNoiseM*gpsNoiseM, q=accelNoiseMS2*accelNoiseMS2;
+
+    // états filtrés (f) et prédits (p) : [pos, vel] par axe, covariance [p00,p01,p11]
+    const xf=[], yf=[], Pf=[], xp=[], yp=[], Pp=[], dts=[];
+    let x=[(pts[from].lon-lon0)*kx,0], y=[(pts[from].lat-lat0)*ky,0], P=[r,0,100];
+    for (let k=0;k<n;k++){
+      const p=pts[from+k];
+      const dt = k ? Math.max(0,(timeMs(p)-timeMs(pts[from+k-1]))/1000) : 0;
+      dts.push(dt);
+      // prédiction
+      x=[x[0]+dt*x[1],x[1]]; y=[y[0]+dt*y[1],y[1]];
+      const dt2=dt*dt, dt3=dt2*dt;
+      P=[ P[0]+2*dt*P[1]+dt2*P[2]+q*dt3/3, P[1]+dt*P[2]+q*dt2/2, P[2]+q*dt ];
+      xp.push(x); yp.push(y); Pp.push(P);
+      // mise à jour (mesure de position)
+      const S=P[0]+r, K0=P[0]/S, K1=P[1]/S;
+      const zx=(p.lon-lon0)*kx, zy=(p.lat-lat0)*ky;
+      x=[x[0]+K0*(zx-x[0]), x[1]+K1*(zx-x[0])];
+      y=[y[0]+K0*(zy-y[0]), y[1]+K1*(zy-y[0])];
+      P=[ (1-K0)*P[0], (1-K0)*P[1], P[2]-K1*P[1] ];
+      xf.push(x); yf.push(y); Pf.push(P);
+    }
+    // passe arrière RTS
+    let xs=xf[n-1], ys=yf[n-1];
+    for (let k=n-2;k>=0;k--){
+      const dt=dts[k+1], f=Pf[k], pp=Pp[k+1];
+      // C = Pf·Fᵀ·Pp⁻¹
+      const a=f[0]+dt*f[1], b=f[1], c=f[1]+dt*f[2], d=f[2];   // Pf·Fᵀ = [[a,b],[c,d]]
+      const det=pp[0]*pp[2]-pp[1]*pp[1];
+      if (Math.abs(det)<1e-12){ xs=xf[k]; ys=yf[k]; }
+      else {
+        const i0=pp[2]/det, i1=-pp[1]/det, i2=pp[0]/det;
+        const C=[ a*i0+b*i1, a*i1+b*i2, c*i0+d*i1, c*i1+d*i2 ];   // [c00,c01,c10,c11]
+        const dx=[xs[0]-xp[k+1][0], xs[1]-xp[k+1][1]], dy=[ys[0]-yp[k+1][0], ys[1]-yp[k+1][1]];
+        xs=[xf[k][0]+C[0]*dx[0]+C[1]*dx[1], xf[k][1]+C[2]*dx[0]+C[3]*dx[1]];
+        ys=[yf[k][0]+C[0]*dy[0]+C[1]*dy[1], yf[k][1]+C[2]*dy[0]+C[3]*dy[1]];
+      }
+      out[from+k].lon=lon0+xs[0]/kx; out[from+k].lat=lat0+ys[0]/ky;
+    }
+    out[to-1].lon=lon0+xf[n-1][0]/kx; out[to-1].lat=lat0+yf[n-1][0]/ky;
+  }
+
+  // Filtrage optionnel : sans filtre actif, les points bruts sont renvoyés tels quels
+  function preprocessPoints(rawPoints, filter={}){
+    if (!filter.enabled) return { points: rawPoints, rejected: 0 };
+    return filterPoints(rawPoints, filter);
+  }
+
+  // ---- Calculs & Stats --------------
+  function computeSegmentsAndStats(points, { medianWindow=1 }={}){
+    const segments=[]; let distM=0, movingS=0, maxKmh=0, gapCount=0;
+    for (let i=1;i<points.length;i++){
+      const a=points[i-1], b=points[i];
+      const d=haversineDistanceM(a,b);
+      const tA=timeMs(a), tB=timeMs(b);
+      const dt=Number.isFinite(tA)&&Number.isFinite(tB)?(tB-tA)/1000:NaN;
+      const gap=Boolean(b.breakBefore) || (Number.isFinite(dt)&&dt>GAP_MAX_DT_S) || d>GAP_MAX_DIST_M;
+      const speedMS=(!gap&&Number.isFinite(dt)&&dt>0)?d/dt:0;
+      const speedKmh=speedMS*3.6;
+      const bearingDeg=Number.isFinite(d)?bearingDegrees({lat:a.lat,lon:a.lon},{lat:b.lat,lon:b.lon}):NaN;
+      segments.push({ a:[a.lat,a.lon], b:[b.lat,b.lon], distM:d, dtS:dt, speedKmh, bearingDeg, accelKmhS:0, gap });
+    }
+    if (medianWindow>1) medianSmoothSpeeds(segments, medianWindow);
+
+    segments.forEach((s,i)=>{
+      const prev=segments[i-1];
+      if (!s.gap && prev && !prev.gap && Number.isFinite(prev.dtS) && prev.dtS>0){
+        s.accelKmhS = (s.speedKmh - prev.speedKmh) / prev.dtS;
+      }
+      if (s.gap){ gapCount++; return; }
+      if (Number.isFinite(s.distM)) distM+=s.distM;
+      if (Number.isFinite(s.dtS)&&s.dtS>0&&s.speedKmh>=MOVING_MIN_KMH) movingS+=s.dtS;
+      if (s.speedKmh>maxKmh) maxKmh=s.speedKmh;
+    });
+    // durée écoulée : du premier au dernier horodatage, pauses comprises
+    const times=points.map(timeMs).filter(Number.isFinite);
+    const durationS=times.length>1 ? (times[times.length-1]-times[0])/1000 : 0;
+    const avgKmh = (distM/1000) / (movingS/3600 || 1e-9);
+    return { segments, stats: { distM, durationS, movingS, avgKmh, maxKmh, gapCount } };
+  }
+
+  // Médiane glissante (fenêtre centrée de `win` segments) sur les vitesses, sans franchir les coupures
+  function medianSmoothSpeeds(segs, win){
+    const half=Math.floor(win/2);
+    const raw=segs.map(s=>s.speedKmh);
+    for (let i=0;i<segs.length;i++){
+      if (segs[i].gap) continue;
+      const vals=[raw[i]];
+      for (let j=i-1;j>=i-half&&j>=0&&!segs[j].gap;j--) vals.push(raw[j]);
+      for (let j=i+1;j<=i+half&&j<segs.length&&!segs[j].gap;j++) vals.push(raw[j]);
+      vals.sort((a,b)=>a-b);
+      const m=Math.floor(vals.length/2);
+      segs[i].speedKmh = vals.length%2 ? vals[m] : 0.5*(vals[m-1]+vals[m]);
+    }
+  }
+
+  // Seuil suggéré : 75e centile des vitesses de déplacement
+  function computeAutoThreshold(segs){
+    const speeds=segs.filter(s=>!s.gap).map(s=>s.speedKmh).filter(v=>Number.isFinite(v)&&v>1);
+    if (!speeds.length) return 15;
+    speeds.sort((a,b)=>a-b);
+    const idx=Math.floor(0.75*(speeds.length-1));
+    const candidate=speeds[idx];
+    return clamp(candidate,5,120);
+  }
+
+  // ---- Détection des vagues v2 ----
+  // Fenêtre glissante : valeurs triées (insertion/retrait par dichotomie) pour la médiane,
+  // moyenne/variance mises à jour à chaque entrée/sortie (Welford) → pas de tri complet par segment
+  function createRollingStats(){
+    const sorted=[]; let n=0, mean=0, m2=0;
+    const lowerBound=v=>{
+      let lo=0, hi=sorted.length;
+      while (lo<hi){ const mid=(lo+hi)>>1; if (sorted[mid]<v) lo=mid+1; else hi=mid; }
+      return lo;
+    };
+    return {
+      add(v){
+        sorted.splice(lowerBound(v), 0, v);
+        n++; const d=v-mean; mean+=d/n; m2+=d*(v-mean);
+      },
+      remove(v){
+        const i=lowerBound(v); if (sorted[i]!==v) return;
+        sorted.splice(i, 1);
+        if (--n===0){ mean=0; m2=0; return; }
+        const d=v-mean; mean-=d/n; m2-=d*(v-mean);
+      },
+      clear(){ sorted.length=0; n=0; mean=0; m2=0; },
+      get size(){ return n; },
+      median(){
+        if (!n) return 0;
+        const mid=n>>1;
+        return n%2 ? sorted[mid] : 0.5*(sorted[mid-1]+sorted[mid]);
+      },
+      std(){ return n>1 ? Math.sqrt(Math.max(0, m2/(n-1))) : 0; }
+    };
+  }
+
+  function computeLocalStats(segments, winSec){
+    // renvoie un tableau localStats[i] = {median, std} sur les winSec secondes qui se terminent au segment i
+    const localStats = new Array(segments.length).fill(null);
+    if (!segments.length || winSec<=0) return localStats;
+
+    let left=0; let timeSpan=0;
+    const speeds = segments.map(s=>s.speedKmh||0);
+    const rolling = createRollingStats();
+    const push = v=>{ if (Number.isFinite(v)) rolling.add(v); };
+    const pop = v=>{ if (Number.isFinite(v)) rolling.remove(v); };
+    for (let right=0; right<segments.length; right++){
+      // la fenêtre ne traverse jamais une coupure : elle repart du segment suivant
+      if (segments[right].gap){
+        localStats[right] = { median: 0, std: 0 };
+        left=right+1; timeSpan=0; rolling.clear(); continue;
+      }
+      const dtR = Number.isFinite(segments[right].dtS)?segments[right].dtS:0;
+      timeSpan += dtR;
+      push(speeds[right]);
+
+      // ajuster la fenêtre pour ne pas dépasser winSec
+      while (timeSpan > winSec && left<right){
+        const dtL = Number.isFinite(segments[left].dtS)?segments[left].dtS:0;
+        timeSpan -= dtL;
+        pop(speeds[left]);
+        left++;
+      }
+      localStats[right] = { median: rolling.median(), std: rolling.std() };
+    }
+    return localStats;
+  }
+
+  function detectWavesV2(segments, options={}){
+    const {
+      baseThresholdKmh=15, minDurationS=2,
+      useAdaptive=true, winSec=8, kSigma=0.8,
+      dropPct=35, endGraceS=1,
+      dirStdMaxDeg=25
+    } = options;
+
+    const found=[];
+    const local = useAdaptive ? computeLocalStats(segments, winSec) : null;
+
+    let cur=null;
+    let timeOver=0;         // temps cumulé sur la vague
+    let timeUnderPeak=0;    // grâce de fin quand on est sous le critère de fin
+
+    for (let i=0;i<segments.length;i++){
+      const s=segments[i];
+      const dt = Number.isFinite(s.dtS) && s.dtS>0 ? s.dtS : 0;
+
+      // une vague ne traverse jamais une coupure : on la clôt telle quelle
+      if (s.gap){
+        if (cur && cur.durationS>=minDurationS && cur.segmentIndices.length) found.push(cur);
+        cur=null; timeOver=0; timeUnderPeak=0;
+        continue;
+      }
+
+      // seuil courant (adaptatif ou fixe)
+      let thr = baseThresholdKmh;
+      if (useAdaptive && local && local[i]){
+        const {median,std} = local[i];
+        thr = Math.max(baseThresholdKmh, median + kSigma*std);
+      }
+
+      const over = (s.speedKmh >= thr) && dt>0;
+
+      if (over){
+        if (!cur){
+          cur = {
+            startIdx:i, endIdx:i,
+            distM:0, durationS:0, maxKmh:0,
+            segmentIndices:[], bearings:[], ended:false,
+            peak:0
+          };
+          timeOver=0; timeUnderPeak=0;
+        }
+        cur.endIdx=i;
+        cur.segmentIndices.push(i);
+        cur.distM += (Number.isFinite(s.distM)?s.distM:0);
+        cur.durationS += dt;
+        timeOver += dt;
+        if (s.speedKmh>cur.maxKmh){ cur.maxKmh=s.speedKmh; cur.peak = s.speedKmh; }
+        if (Number.isFinite(s.bearingDeg)) cur.bearings.push(s.bearingDeg);
+
+        // tant qu'on est au-dessus du seuil, reset la grâce de fin
+        timeUnderPeak=0;
+      } else if (cur){
+        // critère de fin : chute relative vs pic
+        const v = s.speedKmh||0;
+        const drop = cur.peak>0 ? (1 - v/cur.peak)*100 : 100;
+        const below = drop >= dropPct;
+        if (below){
+          timeUnderPeak += dt;
+          if (timeUnderPeak >= endGraceS){
+            // on valide la vague si durée suffisante
+            if (cur.durationS >= minDurationS && cur.segmentIndices.length){
+              found.push(cur);
+            }
+            cur=null; timeOver=0; timeUnderPeak=0;
+          }
+        } else {
+          // pas assez de drop → on continue la vague
+          cur.endIdx=i;
+          cur.segmentIndices.push(i);
+          cur.distM += (Number.isFinite(s.distM)?s.distM:0);
+          cur.durationS += dt;
+          if (s.speedKmh>cur.maxKmh){ cur.maxKmh=s.speedKmh; cur.peak = s.speedKmh; }
+          if (Number.isFinite(s.bearingDeg)) cur.bearings.push(s.bearingDeg);
+          timeUnderPeak=0;
+        }
+      }
+    }
+    // fin de trace
+    if (cur && cur.durationS>=minDurationS && cur.segmentIndices.length){
+      found.push(cur);
+    }
+
+    // filtre de stabilité de direction (écart-type angulaire max)
+    const stable = found.filter(w=>{
+      const std = circularStdDeg(w.bearings||[]);
+      return !Number.isFinite(dirStdMaxDeg) || isNaN(std) || std<=dirStdMaxDeg;
+    });
+
+    return stable;
+  }
+
+  // ---- Enrichissement d’une vague ----
+  // bounds / startPoint / midPoint sont de simples tableaux [lat, lon] (acceptés tels quels par Leaflet).
+  function enrichWave(w, points, segments){
+    const overIdx = Array.isArray(w.segmentIndices)?[...new Set(w.segmentIndices)]:[];
+    overIdx.sort((a,b)=>a-b);
+    const hasOver=overIdx.length>0;
+    const start = hasOver?Math.max(0,overIdx[0]):Math.max(0,w.startIdx);
+    const endCandidate=hasOver?overIdx[overIdx.length-1]:w.endIdx;
+    const end=Math.min(segments.length-1,endCandidate);
+
+    const indices=[]; for (let i=start;i<=end;i++) indices.push(i);
+    const slice=points.slice(start,end+2);
+    const latlngs=slice.map(p=>[p.lat,p.lon]);
+
+    const startSource=points[start] ?? slice[0] ?? null;
+    const bounds = latlngs.length ? [
+      [Math.min(...latlngs.map(c=>c[0])), Math.min(...latlngs.map(c=>c[1]))],
+      [Math.max(...latlngs.map(c=>c[0])), Math.max(...latlngs.map(c=>c[1]))]
+    ] : null;
+    const startPoint = startSource ? [startSource.lat,startSource.lon] : null;
+    const midPoint = latlngs.length ? latlngs[Math.floor(latlngs.length/2)] : null;
+
+    // direction moyenne (circular mean)
+    let directionDeg=NaN;
+    const bearingSamples = indices.map(i=>segments[i]?.bearingDeg).filter(Number.isFinite);
+    if (bearingSamples.length){
+      const sin=bearingSamples.reduce((a,d)=>a+Math.sin(toRad(d)),0);
+      const cos=bearingSamples.reduce((a,d)=>a+Math.cos(toRad(d)),0);
+      if (Math.abs(sin)>1e-6||Math.abs(cos)>1e-6){
+        directionDeg=normalizeBearing(Math.atan2(sin,cos)*180/Math.PI);
+      }
+    } else if (slice.length>=2){
+      const first=slice[0], last=slice[slice.length-1];
+      directionDeg=bearingDegrees({lat:first.lat,lon:first.lon},{lat:last.lat,lon:last.lon});
+    }
+
+    const avgKmh = w.durationS>0 ? (w.distM/w.durationS*3.6) : NaN;
+
+    // Pic (index et valeur)
+    let peakIdx = indices[0], peakVal = -Infinity;
+    indices.forEach(i=>{ const v=segments[i]?.speedKmh ?? -Infinity; if (v>peakVal){ peakVal=v; peakIdx=i; } });
+
+    // sparkline data (vitesse)
+    const speeds = indices.map(i=>segments[i]?.speedKmh ?? 0);
+    return {
+      ...w, startIdx:start, endIdx:end, indices,
+      bounds, startPoint, midPoint, directionDeg, avgKmh, startTime:(startSource?.time instanceof Date && !isNaN(startSource.time))?startSource.time:null,
+      peakIdx, peakVal, speeds
+    };
+  }
+
+  // Filtre de sens (optionnel) : garde les vagues dont la direction est dans la tolérance ;
+  // en référence « rivage », on compare l’angle signé à la normale (shoreAngleDeg, négatif = gauche)
+  function filterByDirection(ws, direction){
+    if (!direction?.enabled) return { waves: ws, rejectedCount: 0 };
+    const key=direction.reference==='shore' ? 'shoreAngleDeg' : 'directionDeg';
+    const kept=ws.filter(w=>{
+      if (!Number.isFinite(w[key])) return false;
+      const delta=angularDifference(w[key],direction.direction);
+      return Number.isFinite(delta) && delta<=direction.tolerance;
+    });
+    return { waves: kept, rejectedCount: ws.length-kept.length };
+  }
+
+  // Sens de glisse dominants : densité circulaire des directionDeg (noyau de von Mises, pondéré par la distance),
+  // puis pics locaux — gauches et droites d’un même pic donnent deux modes.
+  // → [{ directionDeg, share, waveCount, spreadDeg, toleranceDeg }] par part décroissante.
+  function estimateRidingDirections(ws, { kappa=8, minShare=0.2, maxModes=2 }={}){
+    const samples=ws.filter(w=>Number.isFinite(w.directionDeg))
+      .map(w=>({ deg:normalizeBearing(w.directionDeg), weight:Number.isFinite(w.distM) && w.distM>0 ? w.distM : 1 }));
+    if (!samples.length) return [];
+    const density=new Float64Array(360);
+    for (let a=0;a<360;a++) samples.forEach(s=>{ density[a]+=s.weight*Math.exp(kappa*(Math.cos(toRad(a-s.deg))-1)); });
+    const peaks=[];
+    for (let a=0;a<360;a++){
+      if (density[a]>density[(a+359)%360] && density[a]>=density[(a+1)%360]) peaks.push(a);
+    }
+    if (!peaks.length) return [];
+
+    const groups=peaks.map(()=>[]);
+    samples.forEach(s=>{
+      let best=0;
+      peaks.forEach((p,k)=>{ if (angularDifference(s.deg,p)<angularDifference(s.deg,peaks[best])) best=k; });
+      groups[best].push(s);
+    });
+    const total=samples.reduce((a,s)=>a+s.weight,0);
+    return groups.filter(g=>g.length).map(g=>{
+      const weight=g.reduce((a,s)=>a+s.weight,0);
+      const sin=g.reduce((a,s)=>a+s.weight*Math.sin(toRad(s.deg)),0), cos=g.reduce((a,s)=>a+s.weight*Math.cos(toRad(s.deg)),0);
+      const spreadDeg=g.length>1 ? circularStdDeg(g.map(s=>s.deg)) : 0;
+      return {
+        directionDeg:Math.round(normalizeBearing(Math.atan2(sin,cos)*180/Math.PI)),
+        share:weight/total, waveCount:g.length, spreadDeg,
+        toleranceDeg:clamp(Math.round((2*spreadDeg+10)/5)*5, 15, 90)
+      };
+    }).filter(m=>m.share>=minShare).sort((a,b)=>b.share-a.share).slice(0,maxModes);
+  }
+
+  // Position interpolée à l’instant tMs (replay, survol du graphique) :
+  // { lat, lon, segIdx, speedKmh, bearingDeg, gap } ; immobile pendant une coupure
+  function pointAtTime(points, segments, tMs){
+    const n=points.length; if (!n) return null;
+    let lo=0, hi=n-1;
+    if (!(tMs>timeMs(points[0]))) hi=0;
+    else if (tMs>=timeMs(points[n-1])) lo=hi=n-1;
+    while (lo<hi){ const mid=(lo+hi+1)>>1; if (timeMs(points[mid])<=tMs) lo=mid; else hi=mid-1; }
+    const i=Math.min(lo, n-2), a=points[Math.max(0,i)], b=points[Math.max(0,i)+1] ?? a, s=segments[i];
+    const span=timeMs(b)-timeMs(a);
+    const f=s?.gap || !(span>0) ? (tMs>=timeMs(b) ? 1 : 0) : clamp((tMs-timeMs(a))/span, 0, 1);
+    return {
+      lat:a.lat+(b.lat-a.lat)*f, lon:a.lon+(b.lon-a.lon)*f, segIdx:Math.max(0,i),
+      speedKmh:s?.gap ? 0 : (s?.speedKmh ?? NaN), bearingDeg:s?.bearingDeg ?? NaN, gap:Boolean(s?.gap)
+    };
+  }
+
+  // ---- Retouches manuelles ----
+  // edits = { locked:[{start,end}], deleted:[{start,end}], confirmed:[{start,end}] } : plages horaires (ms)
+  // plutôt qu’indices, pour rester valables quand le filtrage GPS retire des points. Une plage verrouillée
+  // remplace toute vague détectée qui la chevauche et échappe aux filtres ; une plage supprimée écarte les
+  // vagues détectées qui la chevauchent. Les deux survivent donc à une nouvelle détection.
+  // confirmed : vagues détectées validées telles quelles (étiquettes du réglage automatique, sans effet ici
+  // sinon le drapeau `confirmed`) ; absent des retouches enregistrées avant son ajout.
+  const EMPTY_EDITS = { locked:[], deleted:[], confirmed:[] };
+  const spansOverlap = (a, b)=>a.start<b.end && b.start<a.end;
+
+  // Vague (indices de segments) → plage horaire [début du 1er segment, fin du dernier]
+  function waveSpan(points, w){
+    const start=timeMs(points[w.startIdx]), end=timeMs(points[w.endIdx+1]);
+    return Number.isFinite(start) && Number.isFinite(end) ? { start, end } : null;
+  }
+  // Plage horaire → indices de segments (null si aucun segment entier n’y tient)
+  function spanToRange(points, span){
+    let lo=0, hi=points.length;
+    while (lo<hi){ const mid=(lo+hi)>>1; if (timeMs(points[mid])<span.start) lo=mid+1; else hi=mid; }
+    const startIdx=lo;
+    lo=0; hi=points.length;
+    while (lo<hi){ const mid=(lo+hi)>>1; if (timeMs(points[mid])<=span.end) lo=mid+1; else hi=mid; }
+    const endIdx=lo-2;   // dernier point dans la plage = lo-1 → dernier segment = lo-2
+    return endIdx>=startIdx ? { startIdx, endIdx } : null;
+  }
+  // Vague brute (même forme que detectWavesV2) sur une plage de segments imposée ; les gaps ne comptent pas
+  function waveFromRange(segments, startIdx, endIdx){
+    const w={ startIdx, endIdx, distM:0, durationS:0, maxKmh:0, peak:0, segmentIndices:[], bearings:[] };
+    for (let i=startIdx;i<=endIdx;i++){
+      const s=segments[i]; if (!s || s.gap) continue;
+      w.segmentIndices.push(i);
+      w.distM+=Number.isFinite(s.distM) ? s.distM : 0;
+      w.durationS+=Number.isFinite(s.dtS) && s.dtS>0 ? s.dtS : 0;
+      if (s.speedKmh>w.maxKmh){ w.maxKmh=s.speedKmh; w.peak=s.speedKmh; }
+      if (Number.isFinite(s.bearingDeg)) w.bearings.push(s.bearingDeg);
+    }
+    return w;
+  }
+  function applyWaveEdits(autoWaves, edits, points, segments){
+    const locked=(edits?.locked || []).map(span=>({ span, range:spanToRange(points, span) })).filter(l=>l.range);
+    const deleted=edits?.deleted || [], confirmed=edits?.confirmed || [];
+    const kept=autoWaves.filter(w=>{
+      const span=waveSpan(points, w); if (!span) return true;
+      return !locked.some(l=>spansOverlap(l.span, span)) && !deleted.some(d=>spansOverlap(d, span));
+    }).map(w=>{
+      const span=waveSpan(points, w);
+      return span && confirmed.some(c=>spansOverlap(c, span)) ? { ...w, confirmed:true } : w;
+    });
+    const manual=locked
+      .map(({ range })=>({ ...enrichWave(waveFromRange(segments, range.startIdx, range.endIdx), points, segments), locked:true }))
+      .filter(w=>w.segmentIndices.length);
+    return kept.concat(manual).sort((a,b)=>a.startIdx-b.startIdx);
+  }
+
+  // Opérations d’édition : chacune renvoie un nouvel objet edits (l’ancien n’est pas modifié)
+  function withLocked(edits, remove, add){
+    const base=edits || EMPTY_EDITS;
+    return {
+      locked: base.locked.filter(l=>!remove.some(r=>spansOverlap(l, r))).concat(add).sort((a,b)=>a.start-b.start),
+      deleted: [...base.deleted],
+      confirmed: (base.confirmed || []).filter(c=>!remove.some(r=>spansOverlap(c, r)))
+    };
+  }
+  const resizeWave = (edits, oldSpan, newSpan)=>withLocked(edits, [oldSpan, newSpan].filter(Boolean), [newSpan]);
+  const addWave = (edits, span)=>withLocked(edits, [span], [span]);
+  const mergeWaves = (edits, a, b)=>{
+    const span={ start:Math.min(a.start,b.start), end:Math.max(a.end,b.end) };
+    return withLocked(edits, [span], [span]);
+  };
+  function splitWave(edits, span, atMs){
+    if (!(atMs>span.start && atMs<span.end)) return edits || EMPTY_EDITS;
+    return withLocked(edits, [span], [{ start:span.start, end:atMs }, { start:atMs, end:span.end }]);
+  }
+  function deleteWave(edits, span){
+    const next=withLocked(edits, [span], []);
+    next.deleted.push({ ...span });
+    return next;
+  }
+
+  // Valide (ou dé-valide) une vague détectée sans la verrouiller
+  function confirmWave(edits, span){
+    const base=edits || EMPTY_EDITS, confirmed=base.confirmed || [];
+    const already=confirmed.some(c=>spansOverlap(c, span));
+    return {
+      locked: [...base.locked], deleted: [...base.deleted],
+      confirmed: already ? confirmed.filter(c=>!spansOverlap(c, span)) : confirmed.concat({ ...span }).sort((a,b)=>a.start-b.start)
+    };
+  }
+
+  // Retouches qui imposent exactement les plages `spans` (session relue d’un export quand une nouvelle
+  // détection ne les retrouve pas) : toutes verrouillées, les autres vagues détectées supprimées.
+  function pinWaveSpans(edits, detectedSpans, spans){
+    const base=edits || EMPTY_EDITS;
+    const extra=detectedSpans.filter(d=>d && !spans.some(s=>spansOverlap(s, d)));
+    return {
+      locked: spans.map(({ start, end })=>({ start, end })).sort((a,b)=>a.start-b.start),
+      deleted: base.deleted.concat(extra),
+      confirmed: [...(base.confirmed || [])]
+    };
+  }
+
+  // Détection + enrichissement + filtre de sens sur des segments déjà calculés,
+  // puis retouches manuelles éventuelles (les vagues verrouillées ne sont pas filtrées) ;
+  // candidates = vagues avant filtre de sens (estimation des sens dominants) ;
+  // shore = BodyboardShore.createShoreFrame(…) optionnel → métriques relatives au rivage sur chaque vague
+  function detectWaves(points, segments, options={}, edits=null, shore=null){
+    const opts={ ...DEFAULT_OPTIONS, ...options };
+    const withShore = w => shore ? { ...w, ...shore.waveMetrics(w, points) } : w;
+    const baseThresholdKmh = Number.isFinite(opts.baseThresholdKmh) ? opts.baseThresholdKmh : computeAutoThreshold(segments);
+    const detected = detectWavesV2(segments, { ...opts, baseThresholdKmh });
+    const enriched = detected.map(w=>withShore(enrichWave(w, points, segments)));
+    const { waves, rejectedCount } = filterByDirection(enriched, opts.direction);
+    const final = edits ? applyWaveEdits(waves, edits, points, segments).map(w=>w.locked ? withShore(w) : w) : waves;
+    return { waves: final, rejectedCount, rawCount: enriched.length, candidates: enriched, baseThresholdKmh };
+  }
+
+  // Pipeline complet : points bruts → { points, segments, stats, waves, … }
+  function analyzeSession(rawPoints, options={}, edits=null, shore=null){
+    const opts={ ...DEFAULT_OPTIONS, ...options };
+    const filter={ ...DEFAULT_OPTIONS.filter, ...(options.filter||{}) };
+    const { points, rejected } = preprocessPoints(rawPoints, filter);
+    const { segments, stats } = computeSegmentsAndStats(points, { medianWindow: filter.enabled ? filter.medianWindow : 1 });
+    const result = detectWaves(points, segments, opts, edits, shore);
+    return { points, segments, stats, rejectedPointCount: rejected, ...result };
+  }
+
+  return {
+    DEFAULT_OPTIONS, GAP_MAX_DT_S, GAP_MAX_DIST_M, MOVING_MIN_KMH,
+    toRad, timeMs, haversineDistanceM, clamp, normalizeBearing, angularDifference, bearingDegrees, circularStdDeg,
+    filterPoints, kalmanSmooth, preprocessPoints,
+    computeSegmentsAndStats, medianSmoothSpeeds, computeAutoThreshold,
+    createRollingStats, computeLocalStats, detectWavesV2, enrichWave, filterByDirection, estimateRidingDirections, detectWaves, analyzeSession,
+    pointAtTime,
+    EMPTY_EDITS, waveSpan, spanToRange, waveFromRange, applyWaveEdits,
+    resizeWave, addWave, mergeWaves, splitWave, deleteWave, confirmWave, pinWaveSpans
+  };
+});
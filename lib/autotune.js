@@ -0,0 +1,102 @@
+/* Bodyboard – réglage automatique de la détection
+ * ------------------------------------------------------------------
+ * Les retouches servent d’étiquettes : plages verrouillées (ajoutées, redimensionnées…) et vagues
+ * validées = vraies vagues ; plages supprimées = fausses détections.
+ * tuneParameters() parcourt une grille (winSec × kSigma × dropPct, détection adaptative) et classe
+ * chaque jeu de paramètres par accord avec ces étiquettes : précision, rappel, F1, puis recouvrement moyen.
+ * Il faut les deux sortes d’étiquettes (missingLabels) : sinon le plus permissif ou le plus strict gagne d’office.
+ * La détection est fournie par l’appelant (options → plages horaires), ce qui garde le module pur.
+ * Navigateur : global `BodyboardAutotune` ; Node : `require('./lib/autotune')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardAutotune=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const DEFAULT_TUNE_GRID = {
+    winSec: [4, 6, 8, 10, 14],
+    kSigma: [0.4, 0.6, 0.8, 1, 1.2, 1.5],
+    dropPct: [20, 25, 30, 35, 45, 55]
+  };
+  const MATCH_MIN_IOU = 0.3;   // recouvrement temporel minimal pour qu’une détection corresponde à une étiquette
+  const TUNED_KEYS = ['winSec','kSigma','dropPct'];
+  // Écart « d’un cran » par paramètre : départage les ex-æquo au plus près des réglages actuels
+  const STEP = { winSec:2, kSigma:0.2, dropPct:5 };
+
+  const overlapMs = (a,b)=>Math.max(0, Math.min(a.end,b.end)-Math.max(a.start,b.start));
+  function spanIoU(a, b){
+    const inter=overlapMs(a,b);
+    const union=(a.end-a.start)+(b.end-b.start)-inter;
+    return union>0 ? inter/union : 0;
+  }
+
+  function labelsFromEdits(edits){
+    return {
+      positives: [...(edits?.locked || []), ...(edits?.confirmed || [])].sort((a,b)=>a.start-b.start),
+      negatives: [...(edits?.deleted || [])]
+    };
+  }
+
+  // Message si la recherche n’a pas de sens, null sinon : avec des vraies vagues seules, les réglages les plus
+  // permissifs ont toujours le meilleur rappel ; avec des fausses seules, aucun jeu ne bat les réglages actuels.
+  function missingLabels({ positives, negatives }){
+    if (!positives.length && !negatives.length) return 'Aucune vague étiquetée.';
+    if (!positives.length) return 'Verrouillez ou validez au moins une vraie vague.';
+    if (!negatives.length) return 'Supprimez au moins une fausse détection.';
+    return null;
+  }
+
+  // detected : plages des vagues détectées ; seules les détections qui touchent une étiquette comptent
+  function scoreSpans(detected, { positives, negatives }){
+    let tp=0, iouSum=0;
+    positives.forEach(p=>{
+      const best=detected.reduce((m,d)=>Math.max(m, spanIoU(p,d)), 0);
+      if (best>=MATCH_MIN_IOU){ tp++; iouSum+=best; }
+    });
+    const fp=negatives.filter(n=>detected.some(d=>overlapMs(d,n)>0)).length;
+    const fn=positives.length-tp;
+    const precision=tp+fp ? tp/(tp+fp) : NaN;
+    const recall=positives.length ? tp/positives.length : NaN;
+    const f1=precision+recall>0 ? 2*precision*recall/(precision+recall) : 0;
+    return { tp, fp, fn, precision, recall, f1, meanIoU: tp ? iouSum/tp : 0 };
+  }
+
+  function paramGrid(grid=DEFAULT_TUNE_GRID){
+    const out=[];
+    grid.winSec.forEach(winSec=>grid.kSigma.forEach(kSigma=>grid.dropPct.forEach(dropPct=>out.push({ winSec, kSigma, dropPct }))));
+    return out;
+  }
+  const paramDistance = (a, b)=>TUNED_KEYS.reduce((sum,k)=>sum+Math.abs((a[k] ?? 0)-(b[k] ?? 0))/STEP[k], 0);
+
+  function rankCandidates(results, current={}){
+    return [...results].sort((a,b)=>
+      b.score.f1-a.score.f1
+      || b.score.meanIoU-a.score.meanIoU
+      || paramDistance(a.params, current)-paramDistance(b.params, current));
+  }
+
+  // detect(options) → [{start,end}] ; onProgress(done, total) ; rend la main au navigateur entre deux lots
+  async function tuneParameters(detect, baseOptions, labels, { grid=DEFAULT_TUNE_GRID, onProgress=null, batchSize=8 }={}){
+    const missing=missingLabels(labels);
+    if (missing) throw new Error(missing);
+    const current={ winSec:baseOptions.winSec, kSigma:baseOptions.kSigma, dropPct:baseOptions.dropPct };
+    const baseline={ params:current, score:scoreSpans(detect(baseOptions), labels) };
+    const candidates=paramGrid(grid), results=[];
+    for (let i=0;i<candidates.length;i++){
+      const params=candidates[i];
+      results.push({ params, score:scoreSpans(detect({ ...baseOptions, useAdaptive:true, ...params }), labels) });
+      if ((i+1)%batchSize===0){
+        onProgress?.(i+1, candidates.length);
+        await new Promise(resolve=>setTimeout(resolve, 0));
+      }
+    }
+    onProgress?.(candidates.length, candidates.length);
+    return { baseline, ranked:rankCandidates(results, current) };
+  }
+
+  return {
+    DEFAULT_TUNE_GRID, MATCH_MIN_IOU,
+    spanIoU, labelsFromEdits, missingLabels, scoreSpans, paramGrid, rankCandidates, tuneParameters
+  };
+});
@@ -0,0 +1,274 @@
+/* Bodyboard – conditions (marée, houle, vent)
+ * ------------------------------------------------------------------
+ * Lecture de séries temporelles exportées en CSV ou JSON (annuaire de marée, bouée, prévision type
+ * Open-Meteo…), interpolation à l’instant de chaque vague et synthèse « conditions → performance ».
+ * Une série = { t:[ms…], v:[…] } triée par date, par champ de CONDITION_FIELDS.
+ * Interpolation : linéaire, sinusoïdale pour la marée (une table pleines/basses mers suffit),
+ * par le plus court arc pour les directions ; rien (NaN) hors des données ou dans un trou trop long.
+ * Stade de marée : basse / haute = tiers inférieur / supérieur du marnage local (±7 h), sinon montante / descendante.
+ * Navigateur : global `BodyboardConditions` ; Node : `require('./lib/conditions')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardConditions=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const CONDITION_FIELDS = ['tideM','swellM','swellPeriodS','swellDirDeg','windKmh','windDirDeg'];
+  const DIRECTION_FIELDS = new Set(['swellDirDeg','windDirDeg']);
+  const HOUR_MS = 3600000;
+  const MAX_GAP_MS = { tideM:7*HOUR_MS };          // pleine mer → basse mer ≈ 6 h 12
+  const DEFAULT_MAX_GAP_MS = 6*HOUR_MS;
+  const EDGE_TOLERANCE_MS = 30*60000;               // avant le premier / après le dernier échantillon
+  const TIDE_WINDOW_MS = 7*HOUR_MS;
+  const TIDE_STAGES = ['basse','montante','haute','descendante'];
+
+  // Noms de colonnes reconnus (minuscules, sans accents ni ponctuation), suivis éventuellement d’une unité
+  const TIME_ALIASES = ['time','date','datetime','timestamp','heure','dateheure','utc','dateutc','timeutc'];
+  const FIELD_ALIASES = {
+    tideM: ['tidem','tide','tideheight','maree','hauteurmaree','hauteur','height','waterlevel','sealevel','niveau'],
+    swellM: ['swellm','swell','swellheight','houle','hauteurhoule','hs','hm0','waveheight','swellwaveheight','significantwaveheight'],
+    swellPeriodS: ['swellperiods','swellperiod','periode','periodehoule','period','tp','waveperiod','swellwaveperiod','peakperiod'],
+    swellDirDeg: ['swelldirdeg','swelldir','swelldirection','directionhoule','dirhoule','mwd','dp','wavedirection','swellwavedirection'],
+    windKmh: ['windkmh','wind','windspeed','windspeed10m','vent','ventkmh','vitessevent'],
+    windDirDeg: ['winddirdeg','winddir','winddirection','winddirection10m','directionvent','dirvent']
+  };
+  // Unité collée au nom (« Vent (nœuds) » → ventnoeuds) : facteur vers l’unité du champ
+  const UNIT_SUFFIXES = [['',1],['m',1],['s',1],['deg',1],['kmh',1],['ms',3.6],['kn',1.852],['kt',1.852],['kts',1.852],['knots',1.852],['noeuds',1.852]];
+
+  const normalizeKey = k=>String(k ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[^a-z0-9]/g,'');
+
+  // Nom de colonne → { field, factor } | { time:true } | null
+  function matchColumn(name){
+    const key=normalizeKey(name);
+    if (TIME_ALIASES.includes(key)) return { time:true };
+    for (const field of CONDITION_FIELDS){
+      for (const alias of FIELD_ALIASES[field]){
+        for (const [suffix, factor] of UNIT_SUFFIXES){
+          if (key===alias+suffix) return { field, factor: field==='windKmh' ? factor : 1 };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Date ISO (avec ou sans fuseau), « jj/mm/aaaa hh:mm » (ou « 6h15 »), époque en s ou ms → ms (NaN si illisible).
+  // offsetS : décalage des heures sans fuseau (utc_offset_seconds d’Open-Meteo) ; sinon heure locale.
+  function parseTime(v, offsetS=null){
+    if (v instanceof Date) return v.getTime();
+    if (typeof v==='number') return Number.isFinite(v) ? (v<1e11 ? v*1000 : v) : NaN;
+    const s=String(v ?? '').trim();
+    if (!s) return NaN;
+    if (/^\d+(\.\d+)?$/.test(s)) return parseTime(Number(s));
+    const fr=s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2})[:h](\d{2})(?::(\d{2}))?)?$/i);
+    const iso=fr ? `${fr[3]}-${fr[2].padStart(2,'0')}-${fr[1].padStart(2,'0')}T${(fr[4] ?? '0').padStart(2,'0')}:${fr[5] ?? '00'}:${fr[6] ?? '00'}` : s.replace(' ', 'T');
+    const zoned=/(Z|[+-]\d{2}:?\d{2})$/i.test(iso);
+    if (!zoned && Number.isFinite(offsetS)){
+      const t=Date.parse(iso+'Z');
+      return Number.isFinite(t) ? t-offsetS*1000 : NaN;
+    }
+    const t=Date.parse(iso);
+    return Number.isFinite(t) ? t : NaN;
+  }
+  // Nombre (accepte la virgule décimale)
+  function parseNumber(v){
+    if (typeof v==='number') return v;
+    const s=String(v ?? '').trim().replace(',', '.');
+    return s && /^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(s) ? Number(s) : NaN;
+  }
+
+  function emptySeries(){ return Object.fromEntries(CONDITION_FIELDS.map(f=>[f, { t:[], v:[] }])); }
+  // Trie, retire les doublons d’horodatage (la dernière valeur l’emporte) et les champs vides
+  function finalizeSeries(raw){
+    const out={};
+    CONDITION_FIELDS.forEach(f=>{
+      const pairs=raw[f].t.map((t,i)=>[t, raw[f].v[i]]).filter(([t,v])=>Number.isFinite(t) && Number.isFinite(v));
+      if (!pairs.length) return;
+      pairs.sort((a,b)=>a[0]-b[0]);
+      const t=[], v=[];
+      pairs.forEach(([ti,vi])=>{
+        if (t.length && t[t.length-1]===ti) v[v.length-1]=vi;
+        else { t.push(ti); v.push(vi); }
+      });
+      out[f]={ t, v };
+    });
+    return out;
+  }
+
+  // Colonnes (noms) + lignes (tableaux de valeurs) → séries
+  function seriesFromRows(columns, rows, offsetS=null){
+    // une seule colonne par champ : la première (wave_height avant swell_wave_height…)
+    const seen=new Set();
+    const matched=columns.map(c=>{
+      const m=matchColumn(c);
+      if (!m?.field) return m;
+      if (seen.has(m.field)) return null;
+      seen.add(m.field); return m;
+    });
+    // date et heure parfois séparées (annuaires de marée : « Date ; Heure ; Hauteur ») : valeurs accolées
+    const timeCols=matched.map((m,c)=>m?.time ? c : -1).filter(c=>c>=0);
+    if (!timeCols.length) throw new Error('Aucune colonne de temps reconnue (time, date, heure…).');
+    if (!matched.some(m=>m?.field)) throw new Error('Aucune donnée de marée, de houle ou de vent reconnue dans les colonnes.');
+    const raw=emptySeries();
+    rows.forEach(row=>{
+      const joined=parseTime(timeCols.map(c=>row[c]).join(' '), offsetS);
+      const t=Number.isFinite(joined) ? joined : parseTime(row[timeCols[0]], offsetS);
+      if (!Number.isFinite(t)) return;
+      matched.forEach((m,c)=>{
+        if (!m?.field) return;
+        const v=parseNumber(row[c]);
+        if (Number.isFinite(v)){ raw[m.field].t.push(t); raw[m.field].v.push(v*m.factor); }
+      });
+    });
+    const series=finalizeSeries(raw);
+    if (!Object.keys(series).length) throw new Error('Aucune valeur horodatée lisible.');
+    return series;
+  }
+
+  function parseCSV(text){
+    const lines=String(text).replace(/^\uFEFF/,'').split(/\r?\n/).filter(l=>l.trim() && !l.trim().startsWith('#'));
+    if (lines.length<2) throw new Error('Fichier de conditions vide.');
+    const head=lines[0];
+    const sep=[';','\t',','].find(c=>head.includes(c)) ?? ',';
+    const split=l=>l.split(sep).map(c=>c.trim().replace(/^"(.*)"$/,'$1'));
+    return seriesFromRows(split(head), lines.slice(1).map(split));
+  }
+
+  function parseJSON(text){
+    let json;
+    try { json=JSON.parse(text); } catch { throw new Error('Fichier de conditions invalide (JSON illisible).'); }
+    const offsetS=Number.isFinite(json?.utc_offset_seconds) ? json.utc_offset_seconds : null;
+    // Blocs possibles : tableau de lignes, { data|records|rows : […] }, colonnes { time:[…], wave_height:[…] } (Open-Meteo : hourly)
+    const blocks=Array.isArray(json) ? [json]
+      : ['hourly','data','records','rows','minutely_15'].map(k=>json?.[k]).filter(Boolean).concat(json && typeof json==='object' ? [json] : []);
+    for (const block of blocks){
+      try {
+        if (Array.isArray(block)){
+          const rows=block.filter(r=>r && typeof r==='object');
+          const columns=[...new Set(rows.flatMap(Object.keys))];
+          return seriesFromRows(columns, rows.map(r=>columns.map(c=>r[c])), offsetS);
+        }
+        const columns=Object.keys(block).filter(k=>Array.isArray(block[k]));
+        const n=Math.max(0, ...columns.map(c=>block[c].length));
+        return seriesFromRows(columns, Array.from({ length:n }, (_, i)=>columns.map(c=>block[c][i])), offsetS);
+      } catch (err){ if (block===blocks[blocks.length-1]) throw err; }   // bloc suivant
+    }
+    throw new Error('Aucune série de conditions dans ce fichier JSON.');
+  }
+
+  // Fichier texte → { name, series, fields, from, to }
+  function parseConditions(fileName, text){
+    const isJSON=/\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const series=isJSON ? parseJSON(text) : parseCSV(text);
+    const fields=CONDITION_FIELDS.filter(f=>series[f]);
+    const starts=fields.map(f=>series[f].t[0]), ends=fields.map(f=>series[f].t[series[f].t.length-1]);
+    return { name:fileName, series, fields, from:new Date(Math.min(...starts)), to:new Date(Math.max(...ends)) };
+  }
+
+  // Plusieurs jeux (marée d’un côté, bouée de l’autre…) → séries fusionnées ; à horodatage égal, le dernier jeu l’emporte
+  function mergeSeries(sets){
+    const raw=emptySeries();
+    sets.forEach(set=>CONDITION_FIELDS.forEach(f=>{
+      const s=set?.series?.[f]; if (!s) return;
+      const t=s.t.map(x=>typeof x==='number' ? x : parseTime(x));
+      raw[f].t.push(...t); raw[f].v.push(...s.v);
+    }));
+    return finalizeSeries(raw);
+  }
+
+  // ---------- Interpolation ----------
+  function valueAt(series, field, time){
+    const s=series?.[field];
+    const t=typeof time==='number' ? time : time instanceof Date ? time.getTime() : parseTime(time);
+    if (!s || !Number.isFinite(t)) return NaN;
+    const n=s.t.length;
+    if (t<=s.t[0]) return s.t[0]-t<=EDGE_TOLERANCE_MS ? s.v[0] : NaN;
+    if (t>=s.t[n-1]) return t-s.t[n-1]<=EDGE_TOLERANCE_MS ? s.v[n-1] : NaN;
+    let lo=0, hi=n-1;
+    while (hi-lo>1){ const mid=(lo+hi)>>1; if (s.t[mid]<=t) lo=mid; else hi=mid; }
+    const t0=s.t[lo], t1=s.t[hi], v0=s.v[lo], v1=s.v[hi];
+    if (t1-t0>(MAX_GAP_MS[field] ?? DEFAULT_MAX_GAP_MS)) return NaN;
+    const u=(t-t0)/(t1-t0);
+    if (DIRECTION_FIELDS.has(field)){
+      const d=((v1-v0)%360+540)%360-180;
+      return ((v0+d*u)%360+360)%360;
+    }
+    return field==='tideM' ? v0+(v1-v0)*(1-Math.cos(Math.PI*u))/2 : v0+(v1-v0)*u;
+  }
+
+  function tideStageAt(series, time){
+    const t=time instanceof Date ? time.getTime() : time;
+    const h=valueAt(series, 'tideM', t);
+    if (!Number.isFinite(h)) return null;
+    const step=15*60000;
+    let min=h, max=h;
+    for (let dt=-TIDE_WINDOW_MS; dt<=TIDE_WINDOW_MS; dt+=step){
+      const v=valueAt(series, 'tideM', t+dt);
+      if (Number.isFinite(v)){ min=Math.min(min, v); max=Math.max(max, v); }
+    }
+    const frac=max-min>1e-6 ? (h-min)/(max-min) : 0.5;
+    if (frac<=1/3) return 'basse';
+    if (frac>=2/3) return 'haute';
+    const before=valueAt(series, 'tideM', t-step), after=valueAt(series, 'tideM', t+step);
+    const slope=(Number.isFinite(after) ? after : h)-(Number.isFinite(before) ? before : h);
+    return slope>=0 ? 'montante' : 'descendante';
+  }
+
+  // { tideM, tideStage, swellM, swellPeriodS, swellDirDeg, windKmh, windDirDeg } à un instant (NaN / null si inconnu)
+  function conditionsAt(series, time){
+    const out=Object.fromEntries(CONDITION_FIELDS.map(f=>[f, valueAt(series, f, time)]));
+    out.tideStage=tideStageAt(series, time);
+    return out;
+  }
+  const hasConditions = c=>Boolean(c) && (c.tideStage!=null || CONDITION_FIELDS.some(f=>Number.isFinite(c[f])));
+
+  // Vagues + conditions au départ (null si aucune donnée ne couvre la vague)
+  function annotateWaves(waves, series){
+    return waves.map(w=>{
+      const c=series && w.startTime ? conditionsAt(series, w.startTime) : null;
+      return { ...w, conditions: hasConditions(c) ? c : null };
+    });
+  }
+
+  // ---------- Conditions → performance ----------
+  // Classes : [libellé, borne basse incluse, borne haute exclue]
+  const BINS = {
+    swellM: [['< 0,5 m',-Infinity,0.5],['0,5–1 m',0.5,1],['1–1,5 m',1,1.5],['1,5–2 m',1.5,2],['2–3 m',2,3],['≥ 3 m',3,Infinity]],
+    swellPeriodS: [['< 8 s',-Infinity,8],['8–11 s',8,11],['11–14 s',11,14],['≥ 14 s',14,Infinity]],
+    windKmh: [['< 10 km/h',-Infinity,10],['10–20 km/h',10,20],['20–30 km/h',20,30],['≥ 30 km/h',30,Infinity]]
+  };
+  const SUMMARY_DIMENSIONS = ['tideStage','swellM','swellPeriodS','windKmh'];
+
+  function groupOf(dimension, c){
+    if (!c) return null;
+    if (dimension==='tideStage') return c.tideStage;
+    const v=c[dimension];
+    return Number.isFinite(v) ? BINS[dimension].find(([, lo, hi])=>v>=lo && v<hi)[0] : null;
+  }
+
+  // items : vagues annotées (w.conditions), éventuellement avec sessionId (plusieurs sessions)
+  // → { dimension: [{ label, waveCount, sessionCount, meanScore, bestScore, meanMaxKmh }] } (classes vides omises)
+  function summarizeConditions(items){
+    const out={};
+    SUMMARY_DIMENSIONS.forEach(dim=>{
+      const labels=dim==='tideStage' ? TIDE_STAGES : BINS[dim].map(b=>b[0]);
+      const groups=new Map(labels.map(l=>[l, []]));
+      items.forEach(w=>{ const g=groupOf(dim, w.conditions); if (g) groups.get(g).push(w); });
+      out[dim]=labels.filter(l=>groups.get(l).length).map(label=>{
+        const ws=groups.get(label);
+        const scores=ws.map(w=>w.score).filter(Number.isFinite), speeds=ws.map(w=>w.maxKmh).filter(Number.isFinite);
+        const mean=a=>a.length ? a.reduce((x,y)=>x+y, 0)/a.length : NaN;
+        return {
+          label, waveCount:ws.length, sessionCount:new Set(ws.map(w=>w.sessionId ?? null)).size,
+          meanScore:mean(scores), bestScore:scores.length ? Math.max(...scores) : NaN, meanMaxKmh:mean(speeds)
+        };
+      });
+    });
+    return out;
+  }
+
+  return {
+    CONDITION_FIELDS, TIDE_STAGES, SUMMARY_DIMENSIONS,
+    matchColumn, parseTime, parseConditions, mergeSeries, valueAt, tideStageAt, conditionsAt, annotateWaves, summarizeConditions
+  };
+});
@@ -0,0 +1,90 @@
+/* Bodyboard – moteur de session (lecture, filtrage, détection)
+ * ------------------------------------------------------------------
+ * Garde la trace courante (points bruts → points filtrés → segments) et enchaîne les calculs lourds
+ * du visualiseur : lecture du fichier, pré-traitement, détection + activité + courbe du seuil adaptatif. Tourne dans worker.js
+ * (Web Worker) ou, à défaut (page ouverte en file://…), directement dans la page : même code, mêmes résultats.
+ * Les vagues renvoyées portent leurs manœuvres (BodyboardManeuvers) et leur score (BodyboardScoring, poids options.scoring).
+ * Le réglage automatique (BodyboardAutotune, ~180 détections) tourne lui aussi ici ; l’avancement passe par { onProgress }.
+ * Les réponses ne contiennent que des données clonables (pas de fonctions) pour passer par postMessage.
+ * Navigateur / worker : global `BodyboardEngine` ; Node : `require('./lib/engine')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory(require('./parsers'), require('./analysis'), require('./activity'), require('./shore'), require('./scoring'), require('./maneuvers'), require('./autotune'));
+  else root.BodyboardEngine=factory(root.BodyboardParsers, root.BodyboardAnalysis, root.BodyboardActivity, root.BodyboardShore, root.BodyboardScoring, root.BodyboardManeuvers, root.BodyboardAutotune);
+})(typeof self!=='undefined' ? self : this, function(Parsers, Analysis, Activity, Shore, Scoring, Maneuvers, Autotune){
+  'use strict';
+
+  function createSessionEngine(){
+    let rawPoints=[], points=[], segments=[], shoreFrame=null;
+
+    // Fichier → { rawPoints, session } (session : réglages/retouches d’un GPX exporté par l’appli)
+    async function load(fileName, data){
+      const track=await Parsers.readTrack(fileName, data);
+      if (track.points.length<2) throw new Error('Pas assez de points dans la trace.');   // session courante conservée
+      setPoints(track.points);
+      return { rawPoints:track.points, session:track.session };
+    }
+    // Session de la bibliothèque : les points bruts sont déjà lus
+    function setPoints(list){
+      rawPoints=list || []; points=[]; segments=[];
+    }
+    function setShoreline(line){
+      shoreFrame=line ? Shore.createShoreFrame(line) : null;
+    }
+
+    // Filtrage GPS puis segments/stats ; points null = points bruts inchangés (rien à renvoyer deux fois)
+    function preprocess(filter){
+      const res=Analysis.preprocessPoints(rawPoints, filter);
+      points=res.points;
+      const computed=Analysis.computeSegmentsAndStats(points, { medianWindow: filter.enabled ? filter.medianWindow : 1 });
+      segments=computed.segments;
+      return { points: points===rawPoints ? null : points, segments, stats:computed.stats, rejected:res.rejected };
+    }
+
+    // Sens des vagues pour l’activité : le sens visé s’il est filtré (NaN → estimé). En référence rivage c’est un angle
+    // à la normale, ramené en cap au rivage le plus proche du centre des départs.
+    function activityDirection(direction, waves){
+      if (!direction?.enabled || !Number.isFinite(direction.direction)) return NaN;
+      if (direction.reference!=='shore') return direction.direction;
+      const starts=waves.map(w=>w.startPoint).filter(Boolean);
+      if (!shoreFrame || !starts.length) return NaN;
+      const lat=starts.reduce((a,p)=>a+p[0],0)/starts.length, lon=starts.reduce((a,p)=>a+p[1],0)/starts.length;
+      return Analysis.normalizeBearing(shoreFrame.locate(lat, lon).normalBearingDeg+direction.direction);
+    }
+
+    // Seuil adaptatif par segment (médiane + k·σ glissants), pour le graphique de vitesse ; null hors mode adaptatif
+    function adaptiveCurve(options){
+      const { useAdaptive, winSec, kSigma }={ ...Analysis.DEFAULT_OPTIONS, ...options };
+      if (!useAdaptive) return null;
+      return Analysis.computeLocalStats(segments, winSec).map(st=>st ? st.median+kSigma*st.std : NaN);
+    }
+
+    // Détection (avec retouches et rivage) + manœuvres et score des vagues + modes de direction + segmentation d’activité
+    function detect(options, edits){
+      if (!segments.length) return { waves:[], rejectedCount:0, rawCount:0, baseThresholdKmh:options.baseThresholdKmh, directionModes:[], activity:null, adaptiveKmh:null };
+      const detected=Analysis.detectWaves(points, segments, options, edits, shoreFrame);
+      const { rejectedCount, rawCount, candidates, baseThresholdKmh }=detected;
+      const waves=Scoring.applyScores(Maneuvers.annotateWaves(detected.waves, points, segments), segments, options.scoring);
+      return {
+        waves, rejectedCount, rawCount, baseThresholdKmh,
+        directionModes: Analysis.estimateRidingDirections(candidates),
+        adaptiveKmh: adaptiveCurve(options),
+        activity: Activity.segmentActivity(points, segments, waves, {
+          waveDirectionDeg: activityDirection(options.direction, waves),
+          shoreDistanceM: shoreFrame ? p=>shoreFrame.locate(p.lat, p.lon).distM : null
+        })
+      };
+    }
+
+    // Réglage automatique sur la trace courante (figée au lancement : un nouveau filtrage en cours de route ne la change pas)
+    function autotune(baseOptions, labels, { onProgress=null }={}){
+      const pts=points, segs=segments, frame=shoreFrame;
+      const spans=options=>Analysis.detectWaves(pts, segs, options, null, frame).waves.map(w=>Analysis.waveSpan(pts, w)).filter(Boolean);
+      return Autotune.tuneParameters(spans, baseOptions, labels, { onProgress });
+    }
+
+    return { load, setPoints, setShoreline, preprocess, detect, autotune };
+  }
+
+  return { createSessionEngine };
+});
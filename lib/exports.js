@@ -0,0 +1,259 @@
+/* Bodyboard – exports (CSV, GeoJSON, KML/KMZ)
+ * ------------------------------------------------------------------
+ * Constructeurs purs à partir des points, des vagues enrichies et du contexte d’affichage :
+ *   - waveRecords()    : une ligne par vague avec toutes les colonnes du tableau ;
+ *   - toCSV()          : CSV RFC 4180 (partagé avec la CLI) ;
+ *   - sessionToGPX     : trace brute + vitesse et n° de vague par point (extensions), départs en waypoints,
+ *                        réglages/retouches/vagues dans <metadata> : relu sans perte par BodyboardParsers.readTrack ;
+ *   - sessionToGeoJSON : trace complète + une LineString par vague (coordTimes, relisible par les parseurs) ;
+ *   - sessionToKML     : trace en gx:Track, vagues colorées comme sur la carte (une couleur CSS par segment) ;
+ *                        kmz() l’emballe en ZIP.
+ * Navigateur : global `BodyboardExport` ; Node : `require('./lib/exports')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardExport=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const round = (v, d=1) => Number.isFinite(v) ? Math.round(v*10**d)/10**d : null;
+  const iso = d => d instanceof Date && !isNaN(d) ? d.toISOString() : null;
+  const timeOf = p => p?.time instanceof Date && !isNaN(p.time) ? p.time : null;
+
+  // ---------- Lignes « vague » ----------
+  // ctx : { timings:[{ waitBeforeS, paddleBackS }], deltaDeg(w) } ; score/rang/type : vagues notées par BodyboardScoring ;
+  // marée/houle/vent : w.conditions (BodyboardConditions.annotateWaves)
+  const WAVE_COLUMNS = [
+    'n','start','end','distM','durationS','maxKmh','avgKmh','directionDeg','deltaDeg','score','rank','type',
+    'shoreSide','shoreAngleDeg','shoreTakeoffM','shoreGainM','waitBeforeS','paddleBackS','locked',
+    'tideM','tideStage','swellM','swellPeriodS','swellDirDeg','windKmh','windDirDeg'
+  ];
+  function waveRecords(points, waves, ctx={}){
+    return waves.map((w,i)=>{
+      const timing=ctx.timings?.[i];
+      return {
+        n:i+1,
+        start:iso(w.startTime ?? timeOf(points[w.startIdx])),
+        end:iso(timeOf(points[Math.min(points.length-1, w.endIdx+1)])),
+        distM:round(w.distM,0), durationS:round(w.durationS), maxKmh:round(w.maxKmh), avgKmh:round(w.avgKmh),
+        directionDeg:round(w.directionDeg,0),
+        deltaDeg:ctx.deltaDeg ? round(ctx.deltaDeg(w),0) : null,
+        score:round(w.score), rank:w.scoreRank ?? null, type:w.category ?? null,
+        shoreSide:w.shoreSide ?? null, shoreAngleDeg:round(w.shoreAngleDeg,0),
+        shoreTakeoffM:round(w.shoreTakeoffM,0), shoreGainM:round(w.shoreGainM,0),
+        waitBeforeS:round(timing?.waitBeforeS,0), paddleBackS:round(timing?.paddleBackS,0),
+        locked:Boolean(w.locked),
+        tideM:round(w.conditions?.tideM,2), tideStage:w.conditions?.tideStage ?? null,
+        swellM:round(w.conditions?.swellM,2), swellPeriodS:round(w.conditions?.swellPeriodS), swellDirDeg:round(w.conditions?.swellDirDeg,0),
+        windKmh:round(w.conditions?.windKmh), windDirDeg:round(w.conditions?.windDirDeg,0)
+      };
+    });
+  }
+
+  // ---------- CSV ----------
+  function csvCell(v){
+    if (v==null) return '';
+    const s=String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+  }
+  function toCSV(rows, columns){
+    return [columns.join(','), ...rows.map(r=>columns.map(c=>csvCell(r[c])).join(','))].join('\n')+'\n';
+  }
+
+  // ---------- GPX ----------
+  const GPX_NS = 'https://github.com/Axou74/GPX-Bodyboard/gpx/1';
+  const GPX_SESSION_VERSION = 1;
+  const xmlText = s => String(s).replace(/[<&>]/g, m=>({ '<':'&lt;', '>':'&gt;', '&':'&amp;' }[m]));
+  const timeMs = p => timeOf(p)?.getTime() ?? NaN;
+
+  // rawPoints : trace telle qu’importée (le filtrage est rejoué à la relecture) ;
+  // points/segments/waves : résultat affiché. ctx : { options, edits, name }
+  function sessionToGPX(rawPoints, points, segments, waves, { options=null, edits=null, name='Bodyboard Session' }={}){
+    // Vitesse (segment d’arrivée) et n° de vague de chaque point traité, retrouvés par l’horodatage
+    const byTime=new Map();
+    points.forEach((p,k)=>{ const t=timeMs(p); if (Number.isFinite(t)) byTime.set(t, k); });
+    const waveOf=new Int32Array(points.length);
+    waves.forEach((w,n)=>{ for (let k=w.startIdx; k<=Math.min(points.length-1, w.endIdx+1); k++) waveOf[k]=n+1; });
+    const speedAt=k=>{
+      const s=[segments[k-1], segments[k]].find(seg=>seg && !seg.gap && Number.isFinite(seg.speedKmh));
+      return s ? s.speedKmh : NaN;
+    };
+    const trkpt=(p, ext='')=>{
+      const time=timeOf(p);
+      return `<trkpt lat="${p.lat}" lon="${p.lon}">${Number.isFinite(p.ele) ? `<ele>${p.ele}</ele>` : ''}${time ? `<time>${time.toISOString()}</time>` : ''}${ext}</trkpt>`;
+    };
+    const rawExt=p=>{
+      const k=byTime.get(timeMs(p));
+      if (k===undefined) return '';
+      const speed=speedAt(k);
+      const parts=(Number.isFinite(speed) ? `<bb:speed>${round(speed,2)}</bb:speed>` : '')+(waveOf[k] ? `<bb:wave>${waveOf[k]}</bb:wave>` : '');
+      return parts ? `<extensions>${parts}</extensions>` : '';
+    };
+
+    // Trace principale : un <trkseg> par portion (breakBefore)
+    const segs=[[]];
+    rawPoints.forEach(p=>{ if (p.breakBefore && segs[segs.length-1].length) segs.push([]); segs[segs.length-1].push(p); });
+    const mainTrk=segs.map(seg=>`<trkseg>
+        ${seg.map(p=>trkpt(p, rawExt(p))).join('\n        ')}
+    </trkseg>`).join('\n    ');
+
+    const spans=waves.map(w=>({ start:timeMs(points[w.startIdx]), end:timeMs(points[w.endIdx+1]), locked:Boolean(w.locked) }));
+    const label=(w,i)=>`Wave ${i+1} • ${Math.round(w.distM)} m • ${round(w.maxKmh)} km/h`;
+    const wpts=waves.map((w,i)=>{
+      const p=points[w.startIdx]; if (!p) return '';
+      const [lat,lon]=w.startPoint || [p.lat, p.lon];
+      const time=timeOf(p);
+      return `<wpt lat="${lat}" lon="${lon}">${time ? `<time>${time.toISOString()}</time>` : ''}<name>${xmlText(`Vague ${i+1}`)}</name><desc>${xmlText(label(w,i))}</desc><type>bodyboard-wave-start</type></wpt>`;
+    }).filter(Boolean).join('\n  ');
+    const waveTrks=waves.map((w,i)=>`<trk>
+    <name>${xmlText(label(w,i))}</name>
+    <type>bodyboard-wave</type>
+    <trkseg>
+        ${points.slice(w.startIdx, w.endIdx+2).map(p=>trkpt(p)).join('\n        ')}
+    </trkseg>
+  </trk>`).join('\n  ');
+
+    const session = options ? `
+    <extensions>
+      <bb:session version="${GPX_SESSION_VERSION}">
+        <bb:options>${xmlText(JSON.stringify(options))}</bb:options>
+        <bb:edits>${xmlText(JSON.stringify(edits || { locked:[], deleted:[] }))}</bb:edits>
+        <bb:waves>${xmlText(JSON.stringify(spans))}</bb:waves>
+      </bb:session>
+    </extensions>` : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx creator="Bodyboard Viewer v2" version="1.1" xmlns="http://www.topografix.com/GPX/1/1" xmlns:bb="${GPX_NS}">
+  <metadata>
+    <time>${new Date().toISOString()}</time>${session}
+  </metadata>
+  ${wpts}
+  <trk>
+    <name>${xmlText(name)}</name>
+    <type>bodyboard-session</type>
+    ${mainTrk}
+  </trk>
+  ${waveTrks}
+</gpx>
+`;
+  }
+
+  // ---------- GeoJSON ----------
+  const lonLat = p => Number.isFinite(p.ele) ? [p.lon, p.lat, p.ele] : [p.lon, p.lat];
+  function sessionToGeoJSON(points, waves, records, { name='Session bodyboard' }={}){
+    const track={
+      type:'Feature',
+      properties:{ kind:'track', name, start:iso(timeOf(points[0])), end:iso(timeOf(points[points.length-1])), pointCount:points.length,
+        coordTimes:points.map(p=>iso(timeOf(p))) },
+      geometry:{ type:'LineString', coordinates:points.map(lonLat) }
+    };
+    const waveFeatures=waves.map((w,i)=>{
+      const slice=points.slice(w.startIdx, w.endIdx+2);
+      return {
+        type:'Feature',
+        properties:{ kind:'wave', name:`Vague ${i+1}`, ...records[i], coordTimes:slice.map(p=>iso(timeOf(p))) },
+        geometry:{ type:'LineString', coordinates:slice.map(lonLat) }
+      };
+    });
+    return JSON.stringify({ type:'FeatureCollection', features:[track, ...waveFeatures] });
+  }
+
+  // ---------- KML ----------
+  const xmlEsc = s => String(s).replace(/[<>&"']/g, c=>({ '<':'&lt;', '>':'&gt;', '&':'&amp;', '"':'&quot;', "'":'&apos;' }[c]));
+  // « rgb(r g b) », « rgb(r, g, b) » ou « #rrggbb » → aabbggrr (ordre KML)
+  function kmlColor(css, alpha=1){
+    let rgb=null;
+    const m=/rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i.exec(css || '');
+    if (m) rgb=[m[1],m[2],m[3]].map(Number);
+    else if (/^#[0-9a-f]{6}$/i.test(css || '')) rgb=[1,3,5].map(i=>parseInt(css.slice(i,i+2),16));
+    if (!rgb) rgb=[255,255,255];
+    const hex=v=>Math.max(0,Math.min(255,Math.round(v))).toString(16).padStart(2,'0');
+    return hex(alpha*255)+hex(rgb[2])+hex(rgb[1])+hex(rgb[0]);
+  }
+  const kmlCoords = pts => pts.map(p=>`${p.lon},${p.lat}${Number.isFinite(p.ele) ? ','+p.ele : ''}`).join(' ');
+  const lineStyle = (color, width) => `<Style><LineStyle><color>${color}</color><width>${width}</width></LineStyle></Style>`;
+
+  // colors[i] : { waveColor, segColors:[…] } (segColors alignés sur segmentIndices/indices de la vague)
+  // Trace horodatée en gx:Track (relue telle quelle par parseKML) ; vagues en LineString colorées.
+  function sessionToKML(points, waves, records, { name='Session bodyboard', colors=[] }={}){
+    const timed=points.length && points.every(timeOf);
+    const trackGeometry = timed
+      ? `<gx:Track>${points.map(p=>`<when>${iso(p.time)}</when>`).join('')}${points.map(p=>`<gx:coord>${p.lon} ${p.lat}${Number.isFinite(p.ele) ? ' '+p.ele : ''}</gx:coord>`).join('')}</gx:Track>`
+      : `<LineString><tessellate>1</tessellate><coordinates>${kmlCoords(points)}</coordinates></LineString>`;
+    const track=`
+    <Placemark>
+      <name>Trace</name>
+      ${lineStyle('b3ffffff', 2)}
+      ${trackGeometry}
+    </Placemark>`;
+    const folders=waves.map((w,i)=>{
+      const idx=(w.segmentIndices && w.segmentIndices.length) ? w.segmentIndices : (w.indices || []);
+      const segColors=colors[i]?.segColors || [];
+      // segments consécutifs de même couleur → une seule LineString
+      const runs=[];
+      idx.forEach((segIdx,k)=>{
+        const color=kmlColor(segColors[k] || colors[i]?.waveColor);
+        const last=runs[runs.length-1];
+        if (last && last.color===color && last.to===segIdx) last.to=segIdx+1;
+        else runs.push({ color, from:segIdx, to:segIdx+1 });
+      });
+      const rec=records[i] || {};
+      const data=Object.entries(rec).filter(([,v])=>v!=null)
+        .map(([k,v])=>`<Data name="${xmlEsc(k)}"><value>${xmlEsc(v)}</value></Data>`).join('');
+      const start=rec.start, end=rec.end;
+      return `
+    <Folder>
+      <name>${xmlEsc(`Vague ${i+1}`)}</name>
+      ${start ? `<TimeSpan><begin>${start}</begin>${end ? `<end>${end}</end>` : ''}</TimeSpan>` : ''}
+      ${runs.map(r=>`<Placemark>
+        <name>${xmlEsc(`Vague ${i+1}`)}</name>
+        <ExtendedData>${data}</ExtendedData>
+        ${lineStyle(r.color, 5)}
+        <LineString><tessellate>1</tessellate><coordinates>${kmlCoords(points.slice(r.from, r.to+1))}</coordinates></LineString>
+      </Placemark>`).join('\n      ')}
+      ${w.startPoint ? `<Placemark>
+        <name>${i+1}</name>
+        <Style><IconStyle><color>${kmlColor(colors[i]?.waveColor)}</color><scale>0.8</scale></IconStyle></Style>
+        <Point><coordinates>${w.startPoint[1]},${w.startPoint[0]}</coordinates></Point>
+      </Placemark>` : ''}
+    </Folder>`;
+    }).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${xmlEsc(name)}</name>${track}${folders}
+  </Document>
+</kml>
+`;
+  }
+
+  // ---------- KMZ (ZIP « stocké », sans compression) ----------
+  let crcTable=null;
+  function crc32(bytes){
+    if (!crcTable){
+      crcTable=new Uint32Array(256);
+      for (let n=0;n<256;n++){ let c=n; for (let k=0;k<8;k++) c=c&1 ? 0xEDB88320^(c>>>1) : c>>>1; crcTable[n]=c>>>0; }
+    }
+    let crc=0xFFFFFFFF;
+    for (let i=0;i<bytes.length;i++) crc=crcTable[(crc^bytes[i])&0xFF]^(crc>>>8);
+    return (crc^0xFFFFFFFF)>>>0;
+  }
+  function kmz(kml, fileName='doc.kml'){
+    const data=new TextEncoder().encode(kml), nameBytes=new TextEncoder().encode(fileName);
+    const crc=crc32(data);
+    const local=new Uint8Array(30+nameBytes.length), central=new Uint8Array(46+nameBytes.length), end=new Uint8Array(22);
+    const lv=new DataView(local.buffer), cv=new DataView(central.buffer), ev=new DataView(end.buffer);
+    lv.setUint32(0,0x04034b50,true); lv.setUint16(4,20,true); lv.setUint16(6,0x0800,true);   // UTF-8
+    lv.setUint32(14,crc,true); lv.setUint32(18,data.length,true); lv.setUint32(22,data.length,true);
+    lv.setUint16(26,nameBytes.length,true); local.set(nameBytes,30);
+    cv.setUint32(0,0x02014b50,true); cv.setUint16(4,20,true); cv.setUint16(6,20,true); cv.setUint16(8,0x0800,true);
+    cv.setUint32(16,crc,true); cv.setUint32(20,data.length,true); cv.setUint32(24,data.length,true);
+    cv.setUint16(28,nameBytes.length,true); central.set(nameBytes,46);
+    ev.setUint32(0,0x06054b50,true); ev.setUint16(8,1,true); ev.setUint16(10,1,true);
+    ev.setUint32(12,central.length,true); ev.setUint32(16,local.length+data.length,true);
+    const out=new Uint8Array(local.length+data.length+central.length+end.length);
+    out.set(local,0); out.set(data,local.length); out.set(central,local.length+data.length); out.set(end,local.length+data.length+central.length);
+    return out;
+  }
+
+  return { WAVE_COLUMNS, waveRecords, csvCell, toCSV, GPX_NS, sessionToGPX, sessionToGeoJSON, kmlColor, sessionToKML, crc32, kmz };
+});
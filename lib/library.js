@@ -0,0 +1,224 @@
+/* Bodyboard – bibliothèque de sessions (IndexedDB)
+ * ------------------------------------------------------------------
+ * Une session = points bruts importés + options de détection + retouches manuelles + vagues obtenues,
+ * plus les métadonnées éditables (nom, spot, tags). Stores annexes : `spots` (trait de côte par spot),
+ * `presets` (préréglages de détection, voir BodyboardPresets) et `conditions` (séries marée / houle / vent
+ * importées, voir BodyboardConditions).
+ * Les helpers d’enregistrement et le format d’export (bundle JSON) sont purs ;
+ * seul openLibrary() touche à IndexedDB (injectable pour les tests).
+ * Navigateur : global `BodyboardLibrary` ; Node : `require('./lib/library')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardLibrary=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const DB_NAME = 'bodyboard-library';
+  const DB_VERSION = 4;
+  const STORE = 'sessions';
+  const SPOT_STORE = 'spots';
+  const PRESET_STORE = 'presets';
+  const CONDITION_STORE = 'conditions';
+  const BUNDLE_FORMAT = 'bodyboard-library';
+  const BUNDLE_VERSION = 1;
+
+  // ---------- Enregistrements ----------
+  function newId(){
+    if (typeof crypto!=='undefined' && typeof crypto.randomUUID==='function') return crypto.randomUUID();
+    return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,10)}`;
+  }
+  const validDate = d => d instanceof Date && !isNaN(d) ? d : null;
+
+  // Point minimal : ce que les parseurs produisent, sans champs vides
+  function compactPoint(p){
+    const out={ lat:p.lat, lon:p.lon, ele:Number.isFinite(p.ele)?p.ele:null, time:validDate(p.time) };
+    if (Number.isFinite(p.speedKmh)) out.speedKmh=p.speedKmh;
+    if (p.breakBefore) out.breakBefore=true;
+    return out;
+  }
+  // Vague minimale : de quoi lister/agréger sans recalculer (les vagues complètes se recalculent à l’ouverture)
+  function compactWave(w){
+    return {
+      startIdx:w.startIdx, endIdx:w.endIdx, startTime:validDate(w.startTime),
+      distM:w.distM, durationS:w.durationS, maxKmh:w.maxKmh, avgKmh:w.avgKmh,
+      directionDeg:Number.isFinite(w.directionDeg)?w.directionDeg:null,
+      startPoint:w.startPoint ?? null, locked:Boolean(w.locked),
+      score:Number.isFinite(w.score)?w.score:null, category:w.category ?? null
+    };
+  }
+  // Meilleure vague = meilleur score (vitesse max pour les sessions enregistrées avant le score) ;
+  // bestMaxKmh reste la vitesse de pointe de la session
+  function summarizeWaves(ws){
+    const rate = w=>Number.isFinite(w.score) ? w.score : -Infinity;
+    let bestIdx=null, maxKmh=null;
+    ws.forEach((w,i)=>{
+      if (Number.isFinite(w.maxKmh) && (maxKmh===null || w.maxKmh>maxKmh)) maxKmh=w.maxKmh;
+      const b=ws[bestIdx];
+      if (bestIdx===null || rate(w)>rate(b) || (rate(w)===rate(b) && w.maxKmh>b.maxKmh)) bestIdx=i;
+    });
+    const best=bestIdx===null ? null : ws[bestIdx];
+    return {
+      waveCount:ws.length, bestWaveIndex:bestIdx, bestMaxKmh:maxKmh,
+      bestScore:Number.isFinite(best?.score) ? best.score : null, bestDistM:best?.distM ?? null
+    };
+  }
+
+  // Nouvelle session à partir d’un import et du résultat de détection
+  function createSessionRecord({ name='', fileName='', rawPoints=[], options=null, stats=null, waves=[], edits=null }){
+    const now=new Date();
+    const record={
+      id:newId(), name:name || fileName.replace(/\.[^.]+$/,'') || 'Session', spot:'', tags:[], fileName,
+      date:validDate(rawPoints.find(p=>validDate(p.time))?.time), importedAt:now, updatedAt:now,
+      rawPoints:rawPoints.map(compactPoint)
+    };
+    return updateSessionResults(record, { options, stats, waves, edits });
+  }
+  // Nouvelle détection (options ou retouches modifiées) : on remplace options, retouches, stats et vagues
+  function updateSessionResults(record, { options=null, stats=null, waves=[], edits=null }){
+    const compact=waves.map(compactWave);
+    return { ...record, options, edits, stats, waves:compact, summary:summarizeWaves(compact), updatedAt:new Date() };
+  }
+  // Clé d’un spot : insensible à la casse et aux espaces autour (même règle que les filtres de progression)
+  const spotKey = name => String(name ?? '').trim().toLowerCase();
+  function normalizeTags(input){
+    const list=Array.isArray(input) ? input : String(input ?? '').split(',');
+    return [...new Set(list.map(t=>String(t).trim()).filter(Boolean))];
+  }
+
+  // ---------- Bundle JSON (sauvegarde / restauration) ----------
+  function exportBundle(records, spots=[], conditions=[]){
+    return JSON.stringify({
+      format:BUNDLE_FORMAT, version:BUNDLE_VERSION, exportedAt:new Date().toISOString(),
+      sessions:records, spots, conditions
+    });
+  }
+  const reviveDate = v => { if (v==null) return null; const d=new Date(v); return isNaN(d) ? null : d; };
+  function reviveRecord(r, i){
+    if (!r || typeof r!=='object' || !Array.isArray(r.rawPoints) || r.rawPoints.length<2){
+      throw new Error(`Session ${i+1} du fichier invalide (points manquants).`);
+    }
+    const waves=Array.isArray(r.waves) ? r.waves.map(w=>({ ...w, startTime:reviveDate(w.startTime) })) : [];
+    return {
+      ...r,
+      id:r.id ? String(r.id) : newId(),
+      name:String(r.name ?? 'Session'), spot:String(r.spot ?? ''), tags:normalizeTags(r.tags ?? []),
+      date:reviveDate(r.date), importedAt:reviveDate(r.importedAt) ?? new Date(), updatedAt:reviveDate(r.updatedAt) ?? new Date(),
+      rawPoints:r.rawPoints.map(p=>({ ...p, time:reviveDate(p.time) })),
+      waves, summary:summarizeWaves(waves)
+    };
+  }
+  function readBundle(text){
+    let json;
+    try { json=JSON.parse(text); } catch { throw new Error('Fichier de bibliothèque invalide (JSON illisible).'); }
+    if (!json || json.format!==BUNDLE_FORMAT || !Array.isArray(json.sessions)){
+      throw new Error('Ce fichier n’est pas une sauvegarde de bibliothèque Bodyboard.');
+    }
+    if (json.version>BUNDLE_VERSION) throw new Error(`Version de sauvegarde non prise en charge (${json.version}).`);
+    return json;
+  }
+  function parseBundle(text){ return readBundle(text).sessions.map(reviveRecord); }
+  // Spots de la sauvegarde (absents des sauvegardes antérieures au trait de côte) ; entrées invalides ignorées
+  function parseBundleSpots(text){
+    const spots=readBundle(text).spots;
+    return (Array.isArray(spots) ? spots : [])
+      .filter(sp=>sp && spotKey(sp.name))
+      .map(sp=>({ ...sp, key:spotKey(sp.name), name:String(sp.name).trim(), updatedAt:reviveDate(sp.updatedAt) ?? new Date() }));
+  }
+  // Séries de conditions (absentes des sauvegardes antérieures) : horodatages en ms, paires non numériques retirées
+  function reviveSeries(series){
+    const out={};
+    Object.entries(series && typeof series==='object' ? series : {}).forEach(([field, s])=>{
+      if (!Array.isArray(s?.t) || !Array.isArray(s?.v)) return;
+      const t=[], v=[];
+      s.t.forEach((ti,i)=>{
+        const tn=typeof ti==='number' ? ti : reviveDate(ti)?.getTime() ?? NaN, vn=Number(s.v[i]);
+        if (Number.isFinite(tn) && s.v[i]!=null && Number.isFinite(vn)){ t.push(tn); v.push(vn); }
+      });
+      if (t.length) out[field]={ t, v };
+    });
+    return out;
+  }
+  function parseBundleConditions(text){
+    const sets=readBundle(text).conditions;
+    return (Array.isArray(sets) ? sets : [])
+      .map(set=>set && typeof set==='object' ? { ...set, series:reviveSeries(set.series) } : null)
+      .filter(set=>set && Object.keys(set.series).length)
+      .map(set=>({
+        ...set, key:set.key ? String(set.key) : newId(), name:String(set.name ?? 'Conditions'), fields:Object.keys(set.series),
+        from:reviveDate(set.from), to:reviveDate(set.to), importedAt:reviveDate(set.importedAt) ?? new Date()
+      }));
+  }
+
+  // ---------- IndexedDB ----------
+  function requestPromise(req){
+    return new Promise((resolve,reject)=>{ req.onsuccess=()=>resolve(req.result); req.onerror=()=>reject(req.error); });
+  }
+  // Transaction → promesse résolue à la fin (oncomplete), avec le résultat de la dernière requête renvoyée par fn
+  function transaction(db, mode, fn, store=STORE){
+    return new Promise((resolve,reject)=>{
+      const tx=db.transaction(store, mode);
+      let result;
+      const req=fn(tx.objectStore(store));
+      if (req) req.onsuccess=()=>{ result=req.result; };
+      tx.oncomplete=()=>resolve(result);
+      tx.onerror=tx.onabort=()=>reject(tx.error || new Error('Transaction IndexedDB annulée.'));
+    });
+  }
+  const byDateDesc = (a,b)=>((b.date ?? b.importedAt)?.getTime?.() ?? 0)-((a.date ?? a.importedAt)?.getTime?.() ?? 0);
+
+  async function openLibrary({ indexedDB:idb=(typeof indexedDB!=='undefined' ? indexedDB : null), name=DB_NAME }={}){
+    if (!idb) throw new Error('IndexedDB indisponible dans ce navigateur.');
+    const req=idb.open(name, DB_VERSION);
+    req.onupgradeneeded=()=>{
+      const db=req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath:'id' });
+      if (!db.objectStoreNames.contains(SPOT_STORE)) db.createObjectStore(SPOT_STORE, { keyPath:'key' });   // v2
+      if (!db.objectStoreNames.contains(PRESET_STORE)) db.createObjectStore(PRESET_STORE, { keyPath:'key' });   // v3
+      if (!db.objectStoreNames.contains(CONDITION_STORE)) db.createObjectStore(CONDITION_STORE, { keyPath:'key' });   // v4
+    };
+    const db=await requestPromise(req);
+    return {
+      list: async ()=>(await transaction(db,'readonly',s=>s.getAll())).sort(byDateDesc),
+      get: id=>transaction(db,'readonly',s=>s.get(id)),
+      put: async record=>{ await transaction(db,'readwrite',s=>s.put(record)); return record; },
+      update: async (id, patch)=>{
+        const current=await transaction(db,'readonly',s=>s.get(id));
+        if (!current) throw new Error('Session introuvable dans la bibliothèque.');
+        const next={ ...current, ...patch, updatedAt:new Date() };
+        await transaction(db,'readwrite',s=>s.put(next));
+        return next;
+      },
+      remove: id=>transaction(db,'readwrite',s=>s.delete(id)),
+      // Import d’un bundle : même id → la session importée remplace la locale
+      putAll: async records=>{ await transaction(db,'readwrite',s=>{ records.forEach(r=>s.put(r)); }); return records.length; },
+      // Spots : { key, name, shoreline, updatedAt } ; patch fusionné avec l’existant
+      listSpots: ()=>transaction(db,'readonly',s=>s.getAll(),SPOT_STORE),
+      getSpot: name=>spotKey(name) ? transaction(db,'readonly',s=>s.get(spotKey(name)),SPOT_STORE) : Promise.resolve(undefined),
+      putSpot: async (name, patch)=>{
+        const key=spotKey(name);
+        if (!key) throw new Error('Nom de spot manquant.');
+        const current=await transaction(db,'readonly',s=>s.get(key),SPOT_STORE);
+        const next={ ...current, ...patch, key, name:String(name).trim(), updatedAt:new Date() };
+        await transaction(db,'readwrite',s=>s.put(next),SPOT_STORE);
+        return next;
+      },
+      putSpots: async spots=>{ await transaction(db,'readwrite',s=>{ spots.forEach(sp=>s.put(sp)); },SPOT_STORE); return spots.length; },
+      // Préréglages : { key, name, options, updatedAt } (BodyboardPresets.createPreset) ; même nom → remplacé
+      listPresets: async ()=>(await transaction(db,'readonly',s=>s.getAll(),PRESET_STORE)).sort((a,b)=>a.name.localeCompare(b.name)),
+      putPresets: async presets=>{ await transaction(db,'readwrite',s=>{ presets.forEach(p=>s.put(p)); },PRESET_STORE); return presets.length; },
+      removePreset: key=>transaction(db,'readwrite',s=>s.delete(key),PRESET_STORE),
+      // Conditions : { key, name, series, fields, from, to, importedAt } (BodyboardConditions.parseConditions)
+      listConditions: async ()=>(await transaction(db,'readonly',s=>s.getAll(),CONDITION_STORE)).sort((a,b)=>(a.from?.getTime?.() ?? 0)-(b.from?.getTime?.() ?? 0)),
+      putConditions: async set=>{ const record={ importedAt:new Date(), ...set, key:set.key || newId() }; await transaction(db,'readwrite',s=>s.put(record),CONDITION_STORE); return record; },
+      removeConditions: key=>transaction(db,'readwrite',s=>s.delete(key),CONDITION_STORE),
+      close: ()=>db.close()
+    };
+  }
+
+  return {
+    DB_NAME, BUNDLE_FORMAT, BUNDLE_VERSION,
+    createSessionRecord, updateSessionResults, summarizeWaves, normalizeTags, spotKey,
+    exportBundle, parseBundle, parseBundleSpots, parseBundleConditions, openLibrary
+  };
+});
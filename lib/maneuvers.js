@@ -0,0 +1,87 @@
+/* Bodyboard – manœuvres dans une vague
+ * ------------------------------------------------------------------
+ * Parcourt les segments d’une vague (w.indices) et repère les virages : suite de segments qui tournent
+ * dans le même sens à plus de MIN_RATE_DEG_S, pour au moins MIN_TURN_DEG au total. Classement :
+ *   - « 360 »         : ≥ SPIN_DEG, le rider repart dans son sens de glisse ;
+ *   - « cutback »     : ≥ CUTBACK_DEG, retour vers la mousse (perte de vitesse typique) ;
+ *   - « bottom turn » : virage plus court avant le pic de vitesse de la vague (il relance) ;
+ *   - « virage »      : le reste.
+ * Angle signé : positif = vers la droite (sens horaire), négatif = vers la gauche.
+ * Navigateur : global `BodyboardManeuvers` ; Node : `require('./lib/maneuvers')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardManeuvers=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const MIN_SPEED_KMH = 5;       // cap du GPS trop bruité en dessous
+  const MIN_RATE_DEG_S = 12;     // vitesse de rotation minimale d’un segment « en virage »
+  const MIN_TURN_DEG = 45;
+  const CUTBACK_DEG = 120;
+  const SPIN_DEG = 300;
+  const MANEUVER_TYPES = ['bottom turn','cutback','360','virage'];
+
+  // Écart de cap signé b − a dans ]-180, 180]
+  const signedDiff = (a,b)=>{ const d=((b-a)%360+540)%360-180; return d===-180 ? 180 : d; };
+  const timeOf = p=>p?.time instanceof Date && !isNaN(p.time) ? p.time : null;
+
+  function classify(angleDeg, beforePeak){
+    const a=Math.abs(angleDeg);
+    if (a>=SPIN_DEG) return '360';
+    if (a>=CUTBACK_DEG) return 'cutback';
+    return beforePeak ? 'bottom turn' : 'virage';
+  }
+
+  // Manœuvres d’une vague enrichie (indices, peakIdx) :
+  // [{ type, angleDeg, time, segIdx, latlng:[lat,lon], durationS, speedInKmh, speedOutKmh, speedMinKmh }]
+  function detectManeuvers(w, points, segments){
+    const idx=(w.indices || []).filter(i=>{
+      const s=segments[i];
+      return s && !s.gap && Number.isFinite(s.bearingDeg) && s.speedKmh>=MIN_SPEED_KMH;
+    });
+    const out=[];
+    let run=null;
+    const close=()=>{
+      if (run && Math.abs(run.angle)>=MIN_TURN_DEG){
+        const apex=points[run.apex];
+        const speeds=run.segs.map(i=>segments[i].speedKmh);
+        out.push({
+          type:classify(run.angle, run.apex<=(w.peakIdx ?? Infinity)),
+          angleDeg:Math.round(run.angle), time:timeOf(apex), segIdx:run.apex,
+          latlng:apex ? [apex.lat, apex.lon] : null,
+          durationS:run.segs.slice(1).reduce((a,i)=>a+segments[i].dtS, 0),
+          speedInKmh:speeds[0], speedOutKmh:speeds[speeds.length-1], speedMinKmh:Math.min(...speeds)
+        });
+      }
+      run=null;
+    };
+    for (let k=1;k<idx.length;k++){
+      const prev=segments[idx[k-1]], cur=segments[idx[k]];
+      const d=signedDiff(prev.bearingDeg, cur.bearingDeg);
+      // rotation rapportée au temps entre milieux de segments ; un trou (segment lent écarté) coupe le virage
+      const dt=(prev.dtS+cur.dtS)/2;
+      const turning=idx[k]===idx[k-1]+1 && dt>0 && Math.abs(d)/dt>=MIN_RATE_DEG_S;
+      if (!turning || (run && Math.sign(d)!==Math.sign(run.angle))) close();
+      if (!turning) continue;
+      if (!run) run={ angle:0, segs:[idx[k-1]], apex:idx[k], apexRate:0 };
+      run.angle+=d; run.segs.push(idx[k]);
+      if (Math.abs(d)/dt>run.apexRate){ run.apexRate=Math.abs(d)/dt; run.apex=idx[k]; }
+    }
+    close();
+    return out;
+  }
+
+  // Vagues + maneuvers (les autres champs sont conservés)
+  const annotateWaves = (waves, points, segments)=>waves.map(w=>({ ...w, maneuvers:detectManeuvers(w, points, segments) }));
+
+  // Décompte par type sur la session : { total, byType:{ 'bottom turn':n, … } }
+  function countManeuvers(waves){
+    const byType=Object.fromEntries(MANEUVER_TYPES.map(t=>[t, 0]));
+    let total=0;
+    waves.forEach(w=>(w.maneuvers || []).forEach(m=>{ byType[m.type]++; total++; }));
+    return { total, byType };
+  }
+
+  return { MANEUVER_TYPES, MIN_TURN_DEG, CUTBACK_DEG, SPIN_DEG, detectManeuvers, annotateWaves, countManeuvers };
+});
@@ -0,0 +1,450 @@
+/* Bodyboard – lecture des traces (GPX, CSV, TCX, KML/KMZ, GeoJSON, FIT)
+ * ---------------------------------------------------------------------
+ * Module sans DOM : utilisable dans le navigateur (global `BodyboardParsers`)
+ * comme dans Node (`require('./lib/parsers')`). Les formats XML passent par un
+ * petit lecteur XML interne plutôt que par DOMParser.
+ *
+ * Modèle de point produit : {lat, lon, ele, time, speedKmh?, breakBefore?}
+ * readTrack() renvoie aussi la session enregistrée par l’appli dans ses propres GPX
+ * (réglages, retouches, vagues) : voir BodyboardExport.sessionToGPX.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardParsers=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  // ---- Registre des parseurs ---------
+  // Chaque format : { id, label, extensions, binary, sniff(head, bytes), parse(data) → pts | Promise<pts> },
+  // et éventuellement read(data) → { points, session } quand le fichier peut porter une session de l’appli.
+  // Le parseur est choisi par extension, puis par reconnaissance du contenu (fichiers .xml, .json, .txt…).
+  const TRACK_PARSERS = [];
+  function registerParser(def){ TRACK_PARSERS.push(def); }
+
+  function supportedExtensions(){ return TRACK_PARSERS.flatMap(p=>p.extensions); }
+
+  function toArrayBuffer(data){
+    if (data instanceof ArrayBuffer) return data;
+    if (ArrayBuffer.isView(data)) return data.buffer.slice(data.byteOffset, data.byteOffset+data.byteLength);
+    if (typeof data==='string') return new TextEncoder().encode(data).buffer;
+    throw new Error('Données de trace illisibles.');
+  }
+
+  function findParser(fileName, bytes){
+    const name=String(fileName||'').toLowerCase();
+    const head=new TextDecoder().decode(bytes.subarray(0,1024)).replace(/^\uFEFF/,'').trimStart();
+    return TRACK_PARSERS.find(p=>p.extensions.some(ext=>name.endsWith(ext)))
+      || TRACK_PARSERS.find(p=>p.sniff(head,bytes))
+      || null;
+  }
+
+  // data : ArrayBuffer, TypedArray/Buffer (Node) ou texte. Le nom sert au choix par extension.
+  // readTrack → { points, session } (session : null hors export de l’appli) ; parseTrack → points seuls.
+  async function readTrack(fileName, data){
+    const buffer=toArrayBuffer(data);
+    const bytes=new Uint8Array(buffer);
+    const parser=findParser(fileName,bytes);
+    if (!parser){
+      throw new Error(`Format non reconnu (formats acceptés : ${supportedExtensions().join(', ')}).`);
+    }
+    const input=parser.binary ? buffer : new TextDecoder().decode(bytes);
+    const { points:pts, session }=parser.read ? await parser.read(input) : { points:await parser.parse(input), session:null };
+    if (pts.length && !pts.some(p=>p.time instanceof Date && !isNaN(p.time))){
+      throw new Error(`Le fichier ${parser.label} ne contient aucun horodatage : impossible de calculer des vitesses.`);
+    }
+    return { points:pts, session };
+  }
+  async function parseTrack(fileName, data){
+    return (await readTrack(fileName, data)).points;
+  }
+
+  // ---- Lecteur XML minimal -----------
+  // Produit un arbre {name, localName, attrs, children, text} ; suffisant pour GPX/TCX/KML.
+  // Les préfixes de namespace sont ignorés pour la recherche (localName).
+  const XML_ENTITIES = { lt:'<', gt:'>', amp:'&', quot:'"', apos:"'" };
+  function decodeEntities(str){
+    return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi,(m,e)=>{
+      if (e[0]==='#') return String.fromCodePoint(e[1]==='x'||e[1]==='X' ? parseInt(e.slice(2),16) : parseInt(e.slice(1),10));
+      return XML_ENTITIES[e] ?? m;
+    });
+  }
+  function parseXML(xmlText){
+    const docNode={ name:'#document', localName:'#document', attrs:{}, children:[], text:'' };
+    const stack=[docNode];
+    const re=/<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let m, lastIndex=0;
+    while ((m=re.exec(xmlText))){
+      if (m.index!==lastIndex) throw new Error('XML invalide.');
+      lastIndex=re.lastIndex;
+      const top=stack[stack.length-1];
+      if (m[1]!==undefined){ top.text+=m[1]; }
+      else if (m[2]!==undefined){
+        if (stack.length<2 || top.name!==m[2]) throw new Error('XML invalide (balise </'+m[2]+'> inattendue).');
+        stack.pop();
+      } else if (m[3]!==undefined){
+        const attrs={};
+        const attrRe=/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g; let a;
+        while ((a=attrRe.exec(m[4]))) attrs[a[1]]=decodeEntities(a[2] ?? a[3]);
+        const name=m[3], colon=name.indexOf(':');
+        const node={ name, localName:colon>=0?name.slice(colon+1):name, attrs, children:[], text:'' };
+        top.children.push(node);
+        if (!m[5]) stack.push(node);
+      } else if (m[6]!==undefined){ top.text+=decodeEntities(m[6]); }
+    }
+    if (lastIndex!==xmlText.length || stack.length!==1 || !docNode.children.length) throw new Error('XML invalide.');
+    return docNode;
+  }
+  // Premier enfant direct dont le nom local correspond (indépendant des préfixes de namespace)
+  function xmlChild(node, localName){
+    for (const c of node.children) if (c.localName===localName) return c;
+    return null;
+  }
+  // Tous les descendants portant ce nom local, dans l’ordre du document
+  function xmlDescendants(node, localName, out=[]){
+    for (const c of node.children){
+      if (c.localName===localName) out.push(c);
+      xmlDescendants(c, localName, out);
+    }
+    return out;
+  }
+  // Texte d’un nœud (texte propre + celui des enfants), comme textContent
+  function nodeText(node){
+    if (!node) return null;
+    return node.children.length ? node.text+node.children.map(nodeText).join('') : node.text;
+  }
+  function parseXMLDocument(xmlText, label){
+    try { return parseXML(xmlText); }
+    catch { throw new Error(`${label} invalide.`); }
+  }
+  function parseTimeText(text){
+    if (!text) return null;
+    const d=new Date(text.trim());
+    return isNaN(d) ? null : d;
+  }
+
+  // Chaque <trkseg> (et donc chaque <trk>) démarre une nouvelle portion : breakBefore sur son 1er point.
+  // Les <trk> de vagues écrits par l’appli recopient la trace : ignorés (<type>bodyboard-wave</type>,
+  // ou « Wave N • … » dans les exports plus anciens, sans type).
+  const GPX_WAVE_TRACK_TYPE = 'bodyboard-wave';
+  function isAppWaveTrack(trk, fromApp){
+    const type=nodeText(xmlChild(trk,'type'))?.trim();
+    if (type) return type===GPX_WAVE_TRACK_TYPE;
+    return fromApp && /^Wave \d+ •/.test(nodeText(xmlChild(trk,'name'))?.trim() || '');
+  }
+  // Session enregistrée dans <metadata><extensions><bb:session> : JSON des réglages, retouches et vagues
+  function readGPXSessionMeta(dom){
+    const node=xmlDescendants(dom,'session').find(n=>n.attrs.version);
+    if (!node) return null;
+    const json=name=>{
+      const text=nodeText(xmlChild(node,name));
+      if (!text || !text.trim()) return null;
+      try { return JSON.parse(text); } catch { return null; }
+    };
+    const waves=json('waves'), options=json('options'), edits=json('edits');
+    if (!Array.isArray(waves) || !options || typeof options!=='object') return null;
+    const spans=list=>(Array.isArray(list) ? list : []).filter(s=>Number.isFinite(s?.start) && Number.isFinite(s?.end));
+    return {
+      version:Number(node.attrs.version), options, waves:spans(waves),
+      edits:{ locked:spans(edits?.locked), deleted:spans(edits?.deleted), confirmed:spans(edits?.confirmed) }
+    };
+  }
+  function readGPX(xmlText){
+    const dom=parseXMLDocument(xmlText,'GPX');
+    const root=xmlChild(dom,'gpx');
+    const fromApp=/^Bodyboard Viewer/.test(root?.attrs.creator || '');
+    const trks=xmlDescendants(dom,'trk').filter(trk=>!isAppWaveTrack(trk, fromApp));
+    const trksegs=trks.flatMap(trk=>xmlDescendants(trk,'trkseg')); const pts=[];
+    const groups=trksegs.length ? trksegs.map(seg=>xmlDescendants(seg,'trkpt')) : [xmlDescendants(dom,'trkpt')];
+    for (const trkpts of groups){
+      let first=true;
+      for (let i=0;i<trkpts.length;i++){
+        const n=trkpts[i]; const lat=parseFloat(n.attrs.lat); const lon=parseFloat(n.attrs.lon);
+        const eleNode=xmlChild(n,'ele'); const timeNode=xmlChild(n,'time');
+        const ele=eleNode?parseFloat(nodeText(eleNode)):null; const time=timeNode?new Date(nodeText(timeNode).trim()):null;
+        if (!Number.isFinite(lat)||!Number.isFinite(lon)) continue;
+        const p={lat,lon,ele,time};
+        if (first && pts.length) p.breakBefore=true;
+        first=false; pts.push(p);
+      }
+    }
+    return { points:pts, session:fromApp ? readGPXSessionMeta(dom) : null };
+  }
+  const parseGPX = xmlText=>readGPX(xmlText).points;
+  function parseCSV(text){
+    const lines=text.trim().split(/\r?\n/); if (lines.length<2) throw new Error('CSV trop court.');
+    const header=lines[0].split(',').map(s=>s.trim().toLowerCase());
+    const iTime=header.indexOf('time'), iLat=header.indexOf('lat'), iLon=header.indexOf('lon'), iEle=header.indexOf('ele');
+    if (iTime<0||iLat<0||iLon<0) throw new Error('CSV attendu avec colonnes: time,lat,lon[,ele]');
+    const pts=[];
+    for (let i=1;i<lines.length;i++){
+      if (!lines[i].trim()) continue;
+      const c=lines[i].split(',').map(s=>s.trim());
+      const lat=parseFloat(c[iLat]), lon=parseFloat(c[iLon]), ele=(iEle>=0&&c[iEle]!==undefined)?parseFloat(c[iEle]):null;
+      const time=new Date((c[iTime]||'').replace(' ','T'));
+      if (Number.isFinite(lat)&&Number.isFinite(lon)) pts.push({lat,lon,ele,time});
+    }
+    return pts;
+  }
+
+  // ---- TCX (Garmin Training Center) --
+  function parseTCX(xmlText){
+    const dom=parseXMLDocument(xmlText,'TCX'); const pts=[];
+    for (const track of xmlDescendants(dom,'Track')){
+      let first=true;
+      for (const tp of track.children){
+        if (tp.localName!=='Trackpoint') continue;
+        const pos=xmlChild(tp,'Position'); if (!pos) continue;
+        const lat=parseFloat(nodeText(xmlChild(pos,'LatitudeDegrees')));
+        const lon=parseFloat(nodeText(xmlChild(pos,'LongitudeDegrees')));
+        const eleText=nodeText(xmlChild(tp,'AltitudeMeters'));
+        const ele=eleText!=null?parseFloat(eleText):null;
+        const time=parseTimeText(nodeText(xmlChild(tp,'Time')));
+        const p={lat,lon,ele,time};
+        // Vitesse capteur (extension TPX, en m/s)
+        const speedNode=xmlDescendants(tp,'Speed')[0];
+        const speedMS=speedNode?parseFloat(nodeText(speedNode)):NaN;
+        if (Number.isFinite(speedMS)) p.speedKmh=speedMS*3.6;
+        if (!Number.isFinite(lat)||!Number.isFinite(lon)) continue;
+        if (first && pts.length) p.breakBefore=true;
+        first=false; pts.push(p);
+      }
+    }
+    return pts;
+  }
+
+  // ---- KML / KMZ ---------------------
+  // Seules les traces horodatées gx:Track (<when> + <gx:coord>) sont exploitables ;
+  // un LineString simple n’a pas de temps et déclenche l’erreur "aucun horodatage".
+  function parseKML(xmlText){
+    const dom=parseXMLDocument(xmlText,'KML'); const pts=[];
+    const tracks=xmlDescendants(dom,'Track');
+    for (const trk of tracks){
+      const whens=[], coords=[];
+      for (const c of trk.children){
+        if (c.localName==='when') whens.push(nodeText(c));
+        else if (c.localName==='coord') coords.push(nodeText(c));
+      }
+      const trackStart=pts.length;
+      coords.forEach((txt,i)=>{
+        const [lon,lat,ele]=txt.trim().split(/\s+/).map(parseFloat);
+        const time=parseTimeText(whens[i]);
+        if (Number.isFinite(lat)&&Number.isFinite(lon)) pts.push({lat,lon,ele:Number.isFinite(ele)?ele:null,time});
+      });
+      if (trackStart>0 && pts.length>trackStart) pts[trackStart].breakBefore=true;
+    }
+    if (pts.length) return pts;
+
+    for (const ls of xmlDescendants(dom,'LineString')){
+      const coordsText=nodeText(xmlChild(ls,'coordinates'))||'';
+      coordsText.trim().split(/\s+/).forEach(tuple=>{
+        const [lon,lat,ele]=tuple.split(',').map(parseFloat);
+        if (Number.isFinite(lat)&&Number.isFinite(lon)) pts.push({lat,lon,ele:Number.isFinite(ele)?ele:null,time:null});
+      });
+    }
+    return pts;
+  }
+
+  async function parseKMZ(buffer){
+    const entries=readZipEntries(buffer);
+    const kml=entries.find(e=>e.name.toLowerCase()==='doc.kml') || entries.find(e=>e.name.toLowerCase().endsWith('.kml'));
+    if (!kml) throw new Error('KMZ invalide (aucun fichier .kml dans l’archive).');
+    const data=await inflateZipEntry(buffer,kml);
+    return parseKML(new TextDecoder().decode(data));
+  }
+
+  // Lecture du répertoire central d’une archive ZIP (sans dépendance)
+  function readZipEntries(buffer){
+    const view=new DataView(buffer);
+    let eocd=-1;
+    for (let i=view.byteLength-22;i>=Math.max(0,view.byteLength-65557);i--){
+      if (view.getUint32(i,true)===0x06054b50){ eocd=i; break; }
+    }
+    if (eocd<0) throw new Error('Archive ZIP invalide.');
+    const count=view.getUint16(eocd+10,true);
+    let offset=view.getUint32(eocd+16,true);
+    const entries=[];
+    for (let i=0;i<count;i++){
+      if (view.getUint32(offset,true)!==0x02014b50) throw new Error('Archive ZIP invalide.');
+      const method=view.getUint16(offset+10,true);
+      const compSize=view.getUint32(offset+20,true);
+      const nameLen=view.getUint16(offset+28,true), extraLen=view.getUint16(offset+30,true), commentLen=view.getUint16(offset+32,true);
+      const localOffset=view.getUint32(offset+42,true);
+      const name=new TextDecoder().decode(new Uint8Array(buffer,offset+46,nameLen));
+      entries.push({ name, method, compSize, localOffset });
+      offset+=46+nameLen+extraLen+commentLen;
+    }
+    return entries;
+  }
+  async function inflateZipEntry(buffer, entry){
+    const view=new DataView(buffer);
+    const start=entry.localOffset+30+view.getUint16(entry.localOffset+26,true)+view.getUint16(entry.localOffset+28,true);
+    const raw=new Uint8Array(buffer,start,entry.compSize);
+    if (entry.method===0) return raw;
+    if (entry.method!==8) throw new Error('Archive ZIP : méthode de compression non supportée.');
+    // Node : zlib (DecompressionStream n’accepte 'deflate-raw' qu’à partir de Node 21)
+    if (typeof process==='object' && process.versions?.node) return new Uint8Array(require('zlib').inflateRawSync(raw));
+    if (typeof DecompressionStream==='undefined') throw new Error('Décompression indisponible dans ce navigateur.');
+    const stream=new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ---- GeoJSON -----------------------
+  // LineString / MultiLineString avec tableau de temps dans properties.coordTimes (ou times),
+  // ou suite de Point avec properties.time. Les vagues d’un export de l’appli (properties.kind==='wave')
+  // recopient des morceaux de la trace : ignorées.
+  function parseGeoJSON(text){
+    let json; try{ json=JSON.parse(text); }catch{ throw new Error('GeoJSON invalide.'); }
+    const features = json.type==='FeatureCollection' ? (json.features||[])
+      : json.type==='Feature' ? [json] : [{ type:'Feature', geometry:json, properties:{} }];
+    const pts=[];
+    let newLine=false;
+    const pushCoord=(c,t)=>{
+      const [lon,lat,ele]=c||[];
+      if (!Number.isFinite(lat)||!Number.isFinite(lon)) return;
+      const p={lat,lon,ele:Number.isFinite(ele)?ele:null,time:parseGeoJSONTime(t)};
+      if (newLine && pts.length) p.breakBefore=true;
+      newLine=false; pts.push(p);
+    };
+    for (const f of features){
+      const g=f?.geometry; const props=f?.properties||{};
+      const times=props.coordTimes ?? props.times ?? null;
+      if (!g || props.kind==='wave') continue;
+      if (g.type==='LineString'){
+        newLine=true;
+        g.coordinates.forEach((c,i)=>pushCoord(c,times?.[i]));
+      } else if (g.type==='MultiLineString'){
+        g.coordinates.forEach((line,j)=>{ newLine=true; line.forEach((c,i)=>pushCoord(c,Array.isArray(times?.[j])?times[j][i]:undefined)); });
+      } else if (g.type==='Point'){
+        pushCoord(g.coordinates,props.time ?? props.timestamp);
+      }
+    }
+    return pts;
+  }
+  function parseGeoJSONTime(t){
+    if (t==null) return null;
+    if (typeof t==='number') return new Date(t<1e11 ? t*1000 : t);   // secondes ou millisecondes epoch
+    return parseTimeText(String(t));
+  }
+
+  // ---- FIT (Garmin / Coros) ----------
+  // Décodeur minimal : seuls les messages "record" (n° global 20) sont exploités.
+  const FIT_EPOCH_MS = Date.UTC(1989,11,31,0,0,0);   // origine des timestamps FIT
+  const FIT_SEMICIRCLE_TO_DEG = 180 / 2**31;
+  const FIT_MESG_RECORD = 20;
+  const FIT_MESG_EVENT = 21;
+  const FIT_EVENT_TIMER = 0, FIT_EVENT_TYPE_STOP = 1, FIT_EVENT_TYPE_STOP_ALL = 4;
+  const FIT_FIELD = { TIMESTAMP:253, LAT:0, LON:1, ALTITUDE:2, SPEED:6, ENH_SPEED:73, ENH_ALTITUDE:78 };
+  // type de base FIT (5 bits de poids faible) → [taille, lecteur DataView, valeur invalide]
+  const FIT_BASE_TYPES = {
+    0:[1,'getUint8',0xFF], 1:[1,'getInt8',0x7F], 2:[1,'getUint8',0xFF],
+    3:[2,'getInt16',0x7FFF], 4:[2,'getUint16',0xFFFF], 5:[4,'getInt32',0x7FFFFFFF],
+    6:[4,'getUint32',0xFFFFFFFF], 8:[4,'getFloat32',NaN], 9:[8,'getFloat64',NaN],
+    10:[1,'getUint8',0x00], 11:[2,'getUint16',0x0000], 12:[4,'getUint32',0x00000000], 13:[1,'getUint8',0xFF]
+  };
+
+  function parseFIT(buffer){
+    const view=new DataView(buffer);
+    if (view.byteLength<12) throw new Error('FIT trop court.');
+    const headerSize=view.getUint8(0);
+    const signature=String.fromCharCode(view.getUint8(8),view.getUint8(9),view.getUint8(10),view.getUint8(11));
+    if (signature!=='.FIT' || headerSize<12) throw new Error('FIT invalide (en-tête .FIT absent).');
+    const dataEnd=Math.min(view.byteLength, headerSize+view.getUint32(4,true));
+
+    const defs={};            // définitions par type de message local
+    let offset=headerSize;
+    const state={ lastTimestamp:null, pendingBreak:false };   // pendingBreak : pause chrono (event timer stop)
+    const pts=[];
+
+    while (offset<dataEnd){
+      const header=view.getUint8(offset++);
+
+      // En-tête à timestamp compressé : décalage de 5 bits sur le dernier timestamp
+      if (header & 0x80){
+        const local=(header>>5)&0x03, timeOffset=header&0x1F;
+        if (state.lastTimestamp!==null){
+          const low=state.lastTimestamp%32;
+          state.lastTimestamp = state.lastTimestamp - low + timeOffset + (timeOffset>=low?0:0x20);
+        }
+        offset=readFitData(view,offset,defs[local],true,state,pts);
+        continue;
+      }
+
+      const local=header&0x0F;
+      if (header & 0x40){
+        // Message de définition
+        const hasDev=Boolean(header & 0x20);
+        const littleEndian=view.getUint8(offset+1)===0;
+        const globalNum=view.getUint16(offset+2,littleEndian);
+        const nFields=view.getUint8(offset+4); offset+=5;
+        const fields=[];
+        for (let i=0;i<nFields;i++){
+          fields.push({ num:view.getUint8(offset), size:view.getUint8(offset+1), baseType:view.getUint8(offset+2)&0x1F });
+          offset+=3;
+        }
+        let devSize=0;
+        if (hasDev){
+          const nDev=view.getUint8(offset++);
+          for (let i=0;i<nDev;i++){ devSize+=view.getUint8(offset+1); offset+=3; }
+        }
+        defs[local]={ globalNum, littleEndian, fields, devSize };
+      } else {
+        offset=readFitData(view,offset,defs[local],false,state,pts);
+      }
+    }
+    return pts;
+  }
+
+  // Lit un message de données ; renvoie le nouvel offset. Ajoute un point si c’est un "record" géolocalisé.
+  function readFitData(view, offset, def, compressed, state, pts){
+    if (!def) throw new Error('FIT invalide (message sans définition).');
+    const values={};
+    for (const f of def.fields){
+      const bt=FIT_BASE_TYPES[f.baseType];
+      if (bt && bt[0]===f.size){
+        const v=view[bt[1]](offset, def.littleEndian);
+        if (!(v===bt[2] || Number.isNaN(v))) values[f.num]=v;
+      }
+      offset+=f.size;
+    }
+    offset+=def.devSize;
+
+    let ts=values[FIT_FIELD.TIMESTAMP];
+    if (ts!==undefined) state.lastTimestamp=ts; else ts=compressed?state.lastTimestamp:null;
+
+    if (def.globalNum===FIT_MESG_EVENT){
+      const evtType=values[1];
+      if (values[0]===FIT_EVENT_TIMER && (evtType===FIT_EVENT_TYPE_STOP || evtType===FIT_EVENT_TYPE_STOP_ALL)) state.pendingBreak=true;
+      return offset;
+    }
+    if (def.globalNum!==FIT_MESG_RECORD) return offset;
+    const rawLat=values[FIT_FIELD.LAT], rawLon=values[FIT_FIELD.LON];
+    if (rawLat===undefined || rawLon===undefined) return offset;
+
+    const lat=rawLat*FIT_SEMICIRCLE_TO_DEG, lon=rawLon*FIT_SEMICIRCLE_TO_DEG;
+    const rawAlt=values[FIT_FIELD.ENH_ALTITUDE] ?? values[FIT_FIELD.ALTITUDE];
+    const ele=rawAlt!==undefined ? rawAlt/5-500 : null;
+    const rawSpeed=values[FIT_FIELD.ENH_SPEED] ?? values[FIT_FIELD.SPEED];
+    const time=Number.isFinite(ts) ? new Date(FIT_EPOCH_MS+ts*1000) : null;
+
+    const p={lat,lon,ele,time};
+    if (rawSpeed!==undefined) p.speedKmh=rawSpeed/1000*3.6;
+    if (!Number.isFinite(lat)||!Number.isFinite(lon)) return offset;
+    if (state.pendingBreak && pts.length) p.breakBefore=true;
+    state.pendingBreak=false;
+    pts.push(p);
+    return offset;
+  }
+
+  registerParser({ id:'gpx', label:'GPX', extensions:['.gpx'], binary:false, sniff:h=>/<gpx[\s>]/.test(h), parse:parseGPX, read:readGPX });
+  registerParser({ id:'tcx', label:'TCX', extensions:['.tcx'], binary:false, sniff:h=>h.includes('TrainingCenterDatabase'), parse:parseTCX });
+  registerParser({ id:'kml', label:'KML', extensions:['.kml'], binary:false, sniff:h=>/<kml[\s>]/.test(h), parse:parseKML });
+  registerParser({ id:'kmz', label:'KMZ', extensions:['.kmz'], binary:true, sniff:(h,b)=>b[0]===0x50&&b[1]===0x4B&&b[2]===0x03&&b[3]===0x04, parse:parseKMZ });
+  registerParser({ id:'geojson', label:'GeoJSON', extensions:['.geojson'], binary:false, sniff:h=>h.startsWith('{')&&/"type"\s*:/.test(h), parse:parseGeoJSON });
+  registerParser({ id:'fit', label:'FIT', extensions:['.fit'], binary:true, sniff:(h,b)=>b.length>=12&&String.fromCharCode(b[8],b[9],b[10],b[11])==='.FIT', parse:parseFIT });
+  registerParser({ id:'csv', label:'CSV', extensions:['.csv'], binary:false, sniff:h=>/^[^\n]*\blat\b[^\n]*,[^\n]*\blon\b/i.test(h), parse:parseCSV });
+  return {
+    registerParser, readTrack, parseTrack, supportedExtensions, findParser,
+    readGPX, parseGPX, parseCSV, parseTCX, parseKML, parseKMZ, parseGeoJSON, parseFIT,
+    parseXML, xmlChild, xmlDescendants, nodeText, readZipEntries, inflateZipEntry
+  };
+});
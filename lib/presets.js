@@ -0,0 +1,109 @@
+/* Bodyboard – préréglages de détection et lien de partage
+ * ------------------------------------------------------------------
+ * Un préréglage = un nom + les options de détection (même forme que getDetectionOptions / DEFAULT_OPTIONS).
+ * Les mêmes options s’écrivent dans le hash de l’URL (#bb=1&t=14&win=8…) : ouvrir le lien redonne
+ * une détection identique. baseThresholdKmh null (« auto ») = seuil automatique de la trace.
+ * Les préréglages sont stockés dans la bibliothèque (store `presets`) ; ce module est pur.
+ * Navigateur : global `BodyboardPresets` ; Node : `require('./lib/presets')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardPresets=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const PRESET_FORMAT = 'bodyboard-presets';
+  const PRESET_VERSION = 1;
+  const HASH_VERSION = '1';
+
+  // [clé du hash, chemin dans les options, type]
+  const SETTING_FIELDS = [
+    ['t','baseThresholdKmh','threshold'], ['min','minDurationS','num'],
+    ['ad','useAdaptive','bool'], ['win','winSec','num'], ['k','kSigma','num'],
+    ['drop','dropPct','num'], ['grace','endGraceS','num'], ['std','dirStdMaxDeg','num'],
+    ['dir','direction.enabled','bool'], ['dd','direction.direction','num'],
+    ['tol','direction.tolerance','num'], ['ref','direction.reference','reference'],
+    ['flt','filter.enabled','bool'], ['vmax','filter.maxSpeedKmh','num'], ['amax','filter.maxAccelMS2','num'],
+    ['kal','filter.smooth','bool'], ['gps','filter.gpsNoiseM','num'], ['med','filter.medianWindow','num'],
+    ['sp','scoring.peak','num'], ['ss','scoring.sustained','num'], ['sd','scoring.distance','num'],
+    ['su','scoring.duration','num'], ['sa','scoring.accel','num'], ['st','scoring.turns','num']
+  ];
+
+  const getPath = (obj, path)=>path.split('.').reduce((o,k)=>o==null ? undefined : o[k], obj);
+  function setPath(obj, path, value){
+    const keys=path.split('.'), last=keys.pop();
+    const target=keys.reduce((o,k)=>(o[k] ??= {}), obj);
+    target[last]=value;
+  }
+
+  // Valeur brute (options ou texte du hash) → valeur typée, ou undefined si invalide
+  function readValue(type, v){
+    if (v===undefined) return undefined;
+    if (type==='bool') return v===true || v==='1' || v==='true' ? true : v===false || v==='0' || v==='false' ? false : undefined;
+    if (type==='reference') return v==='shore' || v==='compass' ? v : undefined;
+    if (type==='threshold' && (v===null || v==='auto')) return null;
+    const n=typeof v==='number' ? v : typeof v==='string' && v.trim() ? Number(v) : NaN;
+    return Number.isFinite(n) ? n : undefined;
+  }
+  const writeValue = (type, v)=>type==='bool' ? (v ? '1' : '0') : type==='threshold' && v==null ? 'auto' : String(v);
+
+  // Ne garde que les réglages connus et valides (import de fichier, hash)
+  function sanitizeOptions(raw){
+    const out={};
+    SETTING_FIELDS.forEach(([, path, type])=>{
+      const v=readValue(type, getPath(raw, path));
+      if (v!==undefined) setPath(out, path, v);
+    });
+    return out;
+  }
+
+  // ---------- Hash d’URL ----------
+  function encodeSettingsHash(options){
+    const params=new URLSearchParams({ bb:HASH_VERSION });
+    SETTING_FIELDS.forEach(([key, path, type])=>{
+      const v=readValue(type, getPath(options, path));
+      if (v!==undefined) params.set(key, writeValue(type, v));
+    });
+    return '#'+params.toString();
+  }
+  // null si le hash n’est pas un lien de réglages
+  function decodeSettingsHash(hash){
+    const params=new URLSearchParams(String(hash ?? '').replace(/^#/,''));
+    if (params.get('bb')!==HASH_VERSION) return null;
+    const out={};
+    SETTING_FIELDS.forEach(([key, path, type])=>{
+      const v=params.has(key) ? readValue(type, params.get(key)) : undefined;
+      if (v!==undefined) setPath(out, path, v);
+    });
+    return out;
+  }
+
+  // ---------- Préréglages ----------
+  const presetKey = name => String(name ?? '').trim().toLowerCase();
+  function createPreset(name, options){
+    const key=presetKey(name);
+    if (!key) throw new Error('Nom de préréglage manquant.');
+    return { key, name:String(name).trim(), options:sanitizeOptions(options), updatedAt:new Date() };
+  }
+  function exportPresets(presets){
+    return JSON.stringify({
+      format:PRESET_FORMAT, version:PRESET_VERSION, exportedAt:new Date().toISOString(),
+      presets:presets.map(p=>({ name:p.name, options:p.options }))
+    }, null, 2);
+  }
+  function parsePresets(text){
+    let json;
+    try { json=JSON.parse(text); } catch { throw new Error('Fichier de préréglages invalide (JSON illisible).'); }
+    if (!json || json.format!==PRESET_FORMAT || !Array.isArray(json.presets)){
+      throw new Error('Ce fichier n’est pas un export de préréglages Bodyboard.');
+    }
+    if (json.version>PRESET_VERSION) throw new Error(`Version de préréglages non prise en charge (${json.version}).`);
+    return json.presets.filter(p=>p && presetKey(p.name) && p.options && typeof p.options==='object').map(p=>createPreset(p.name, p.options));
+  }
+
+  return {
+    PRESET_FORMAT, PRESET_VERSION, SETTING_FIELDS,
+    sanitizeOptions, encodeSettingsHash, decodeSettingsHash,
+    presetKey, createPreset, exportPresets, parsePresets
+  };
+});
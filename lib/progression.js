@@ -0,0 +1,110 @@
+/* Bodyboard – progression sur plusieurs sessions
+ * ------------------------------------------------------------------
+ * Agrège les sessions de la bibliothèque (lib/library.js) : indicateurs par session
+ * dans le temps, records personnels (avec la vague d’origine), filtres spot / dates.
+ * Module pur : ne lit que les enregistrements passés en paramètre.
+ * Navigateur : global `BodyboardProgression` ; Node : `require('./lib/progression')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardProgression=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  // Indicateurs par session proposés par le tableau de bord
+  const METRIC_KEYS = ['wavesPerHour','medianMaxKmh','bestMaxKmh','medianDistM','medianDurationS'];
+  // Records : meilleure vague de toutes les sessions pour chaque critère
+  const WAVE_RECORD_KEYS = ['maxKmh','distM','durationS'];
+
+  // Date (ou chaîne ISO) → ms ; accepte les Date d’un autre contexte (IndexedDB, worker)
+  function timeMs(d){
+    if (d==null) return NaN;
+    const t=typeof d.getTime==='function' ? d.getTime() : new Date(d).getTime();
+    return Number.isFinite(t) ? t : NaN;
+  }
+  function median(values){
+    if (!values.length) return NaN;
+    const s=[...values].sort((a,b)=>a-b), mid=Math.floor(s.length/2);
+    return s.length%2 ? s[mid] : (s[mid-1]+s[mid])/2;
+  }
+  const maxOf = values => values.length ? Math.max(...values) : NaN;
+
+  function sessionMetrics(record){
+    const ws=record.waves || [];
+    const pick=key=>ws.map(w=>w[key]).filter(Number.isFinite);
+    const durationS=record.stats?.durationS;
+    return {
+      id:record.id, name:record.name, spot:record.spot || '',
+      date:timeMs(record.date ?? record.importedAt),
+      waveCount:ws.length,
+      durationS:Number.isFinite(durationS) ? durationS : NaN,
+      wavesPerHour:Number.isFinite(durationS) && durationS>0 ? ws.length/(durationS/3600) : NaN,
+      medianMaxKmh:median(pick('maxKmh')), bestMaxKmh:maxOf(pick('maxKmh')),
+      medianDistM:median(pick('distM')), medianDurationS:median(pick('durationS'))
+    };
+  }
+
+  // filters : { spot, from, to } (from/to en ms, bornes incluses ; spot insensible à la casse)
+  function filterSessions(records, { spot='', from=NaN, to=NaN }={}){
+    const wanted=String(spot || '').trim().toLowerCase();
+    return records.filter(r=>{
+      if (wanted && String(r.spot || '').trim().toLowerCase()!==wanted) return false;
+      const t=timeMs(r.date ?? r.importedAt);
+      if (Number.isFinite(from) && !(t>=from)) return false;
+      if (Number.isFinite(to) && !(t<=to)) return false;
+      return true;
+    });
+  }
+
+  function personalRecords(records){
+    const out=[];
+    WAVE_RECORD_KEYS.forEach(key=>{
+      let best=null;
+      records.forEach(r=>(r.waves || []).forEach((w,waveIndex)=>{
+        if (Number.isFinite(w[key]) && (!best || w[key]>best.value)){
+          best={ key, value:w[key], sessionId:r.id, sessionName:r.name, date:timeMs(r.date ?? r.importedAt), waveIndex };
+        }
+      }));
+      if (best) out.push(best);
+    });
+    // Record de session (pas de vague d’origine)
+    let busiest=null;
+    records.map(sessionMetrics).forEach(m=>{
+      if (Number.isFinite(m.wavesPerHour) && m.waveCount>0 && (!busiest || m.wavesPerHour>busiest.value)){
+        busiest={ key:'wavesPerHour', value:m.wavesPerHour, sessionId:m.id, sessionName:m.name, date:m.date, waveIndex:null };
+      }
+    });
+    if (busiest) out.push(busiest);
+    return out;
+  }
+
+  // Pente (unité / jour) et ordonnée à l’origine des moindres carrés, pour la tendance du graphique
+  function linearTrend(samples){
+    const pts=samples.filter(p=>Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (pts.length<2) return null;
+    const n=pts.length;
+    const mx=pts.reduce((a,p)=>a+p.x,0)/n, my=pts.reduce((a,p)=>a+p.y,0)/n;
+    let num=0, den=0;
+    pts.forEach(p=>{ num+=(p.x-mx)*(p.y-my); den+=(p.x-mx)**2; });
+    if (den===0) return null;
+    const slope=num/den;
+    return { slope, intercept:my-slope*mx, perDay:slope*86400000 };
+  }
+
+  function buildProgression(records, filters={}){
+    const spots=[...new Set(records.map(r=>String(r.spot || '').trim()).filter(Boolean))].sort((a,b)=>a.localeCompare(b));
+    const kept=filterSessions(records, filters);
+    const sessions=kept.map(sessionMetrics).sort((a,b)=>(a.date||0)-(b.date||0));
+    const totalS=sessions.reduce((a,s)=>a+(Number.isFinite(s.durationS) ? s.durationS : 0),0);
+    return {
+      spots, sessions,
+      records:personalRecords(kept),
+      totals:{ sessionCount:sessions.length, waveCount:sessions.reduce((a,s)=>a+s.waveCount,0), durationS:totalS }
+    };
+  }
+
+  return {
+    METRIC_KEYS, WAVE_RECORD_KEYS,
+    median, sessionMetrics, filterSessions, personalRecords, linearTrend, buildProgression
+  };
+});
@@ -0,0 +1,137 @@
+/* Bodyboard – score et catégorie des vagues
+ * ------------------------------------------------------------------
+ * Chaque vague reçoit une note sur 10 : moyenne pondérée de six critères ramenés à 0–1 par une valeur
+ * de référence (« très bonne vague » de bodyboard) : vitesse de pointe, vitesse tenue (meilleure moyenne
+ * sur SUSTAIN_WINDOW_S), distance, durée, accélération au take-off (gain de vitesse jusqu’au pic)
+ * et changements de cap. Les poids sont réglables (options.scoring, mêmes clés que DEFAULT_SCORING).
+ * Les catégories sont calibrées sur la session : « rapide » = parmi les plus rapides de la session, etc. ;
+ * en dessous de CALIBRATION_MIN_WAVES vagues, seuils absolus (anciennes règles de waveTypeLabel).
+ * Navigateur : global `BodyboardScoring` ; Node : `require('./lib/scoring')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardScoring=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  // Poids par critère (0 = ignoré)
+  const DEFAULT_SCORING = { peak:3, sustained:2, distance:2, duration:1, accel:1, turns:1 };
+  // Valeur de chaque critère qui vaut la note maximale
+  const FEATURE_REFS = { peak:35, sustained:25, distance:150, duration:20, accel:6, turns:180 };
+  const SUSTAIN_WINDOW_S = 3;
+  const TURN_MIN_DEG = 8;            // écart de cap entre deux segments en dessous duquel on ne compte rien (bruit GPS)
+  const CALIBRATION_MIN_WAVES = 4;
+  const TOP_SHARE = 0.25;            // quart supérieur de la session → catégorie ; quart inférieur en durée → « courte »
+  const CATEGORIES = ['rapide','longue','manœuvrée','courte','standard'];
+
+  const finite = v=>Number.isFinite(v) ? v : 0;
+  const angleDiff = (a,b)=>{ const d=Math.abs(((b-a)%360+360)%360); return d>180 ? 360-d : d; };
+
+  // Critères bruts d’une vague enrichie (segmentIndices ou indices, maxKmh, distM, durationS)
+  function waveFeatures(w, segments){
+    const idx=(w.segmentIndices?.length ? w.segmentIndices : w.indices || []).filter(i=>segments[i] && !segments[i].gap);
+    const segs=idx.map(i=>segments[i]);
+
+    // Meilleure vitesse moyenne sur SUSTAIN_WINDOW_S (toute la vague si elle est plus courte)
+    let sustained=0, left=0, dist=0, dt=0;
+    segs.forEach(s=>{
+      dist+=finite(s.distM); dt+=finite(s.dtS);
+      while (left<segs.length && dt-finite(segs[left].dtS)>=SUSTAIN_WINDOW_S){ dist-=finite(segs[left].distM); dt-=finite(segs[left].dtS); left++; }
+      if (dt>=SUSTAIN_WINDOW_S) sustained=Math.max(sustained, dist/dt*3.6);
+    });
+    if (!sustained && dt>0) sustained=dist/dt*3.6;
+
+    // Gain de vitesse du départ jusqu’au pic, rapporté au temps mis pour l’atteindre (milieu à milieu de segment)
+    let peakAt=0, timeToPeak=0;
+    segs.forEach((s,i)=>{ if (s.speedKmh>segs[peakAt].speedKmh) peakAt=i; });
+    for (let i=1;i<=peakAt;i++) timeToPeak+=(finite(segs[i-1].dtS)+finite(segs[i].dtS))/2;
+    const accel=segs.length && timeToPeak>0 ? Math.max(0, (segs[peakAt].speedKmh-segs[0].speedKmh)/timeToPeak) : 0;
+
+    let turns=0;
+    for (let i=1;i<segs.length;i++){
+      const a=segs[i-1].bearingDeg, b=segs[i].bearingDeg;
+      if (Number.isFinite(a) && Number.isFinite(b) && finite(segs[i].distM)>0){
+        const d=angleDiff(a,b);
+        if (d>=TURN_MIN_DEG) turns+=d;
+      }
+    }
+    return { peak:finite(w.maxKmh), sustained, distance:finite(w.distM), duration:finite(w.durationS), accel, turns };
+  }
+
+  // Poids valides uniquement (options enregistrées, hash…), défauts pour le reste
+  function sanitizeScoring(raw){
+    const out={ ...DEFAULT_SCORING };
+    Object.keys(DEFAULT_SCORING).forEach(k=>{
+      const v=Number(raw?.[k]);
+      if (raw?.[k]!=null && Number.isFinite(v) && v>=0) out[k]=v;
+    });
+    return out;
+  }
+
+  function scoreFeatures(features, weights){
+    let sum=0, total=0;
+    const components={};
+    Object.keys(DEFAULT_SCORING).forEach(k=>{
+      components[k]=Math.max(0, Math.min(1, features[k]/FEATURE_REFS[k]));
+      sum+=weights[k]*components[k]; total+=weights[k];
+    });
+    return { score: total>0 ? Math.round(100*sum/total)/10 : 0, components };
+  }
+
+  // Rang (0 = plus petite valeur … 1 = plus grande) de chaque valeur dans la session
+  function percentiles(values){
+    if (values.length<2) return values.map(()=>1);
+    const sorted=[...values].sort((a,b)=>a-b);
+    return values.map(v=>{
+      let lo=0, hi=sorted.length;
+      while (lo<hi){ const mid=(lo+hi)>>1; if (sorted[mid]<v) lo=mid+1; else hi=mid; }
+      let last=lo; while (last+1<sorted.length && sorted[last+1]===v) last++;
+      return ((lo+last)/2)/(sorted.length-1);
+    });
+  }
+
+  // Seuils absolus (peu de vagues pour calibrer)
+  function absoluteCategory(f){
+    if (f.duration<4) return 'courte';
+    if (f.sustained>=25) return 'rapide';
+    if (f.distance>=80) return 'longue';
+    if (f.turns>=180) return 'manœuvrée';
+    return 'standard';
+  }
+
+  // waves → [{ score, rank, category, features, components }] dans l’ordre des vagues (rank 1 = meilleure)
+  function scoreWaves(waves, segments, weights=DEFAULT_SCORING){
+    const model=sanitizeScoring(weights);
+    const rows=waves.map(w=>{ const features=waveFeatures(w, segments); return { features, ...scoreFeatures(features, model) }; });
+
+    const order=rows.map((r,i)=>i).sort((a,b)=>rows[b].score-rows[a].score || rows[b].features.peak-rows[a].features.peak);
+    order.forEach((i,k)=>{ rows[i].rank=k+1; });
+
+    if (rows.length<CALIBRATION_MIN_WAVES){
+      rows.forEach(r=>{ r.category=absoluteCategory(r.features); });
+      return rows;
+    }
+    const pct={};
+    ['sustained','distance','duration','turns'].forEach(k=>{ pct[k]=percentiles(rows.map(r=>r.features[k])); });
+    rows.forEach((r,i)=>{
+      // catégorie du critère où la vague se démarque le plus (quart supérieur de la session)
+      const top=[['rapide', pct.sustained[i]], ['longue', pct.distance[i]], ['manœuvrée', r.features.turns>=TURN_MIN_DEG*4 ? pct.turns[i] : 0]]
+        .filter(([, p])=>p>=1-TOP_SHARE)
+        .sort((a,b)=>b[1]-a[1])[0];
+      r.category=top ? top[0] : pct.duration[i]<=TOP_SHARE ? 'courte' : 'standard';
+    });
+    return rows;
+  }
+
+  // Vagues + { score, scoreRank, category } (les autres champs sont conservés)
+  function applyScores(waves, segments, weights){
+    const rows=scoreWaves(waves, segments, weights);
+    return waves.map((w,i)=>({ ...w, score:rows[i].score, scoreRank:rows[i].rank, category:rows[i].category }));
+  }
+  const bestWave = waves=>waves.find(w=>w.scoreRank===1) ?? null;
+
+  return {
+    DEFAULT_SCORING, FEATURE_REFS, CATEGORIES, CALIBRATION_MIN_WAVES,
+    waveFeatures, sanitizeScoring, scoreWaves, applyScores, bestWave
+  };
+});
@@ -0,0 +1,99 @@
+/* Bodyboard – trait de côte de référence
+ * ------------------------------------------------------------------
+ * Polyligne du rivage d’un spot ([[lat, lon], …], tracée sur la carte ou importée en GeoJSON).
+ * createShoreFrame(line) mesure la distance au rivage et la normale « vers la plage »
+ * (du point vers le point le plus proche du rivage : le rider est forcément côté mer).
+ * waveMetrics() → côté (gauche/droite, rider face à la plage), angle à la normale,
+ * distance gagnée vers le bord et distance au bord au départ.
+ * Navigateur : global `BodyboardShore` ; Node : `require('./lib/shore')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardShore=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const M_PER_DEG = 111320;
+  const FACE_TOLERANCE_DEG = 15;   // |angle à la normale| en dessous : vague prise « face » à la plage
+
+  const toRad = d=>d*Math.PI/180;
+  const normalizeBearing = d=>((d%360)+360)%360;
+  // Angle signé b − a dans ]-180, 180]
+  const signedAngle = (a,b)=>{ const d=normalizeBearing(b-a); return d>180 ? d-360 : d; };
+
+  function normalizeShoreline(line){
+    const out=(Array.isArray(line) ? line : [])
+      .map(p=>Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [Number(p?.lat), Number(p?.lon ?? p?.lng)])
+      .filter(([lat,lon])=>Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat)<=90 && Math.abs(lon)<=180);
+    if (out.length<2) throw new Error('Le rivage doit compter au moins deux points.');
+    return out;
+  }
+
+  // GeoJSON (FeatureCollection, Feature, LineString ou MultiLineString) → plus longue ligne, en [lat, lon]
+  function parseShorelineGeoJSON(text){
+    let json;
+    try { json=typeof text==='string' ? JSON.parse(text) : text; } catch { throw new Error('GeoJSON illisible.'); }
+    const lines=[];
+    const visit=g=>{
+      if (!g || typeof g!=='object') return;
+      if (g.type==='FeatureCollection') (g.features || []).forEach(visit);
+      else if (g.type==='Feature') visit(g.geometry);
+      else if (g.type==='GeometryCollection') (g.geometries || []).forEach(visit);
+      else if (g.type==='LineString') lines.push(g.coordinates || []);
+      else if (g.type==='MultiLineString') (g.coordinates || []).forEach(c=>lines.push(c));
+    };
+    visit(json);
+    if (!lines.length) throw new Error('Aucune ligne (LineString) trouvée dans le GeoJSON.');
+    const longest=lines.reduce((a,b)=>b.length>a.length ? b : a);
+    return normalizeShoreline(longest.map(c=>[c[1], c[0]]));
+  }
+  function shorelineToGeoJSON(line, properties={}){
+    return JSON.stringify({
+      type:'Feature', properties,
+      geometry:{ type:'LineString', coordinates:line.map(([lat,lon])=>[lon,lat]) }
+    });
+  }
+
+  function createShoreFrame(rawLine){
+    const line=normalizeShoreline(rawLine);
+    const lat0=line[0][0], lon0=line[0][1], k=Math.cos(toRad(lat0));
+    const toXY=(lat,lon)=>[(lon-lon0)*k*M_PER_DEG, (lat-lat0)*M_PER_DEG];
+    const toLatLon=([x,y])=>[lat0+y/M_PER_DEG, lon0+x/(k*M_PER_DEG)];
+    const xy=line.map(([lat,lon])=>toXY(lat,lon));
+
+    // { distM, nearest:[lat,lon], normalBearingDeg } — normale orientée du point vers le rivage
+    function locate(lat, lon){
+      const [px,py]=toXY(lat,lon);
+      let best=null;
+      for (let i=0;i<xy.length-1;i++){
+        const [ax,ay]=xy[i], [bx,by]=xy[i+1];
+        const dx=bx-ax, dy=by-ay, len2=dx*dx+dy*dy;
+        const t=len2>0 ? Math.max(0, Math.min(1, ((px-ax)*dx+(py-ay)*dy)/len2)) : 0;
+        const qx=ax+t*dx, qy=ay+t*dy, d=Math.hypot(px-qx, py-qy);
+        if (!best || d<best.d) best={ d, qx, qy, dx, dy };
+      }
+      // Sur la ligne : perpendiculaire au segment (sens arbitraire)
+      const normal = best.d>1e-6
+        ? Math.atan2(best.qx-px, best.qy-py)*180/Math.PI
+        : Math.atan2(best.dy, -best.dx)*180/Math.PI;
+      return { distM:best.d, nearest:toLatLon([best.qx, best.qy]), normalBearingDeg:normalizeBearing(normal) };
+    }
+
+    function waveMetrics(w, points){
+      const start=w.startPoint ?? (points[w.startIdx] ? [points[w.startIdx].lat, points[w.startIdx].lon] : null);
+      const endSource=points[Math.min(points.length-1, w.endIdx+1)];
+      if (!start || !endSource) return null;
+      const a=locate(start[0], start[1]), b=locate(endSource.lat, endSource.lon);
+      const angle=Number.isFinite(w.directionDeg) ? signedAngle(a.normalBearingDeg, w.directionDeg) : NaN;
+      return {
+        shoreTakeoffM:a.distM, shoreEndM:b.distM, shoreGainM:a.distM-b.distM,
+        shoreAngleDeg:angle,
+        shoreSide:!Number.isFinite(angle) ? null : Math.abs(angle)<=FACE_TOLERANCE_DEG ? 'face' : angle<0 ? 'gauche' : 'droite'
+      };
+    }
+
+    return { line, locate, waveMetrics };
+  }
+
+  return { FACE_TOLERANCE_DEG, normalizeShoreline, parseShorelineGeoJSON, shorelineToGeoJSON, createShoreFrame, signedAngle };
+});
@@ -0,0 +1,57 @@
+/* Bodyboard – simplification de trace (Douglas–Peucker)
+ * ------------------------------------------------------------------
+ * Sert au rendu des longues traces : à chaque niveau de zoom, on ne garde que les points
+ * qui s’écartent de plus d’une tolérance (≈ 1 pixel, voir metersPerPixel) de la ligne simplifiée.
+ * Version itérative (pas de récursion : traces de centaines de milliers de points), en mètres
+ * dans un plan local (équirectangulaire), largement suffisant à l’échelle d’un spot.
+ * Navigateur : global `BodyboardSimplify` ; Node : `require('./lib/simplify')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardSimplify=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const M_PER_DEG = 111320;
+  const EARTH_CIRCUMFERENCE_M = 40075016.686;
+  const TILE_SIZE = 256;
+
+  // Taille d’un pixel au sol (Web Mercator) au zoom donné
+  const metersPerPixel = (zoom, lat)=>EARTH_CIRCUMFERENCE_M*Math.cos(lat*Math.PI/180)/(TILE_SIZE*2**zoom);
+
+  // Carré de la distance du point p au segment [a,b] (coordonnées planes)
+  function segmentDist2(px, py, ax, ay, bx, by){
+    const dx=bx-ax, dy=by-ay, len2=dx*dx+dy*dy;
+    const t=len2>0 ? Math.max(0, Math.min(1, ((px-ax)*dx+(py-ay)*dy)/len2)) : 0;
+    const ex=ax+t*dx-px, ey=ay+t*dy-py;
+    return ex*ex+ey*ey;
+  }
+
+  // latlngs : [[lat, lon], …] → indices conservés (premier et dernier toujours inclus), dans l’ordre
+  function simplifyIndices(latlngs, toleranceM){
+    const n=latlngs.length;
+    if (n<3 || !(toleranceM>0)) return latlngs.map((_, i)=>i);
+    const lat0=latlngs[0][0], k=Math.cos(lat0*Math.PI/180)*M_PER_DEG;
+    const xs=new Float64Array(n), ys=new Float64Array(n);
+    latlngs.forEach(([lat, lon], i)=>{ xs[i]=lon*k; ys[i]=lat*M_PER_DEG; });
+
+    const keep=new Uint8Array(n); keep[0]=keep[n-1]=1;
+    const tol2=toleranceM*toleranceM;
+    const stack=[0, n-1];
+    while (stack.length){
+      const last=stack.pop(), first=stack.pop();
+      let maxD=0, idx=-1;
+      for (let i=first+1;i<last;i++){
+        const d=segmentDist2(xs[i], ys[i], xs[first], ys[first], xs[last], ys[last]);
+        if (d>maxD){ maxD=d; idx=i; }
+      }
+      if (idx>=0 && maxD>tol2){ keep[idx]=1; stack.push(first, idx, idx, last); }
+    }
+    const out=[];
+    for (let i=0;i<n;i++) if (keep[i]) out.push(i);
+    return out;
+  }
+  const simplifyLatLngs = (latlngs, toleranceM)=>simplifyIndices(latlngs, toleranceM).map(i=>latlngs[i]);
+
+  return { metersPerPixel, simplifyIndices, simplifyLatLngs };
+});
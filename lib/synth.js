@@ -0,0 +1,142 @@
+/* Bodyboard – sessions synthétiques avec vérité terrain
+ * ------------------------------------------------------------------
+ * Simule une session complète : attente au pic (dérive lente), vagues (profil de vitesse réglable),
+ * rame de retour vers le pic, puis éventuellement bruit GPS (corrélé dans le temps, comme un vrai
+ * récepteur), coupures de signal et cadence d’échantillonnage variable.
+ * synthesizeSession() → { points, truth } : points au format des parseurs, truth.waves = plages horaires
+ * des vraies vagues (+ distance et vitesse de pointe), truth.stats = distance et durée sans bruit.
+ * Déterministe pour une graine donnée (tests de non-régression du détecteur).
+ * Navigateur : global `BodyboardSynth` ; Node : `require('./lib/synth')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardSynth=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const M_PER_DEG = 111320;
+
+  // Profils de vitesse d’une vague : fraction de la vitesse de pointe selon l’avancement u ∈ [0,1]
+  const RIDE_PROFILES = {
+    surge: u=>u<0.3 ? 0.45+0.55*(u/0.3) : 1-0.45*((u-0.3)/0.7),   // accélération au take-off puis décroissance
+    plateau: u=>u<0.15 ? 0.5+0.5*(u/0.15) : u>0.85 ? 1-0.4*((u-0.85)/0.15) : 1,
+    fade: u=>1-0.5*u                                                // pic dès le départ (vague qui se ferme)
+  };
+
+  const DEFAULT_SYNTH_OPTIONS = {
+    seed: 1,
+    origin: { lat: 43.66, lon: -1.45 },
+    startTime: Date.UTC(2024, 5, 1, 8, 0, 0),
+    waveCount: 8,
+    waveDirectionDeg: 90,        // sens de glisse moyen (vers la plage)
+    directionSpreadDeg: 35,      // ± écart au sens moyen (gauches et droites)
+    profile: 'surge',            // clé de RIDE_PROFILES, ou tableau de clés (tirage par vague)
+    peakKmh: [20, 30],
+    rideS: [6, 14],
+    lineupS: [40, 150],
+    lineupDriftKmh: 0.6,
+    paddleKmh: 3.5,
+    intervalS: 1,                // nombre, ou tableau de cadences (tirage par phase)
+    jitterS: 0,                  // ± irrégularité de l’horodatage
+    gpsNoiseM: 0,                // écart-type du bruit de position
+    noiseCorrelation: 0.98,      // AR(1) entre deux échantillons (bruit GPS « qui dérive »)
+    dropoutProb: 0,              // probabilité d’une coupure de signal pendant une attente
+    dropoutS: [30, 90]
+  };
+
+  // Générateur pseudo-aléatoire reproductible (mulberry32)
+  function createRandom(seed){
+    let a=seed>>>0;
+    const next=()=>{
+      a=(a+0x6D2B79F5)>>>0;
+      let t=a;
+      t=Math.imul(t^(t>>>15), t|1);
+      t^=t+Math.imul(t^(t>>>7), t|61);
+      return ((t^(t>>>14))>>>0)/4294967296;
+    };
+    const between=([lo,hi])=>lo+(hi-lo)*next();
+    const gauss=()=>{ const u=Math.max(1e-12, next()), v=next(); return Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v); };
+    const pick=list=>Array.isArray(list) ? list[Math.floor(next()*list.length)] : list;
+    return { next, between, gauss, pick };
+  }
+
+  function synthesizeSession(options={}){
+    const opts={ ...DEFAULT_SYNTH_OPTIONS, ...options };
+    const rnd=createRandom(opts.seed);
+    const toRad=d=>d*Math.PI/180;
+    const k=Math.cos(toRad(opts.origin.lat));
+
+    // Échantillons propres en mètres (x vers l’est, y vers le nord) ; gapBefore = coupure de signal
+    const samples=[];
+    let x=0, y=0, t=opts.startTime;
+    const truthWaves=[];
+    samples.push({ x, y, t });
+
+    // Une phase : vitesse (km/h) et cap en fonction de l’avancement ; horodatage selon la cadence tirée
+    function runPhase(durationS, speedAt, headingAt){
+      const interval=rnd.pick(opts.intervalS);
+      const end=t+durationS*1000;
+      let distM=0, peak=0;
+      while (t<end-1){
+        const jitter=opts.jitterS ? (rnd.next()*2-1)*opts.jitterS : 0;
+        const dtS=Math.max(0.2, Math.min(interval+jitter, (end-t)/1000));
+        const u=Math.min(1, (t-(end-durationS*1000)+dtS*500)/(durationS*1000));
+        const v=speedAt(u)/3.6, h=toRad(headingAt(u));
+        x+=v*dtS*Math.sin(h); y+=v*dtS*Math.cos(h); t+=dtS*1000;
+        distM+=v*dtS; peak=Math.max(peak, v*3.6);
+        samples.push({ x, y, t });
+      }
+      return { distM, peakKmh:peak };
+    }
+    function lineup(durationS){
+      const heading=rnd.next()*360;
+      runPhase(durationS, ()=>opts.lineupDriftKmh*(0.5+rnd.next()), ()=>heading+rnd.gauss()*40);
+      if (opts.dropoutProb>0 && rnd.next()<opts.dropoutProb){
+        // Pas d’échantillon pendant la coupure ; le rider dérive un peu
+        t+=rnd.between(opts.dropoutS)*1000;
+        x+=rnd.gauss()*3; y+=rnd.gauss()*3;
+        samples.push({ x, y, t, gapBefore:true });
+      }
+    }
+
+    for (let n=0;n<opts.waveCount;n++){
+      lineup(rnd.between(opts.lineupS));
+      const rideS=rnd.between(opts.rideS), peakKmh=rnd.between(opts.peakKmh);
+      const profile=RIDE_PROFILES[rnd.pick(opts.profile)] || RIDE_PROFILES.surge;
+      const heading=opts.waveDirectionDeg+(rnd.next()*2-1)*opts.directionSpreadDeg;
+      const start=t;
+      const ride=runPhase(rideS, u=>peakKmh*profile(u), ()=>heading+rnd.gauss()*3);
+      truthWaves.push({ start, end:t, distM:ride.distM, maxKmh:ride.peakKmh, directionDeg:((heading%360)+360)%360 });
+      // Retour au pic : rame face aux vagues, sur la distance parcourue
+      const back=Math.atan2(-x, -y)*180/Math.PI;
+      const paddleS=Math.max(10, Math.hypot(x, y)/(opts.paddleKmh/3.6));
+      runPhase(paddleS, ()=>opts.paddleKmh*(0.8+0.4*rnd.next()), ()=>back+rnd.gauss()*10);
+    }
+    lineup(rnd.between(opts.lineupS));
+
+    // Vérité terrain des stats : cordes entre échantillons propres, coupures exclues
+    let truthDistM=0;
+    for (let i=1;i<samples.length;i++){
+      if (!samples[i].gapBefore) truthDistM+=Math.hypot(samples[i].x-samples[i-1].x, samples[i].y-samples[i-1].y);
+    }
+
+    // Bruit GPS AR(1) : écart-type stationnaire gpsNoiseM, corrélé d’un échantillon à l’autre
+    const rho=opts.noiseCorrelation, innov=opts.gpsNoiseM*Math.sqrt(1-rho*rho);
+    let nx=rnd.gauss()*opts.gpsNoiseM, ny=rnd.gauss()*opts.gpsNoiseM;
+    const points=samples.map(s=>{
+      if (opts.gpsNoiseM>0){ nx=rho*nx+innov*rnd.gauss(); ny=rho*ny+innov*rnd.gauss(); }
+      const ex=opts.gpsNoiseM>0 ? nx : 0, ey=opts.gpsNoiseM>0 ? ny : 0;
+      return { lat:opts.origin.lat+(s.y+ey)/M_PER_DEG, lon:opts.origin.lon+(s.x+ex)/(k*M_PER_DEG), ele:0, time:new Date(Math.round(s.t)) };
+    });
+
+    return {
+      points,
+      truth: {
+        waves: truthWaves,
+        stats: { distM:truthDistM, durationS:(samples[samples.length-1].t-samples[0].t)/1000, dropouts:samples.filter(s=>s.gapBefore).length }
+      }
+    };
+  }
+
+  return { RIDE_PROFILES, DEFAULT_SYNTH_OPTIONS, createRandom, synthesizeSession };
+});
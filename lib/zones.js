@@ -0,0 +1,117 @@
+/* Bodyboard – zones de départ (take-off)
+ * ------------------------------------------------------------------
+ * Regroupe les points de départ des vagues (startPoint de enrichWave, session courante
+ * ou sessions d’un même spot) par DBSCAN : une zone = au moins minPts départs
+ * à moins de epsM mètres les uns des autres (de proche en proche).
+ * Chaque zone : centre, enveloppe convexe, nombre de vagues, longueur moyenne, meilleure vitesse.
+ * Navigateur : global `BodyboardZones` ; Node : `require('./lib/zones')`.
+ */
+(function (root, factory){
+  if (typeof module==='object' && module.exports) module.exports=factory();
+  else root.BodyboardZones=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const DEFAULT_ZONE_OPTIONS = { epsM: 25, minPts: 3 };
+  const M_PER_DEG = 111320;
+
+  // Vagues → échantillons de départ ; meta (sessionId…) recopié sur chaque échantillon
+  function takeoffSamples(waves, meta={}){
+    const out=[];
+    waves.forEach((w,waveIndex)=>{
+      const sp=w.startPoint;
+      if (!Array.isArray(sp) || !Number.isFinite(sp[0]) || !Number.isFinite(sp[1])) return;
+      out.push({ ...meta, waveIndex, lat:sp[0], lon:sp[1], distM:w.distM, durationS:w.durationS, maxKmh:w.maxKmh });
+    });
+    return out;
+  }
+
+  // Projection locale (équirectangulaire) en mètres autour du premier échantillon
+  function localProjector(samples){
+    const lat0=samples[0].lat, lon0=samples[0].lon, k=Math.cos(lat0*Math.PI/180);
+    return {
+      toXY: s=>[(s.lon-lon0)*k*M_PER_DEG, (s.lat-lat0)*M_PER_DEG],
+      toLatLon: ([x,y])=>[lat0+y/M_PER_DEG, lon0+x/(k*M_PER_DEG)]
+    };
+  }
+
+  // DBSCAN classique : labels[i] = n° de zone, ou -1 (bruit)
+  function dbscan(xy, epsM, minPts){
+    const n=xy.length, eps2=epsM*epsM;
+    const labels=new Array(n).fill(undefined);
+    const neighbours=i=>{
+      const out=[];
+      for (let j=0;j<n;j++){
+        const dx=xy[i][0]-xy[j][0], dy=xy[i][1]-xy[j][1];
+        if (dx*dx+dy*dy<=eps2) out.push(j);
+      }
+      return out;
+    };
+    let cluster=0;
+    for (let i=0;i<n;i++){
+      if (labels[i]!==undefined) continue;
+      const seeds=neighbours(i);
+      if (seeds.length<minPts){ labels[i]=-1; continue; }
+      labels[i]=cluster;
+      for (let k=0;k<seeds.length;k++){
+        const j=seeds[k];
+        if (labels[j]===-1) labels[j]=cluster;   // point de bordure
+        if (labels[j]!==undefined) continue;
+        labels[j]=cluster;
+        const more=neighbours(j);
+        if (more.length>=minPts) more.forEach(m=>{ if (labels[m]===undefined || labels[m]===-1) seeds.push(m); });
+      }
+      cluster++;
+    }
+    return labels;
+  }
+
+  // Enveloppe convexe (chaîne monotone), points [x,y] → sommets dans le sens trigonométrique
+  function convexHull(pts){
+    const p=[...pts].sort((a,b)=>a[0]-b[0] || a[1]-b[1]);
+    if (p.length<3) return p;
+    const cross=(o,a,b)=>(a[0]-o[0])*(b[1]-o[1])-(a[1]-o[1])*(b[0]-o[0]);
+    const lower=[], upper=[];
+    p.forEach(q=>{ while (lower.length>=2 && cross(lower[lower.length-2],lower[lower.length-1],q)<=0) lower.pop(); lower.push(q); });
+    for (let i=p.length-1;i>=0;i--){
+      const q=p[i];
+      while (upper.length>=2 && cross(upper[upper.length-2],upper[upper.length-1],q)<=0) upper.pop();
+      upper.push(q);
+    }
+    return lower.slice(0,-1).concat(upper.slice(0,-1));
+  }
+
+  const mean = values => values.length ? values.reduce((a,v)=>a+v,0)/values.length : NaN;
+
+  // Zones triées par nombre de vagues (puis meilleure vitesse) ; noise = départs isolés
+  function clusterTakeoffs(samples, options={}){
+    const { epsM, minPts }={ ...DEFAULT_ZONE_OPTIONS, ...options };
+    if (!samples.length) return { zones:[], noise:[] };
+    const proj=localProjector(samples);
+    const xy=samples.map(proj.toXY);
+    const labels=dbscan(xy, epsM, Math.max(1, minPts));
+
+    const groups=new Map();
+    labels.forEach((label,i)=>{ if (label>=0){ if (!groups.has(label)) groups.set(label, []); groups.get(label).push(i); } });
+    const zones=[...groups.values()].map(idx=>{
+      const members=idx.map(i=>samples[i]);
+      const cx=mean(idx.map(i=>xy[i][0])), cy=mean(idx.map(i=>xy[i][1]));
+      const pick=key=>members.map(s=>s[key]).filter(Number.isFinite);
+      return {
+        samples:members,
+        centroid:proj.toLatLon([cx,cy]),
+        hull:convexHull(idx.map(i=>xy[i])).map(proj.toLatLon),
+        radiusM:Math.max(...idx.map(i=>Math.hypot(xy[i][0]-cx, xy[i][1]-cy))),
+        waveCount:members.length,
+        sessionCount:new Set(members.map(s=>s.sessionId ?? null)).size,
+        avgDistM:mean(pick('distM')), avgDurationS:mean(pick('durationS')),
+        bestMaxKmh:pick('maxKmh').length ? Math.max(...pick('maxKmh')) : NaN
+      };
+    });
+    zones.sort((a,b)=>b.waveCount-a.waveCount || (b.bestMaxKmh||0)-(a.bestMaxKmh||0));
+    zones.forEach((z,i)=>{ z.id=i+1; });
+    return { zones, noise:samples.filter((_,i)=>labels[i]===-1) };
+  }
+
+  return { DEFAULT_ZONE_OPTIONS, takeoffSamples, dbscan, convexHull, clusterTakeoffs };
+});
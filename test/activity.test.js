@@ -0,0 +1,74 @@
+// Segmentation d’activité (lib/activity.js) sur des sessions synthétiques (lib/synth.js) : glisse, rame, attente
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardActivity = require('../lib/activity');
+const { synthesizeSession, DEFAULT_SYNTH_OPTIONS } = require('../lib/synth');
+
+function run(synthOptions, activityOptions){
+  const { points: raw, truth } = synthesizeSession(synthOptions);
+  const result = BodyboardAnalysis.analyzeSession(raw);
+  const activity = BodyboardActivity.segmentActivity(result.points, result.segments, result.waves, activityOptions);
+  return { truth, result, activity };
+}
+
+test('états : glisse sur les vraies vagues, rame et attente entre elles, pas de plage au large', ()=>{
+  [1, 2].forEach(seed=>{
+    const { truth, result, activity } = run({ seed });
+    assert.equal(activity.states.length, result.segments.length);
+    assert.ok(Math.abs(activity.waveDirectionDeg-DEFAULT_SYNTH_OPTIONS.waveDirectionDeg)<15, `sens estimé ${activity.waveDirectionDeg}`);
+
+    // Segments dont le milieu tombe dans une vraie vague
+    let inRide=0, riding=0;
+    result.segments.forEach((s,i)=>{
+      const mid=(result.points[i].time.getTime()+result.points[i+1].time.getTime())/2;
+      if (!truth.waves.some(t=>mid>=t.start && mid<=t.end)) return;
+      inRide++; if (activity.states[i]==='riding') riding++;
+    });
+    assert.ok(riding/inRide>=0.9, `graine ${seed} : ${riding}/${inRide} segments de vague en glisse`);
+
+    const { totals } = activity;
+    const total=totals.riding+totals.paddling+totals.lineup+totals.beach;
+    assert.ok(Math.abs(total-truth.stats.durationS)<1);
+    assert.ok(totals.beach/total<0.02, `graine ${seed} : ${totals.beach.toFixed(0)} s sur la plage`);
+    assert.ok(totals.lineup>totals.paddling && totals.paddling>totals.riding);
+    activity.runs.forEach((r,k)=>{ if (k>0) assert.notEqual(r.state, activity.runs[k-1].state); });
+  });
+});
+
+test('waveTimings : attente avant chaque vague et rame de retour proches de la simulation', ()=>{
+  [1, 2].forEach(seed=>{
+    const { truth, result, activity } = run({ seed });
+    assert.equal(result.waves.length, truth.waves.length);
+    const endTime=result.points[result.points.length-1].time.getTime();
+    truth.waves.forEach((t,k)=>{
+      // Le simulateur rame jusqu’au pic (≈ la distance de la vague) puis attend jusqu’à la vague suivante
+      const paddleS=Math.max(10, t.distM/(DEFAULT_SYNTH_OPTIONS.paddleKmh/3.6));
+      const waitS=((k<truth.waves.length-1 ? truth.waves[k+1].start : endTime)-t.end)/1000-paddleS;
+      const { paddleBackS } = activity.perWave[k];
+      assert.ok(Math.abs(paddleBackS-paddleS)<20, `graine ${seed}, vague ${k+1} : rame ${paddleBackS.toFixed(0)} s ≠ ${paddleS.toFixed(0)} s`);
+      if (k<truth.waves.length-1){
+        const { waitBeforeS } = activity.perWave[k+1];
+        assert.ok(Math.abs(waitBeforeS-waitS)<20, `graine ${seed}, vague ${k+2} : attente ${waitBeforeS.toFixed(0)} s ≠ ${waitS.toFixed(0)} s`);
+      }
+    });
+    const firstWaitS=(truth.waves[0].start-result.points[0].time.getTime())/1000;
+    assert.ok(Math.abs(activity.perWave[0].waitBeforeS-firstWaitS)<20);
+  });
+});
+
+test('coupures sans état, distance au rivage fournie par l’appelant', ()=>{
+  const { result, activity } = run({ seed:3, dropoutProb:1 });
+  const gaps=result.segments.map((s,i)=>s.gap ? i : -1).filter(i=>i>=0);
+  assert.ok(gaps.length>0);
+  gaps.forEach(i=>assert.equal(activity.states[i], null));
+  assert.ok(activity.states.every((st,i)=>st!==null || result.segments[i].gap));
+
+  // Tout au large : aucun segment sur la plage ; tout au bord : la plage l’emporte sur l’attente
+  const far=BodyboardActivity.segmentActivity(result.points, result.segments, result.waves, { shoreDistanceM:()=>500 });
+  assert.equal(far.totals.beach, 0);
+  const near=BodyboardActivity.segmentActivity(result.points, result.segments, result.waves, { shoreDistanceM:()=>0 });
+  assert.ok(near.totals.beach>near.totals.lineup);
+  assert.ok(near.totals.riding>0);
+});
@@ -0,0 +1,58 @@
+// Réglage automatique (lib/autotune.js) : score des détections contre les étiquettes, refus sans vraies ET fausses vagues
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAutotune = require('../lib/autotune');
+
+const S = 1000;
+const span = (start, end)=>({ start:start*S, end:end*S });
+const POSITIVES = [span(100, 110), span(300, 312)];
+const NEGATIVES = [span(200, 206)];
+const BASE = { winSec:8, kSigma:0.8, dropPct:35, useAdaptive:true };
+
+// Détecteur factice : k bas → tout (fausse détection comprise), k moyen → les vraies vagues, k haut → rien
+function fakeDetect(options){
+  if (options.kSigma<0.8) return [...POSITIVES, span(199, 207)];
+  if (options.kSigma<=1.2) return [span(101, 110), span(300, 311)];
+  return [];
+}
+
+test('scoreSpans : correspondance par recouvrement, fausses détections touchées', ()=>{
+  const score=BodyboardAutotune.scoreSpans([span(101, 110), span(330, 340), span(205, 220)], { positives:POSITIVES, negatives:NEGATIVES });
+  assert.equal(score.tp, 1); assert.equal(score.fn, 1); assert.equal(score.fp, 1);
+  assert.equal(score.precision, 0.5); assert.equal(score.recall, 0.5); assert.equal(score.f1, 0.5);
+  assert.equal(score.meanIoU, 0.9);
+  assert.equal(BodyboardAutotune.spanIoU(span(0, 10), span(10, 20)), 0);
+});
+
+test('recherche : vraies et fausses vagues départagent les réglages', async ()=>{
+  const labels={ positives:POSITIVES, negatives:NEGATIVES };
+  assert.equal(BodyboardAutotune.missingLabels(labels), null);
+  const progress=[];
+  const res=await BodyboardAutotune.tuneParameters(fakeDetect, { ...BASE, kSigma:0.4 }, labels, { onProgress:(done, total)=>progress.push([done, total]) });
+  assert.equal(res.baseline.score.fp, 1);
+  const best=res.ranked[0];
+  assert.equal(best.score.f1, 1);
+  assert.ok(best.params.kSigma>=0.8 && best.params.kSigma<=1.2);
+  // ex-æquo départagés au plus près des réglages actuels
+  assert.deepEqual(best.params, { winSec:8, kSigma:0.8, dropPct:35 });
+  const total=BodyboardAutotune.paramGrid().length;
+  assert.equal(res.ranked.length, total);
+  assert.deepEqual(progress[progress.length-1], [total, total]);
+});
+
+test('recherche refusée avec des étiquettes d’un seul côté', async ()=>{
+  let calls=0;
+  const detect=o=>{ calls++; return fakeDetect(o); };
+  // vraies seules : le plus permissif gagnerait toujours ; fausses seules : rien ne bat « ne rien détecter »
+  const positivesOnly={ positives:POSITIVES, negatives:[] }, negativesOnly={ positives:[], negatives:NEGATIVES };
+  assert.match(BodyboardAutotune.missingLabels(positivesOnly), /fausse détection/);
+  assert.match(BodyboardAutotune.missingLabels(negativesOnly), /vraie vague/);
+  assert.equal(BodyboardAutotune.missingLabels({ positives:[], negatives:[] }), 'Aucune vague étiquetée.');
+  await assert.rejects(BodyboardAutotune.tuneParameters(detect, BASE, positivesOnly), /fausse détection/);
+  await assert.rejects(BodyboardAutotune.tuneParameters(detect, BASE, negativesOnly), /vraie vague/);
+  assert.equal(calls, 0);
+
+  assert.deepEqual(BodyboardAutotune.labelsFromEdits({ locked:[POSITIVES[1]], confirmed:[POSITIVES[0]], deleted:NEGATIVES }),
+    { positives:POSITIVES, negatives:NEGATIVES });
+});
@@ -0,0 +1,102 @@
+// Conditions (lib/conditions.js) : lecture des fichiers de marée / houle / vent, interpolation, synthèses
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardConditions = require('../lib/conditions');
+
+const H = 3600000;
+const T0 = Date.UTC(2024, 5, 1, 6);
+const near = (a, b, eps=1e-6)=>Math.abs(a-b)<=eps;
+
+test('colonnes : alias, unités et vent converti en km/h', ()=>{
+  assert.deepEqual(BodyboardConditions.matchColumn('Hauteur marée (m)'), { field:'tideM', factor:1 });
+  assert.deepEqual(BodyboardConditions.matchColumn('wave_period'), { field:'swellPeriodS', factor:1 });
+  assert.deepEqual(BodyboardConditions.matchColumn('Date'), { time:true });
+  assert.ok(near(BodyboardConditions.matchColumn('wind_speed_kn').factor, 1.852));
+  assert.ok(near(BodyboardConditions.matchColumn('wind (m/s)').factor, 3.6));
+  assert.equal(BodyboardConditions.matchColumn('commentaire'), null);
+});
+
+test('CSV : séparateur « ; », virgule décimale, date et heure en colonnes séparées', ()=>{
+  const set=BodyboardConditions.parseConditions('maree.csv',
+    '\uFEFFDate;Heure;Hauteur (m)\n01/06/2024;06:00Z;1,2\n01/06/2024;12h15;3,8\n# commentaire\n01/06/2024 18:30;;1,0\n');
+  assert.equal(set.name, 'maree.csv');
+  assert.deepEqual(set.fields, ['tideM']);
+  assert.deepEqual(set.series.tideM.v, [1.2, 3.8, 1.0]);
+  assert.equal(set.series.tideM.t.length, 3);
+  assert.ok(set.from<set.to);
+});
+
+test('JSON Open-Meteo : colonnes horaires, décalage utc_offset_seconds', ()=>{
+  const set=BodyboardConditions.parseConditions('meteo.json', JSON.stringify({
+    utc_offset_seconds:7200,
+    hourly:{ time:['2024-06-01T08:00','2024-06-01T09:00'], wave_height:[1.2, 1.4], wave_period:[11, 12], wave_direction:[290, 300], wind_speed_10m:[10, 14] }
+  }));
+  assert.deepEqual(set.fields, ['swellM','swellPeriodS','swellDirDeg','windKmh']);
+  assert.deepEqual(set.series.swellM.t, [T0, T0+H]);   // 08:00 heure locale (UTC+2) = 06:00 UTC
+});
+
+test('bouée : vent en nœuds, tableau de lignes', ()=>{
+  const set=BodyboardConditions.parseConditions('bouee.json', JSON.stringify([
+    { timestamp:T0/1000, wind_kn:10, wind_dir:270 }, { timestamp:T0/1000+3600, wind_kn:20, wind_dir:280 }
+  ]));
+  assert.ok(near(set.series.windKmh.v[0], 18.52));
+  assert.deepEqual(set.series.windDirDeg.v, [270, 280]);
+  assert.throws(()=>BodyboardConditions.parseConditions('vide.csv', 'x;y\n1;2'), /temps/);
+  assert.throws(()=>BodyboardConditions.parseConditions('bad.json', '{'), /JSON/);
+});
+
+test('interpolation : marée en cosinus, directions par le plus court, trous et bords', ()=>{
+  const series={
+    tideM:{ t:[T0, T0+6*H], v:[1, 4] },
+    windDirDeg:{ t:[T0, T0+H], v:[350, 30] },
+    swellM:{ t:[T0, T0+H, T0+10*H], v:[1, 2, 3] }
+  };
+  assert.ok(near(BodyboardConditions.valueAt(series, 'tideM', T0+3*H), 2.5));
+  assert.ok(near(BodyboardConditions.valueAt(series, 'tideM', T0+H), 1+3*(1-Math.cos(Math.PI/6))/2));
+  assert.ok(near(BodyboardConditions.valueAt(series, 'windDirDeg', T0+H/2), 10));
+  assert.ok(near(BodyboardConditions.valueAt(series, 'swellM', new Date(T0+H/2)), 1.5));
+  assert.ok(Number.isNaN(BodyboardConditions.valueAt(series, 'swellM', T0+5*H)));   // trou de 9 h
+  assert.equal(BodyboardConditions.valueAt(series, 'swellM', T0-20*60000), 1);      // bord toléré
+  assert.ok(Number.isNaN(BodyboardConditions.valueAt(series, 'swellM', T0-2*H)));
+  assert.ok(Number.isNaN(BodyboardConditions.valueAt(series, 'windKmh', T0)));
+});
+
+test('stade de marée : basse, montante, haute, descendante', ()=>{
+  // marée semi-diurne : BM 06:00, PM 12:00, BM 18:00
+  const series={ tideM:{ t:[T0, T0+6*H, T0+12*H], v:[1, 4, 1] } };
+  const stage=h=>BodyboardConditions.tideStageAt(series, T0+h*H);
+  assert.equal(stage(0.5), 'basse');
+  assert.equal(stage(3), 'montante');
+  assert.equal(stage(6), 'haute');
+  assert.equal(stage(9), 'descendante');
+  assert.equal(stage(20), null);
+});
+
+test('fusion, vagues annotées et synthèse conditions → performance', ()=>{
+  const tide=BodyboardConditions.parseConditions('maree.csv', `time,tide_m\n${new Date(T0).toISOString()},1\n${new Date(T0+6*H).toISOString()},4\n${new Date(T0+12*H).toISOString()},1\n`);
+  const wind=BodyboardConditions.parseConditions('vent.csv', `time,wind_kmh\n${new Date(T0).toISOString()},5\n${new Date(T0+6*H).toISOString()},17\n`);
+  const series=BodyboardConditions.mergeSeries([tide, wind]);
+  const waves=[
+    { startTime:new Date(T0+3*H), score:6, maxKmh:20 },
+    { startTime:new Date(T0+3*H+600000), score:8, maxKmh:26 },
+    { startTime:new Date(T0+9*H), score:4, maxKmh:15 },
+    { startTime:new Date(T0+30*H), score:9, maxKmh:30 },
+    { startTime:null, score:5, maxKmh:18 }
+  ].map((w,i)=>({ ...w, sessionId:i<2 ? 'a' : 'b' }));
+  const annotated=BodyboardConditions.annotateWaves(waves, series);
+  assert.equal(annotated[0].conditions.tideStage, 'montante');
+  assert.ok(near(annotated[0].conditions.windKmh, 11));
+  assert.ok(Number.isNaN(annotated[2].conditions.windKmh));   // hors de la série de vent
+  assert.equal(annotated[3].conditions, null);
+  assert.equal(annotated[4].conditions, null);
+  assert.equal(annotated[0].score, 6);
+  assert.equal(BodyboardConditions.annotateWaves(waves, null).every(w=>w.conditions===null), true);
+
+  const summary=BodyboardConditions.summarizeConditions(annotated);
+  assert.deepEqual(summary.tideStage.map(g=>[g.label, g.waveCount, g.sessionCount]), [['montante', 2, 1], ['descendante', 1, 1]]);
+  assert.equal(summary.tideStage[0].meanScore, 7);
+  assert.equal(summary.tideStage[0].bestScore, 8);
+  assert.deepEqual(summary.windKmh.map(g=>g.label), ['10–20 km/h']);
+  assert.deepEqual(summary.swellM, []);
+});
@@ -0,0 +1,150 @@
+// Non-régression du détecteur : sessions synthétiques (lib/synth.js) dont on connaît les vraies vagues.
+// Lancement : npm test (node --test, aucune dépendance)
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardAutotune = require('../lib/autotune');
+const { synthesizeSession, createRandom } = require('../lib/synth');
+
+const SEEDS = [1, 2, 3, 4, 5, 6];
+const FILTERED = { filter: { enabled: true } };
+
+// Analyse une session et associe chaque vraie vague à la détection qui la recouvre le plus
+function run(synthOptions, analysisOptions={}){
+  const { points: raw, truth } = synthesizeSession(synthOptions);
+  const result = BodyboardAnalysis.analyzeSession(raw, analysisOptions);
+  const spans = result.waves.map(w=>BodyboardAnalysis.waveSpan(result.points, w));
+  const matches = truth.waves.map(t=>{
+    let best=null, bestIoU=0;
+    spans.forEach((s,i)=>{ const iou=BodyboardAutotune.spanIoU(s, t); if (iou>bestIoU){ bestIoU=iou; best=result.waves[i]; } });
+    return bestIoU>=BodyboardAutotune.MATCH_MIN_IOU ? { truth:t, wave:best, iou:bestIoU } : null;
+  });
+  const falsePositives = spans.filter(s=>!truth.waves.some(t=>BodyboardAutotune.spanIoU(s, t)>=BodyboardAutotune.MATCH_MIN_IOU)).length;
+  return { truth, result, matches, falsePositives, detected:spans.length };
+}
+
+// Rappel et précision cumulés sur plusieurs graines (une vague ratée ne fait pas échouer à elle seule)
+function scoreSeeds(synthOptions, analysisOptions){
+  let expected=0, found=0, detected=0, falsePositives=0;
+  SEEDS.forEach(seed=>{
+    const r=run({ ...synthOptions, seed }, analysisOptions);
+    expected+=r.truth.waves.length; found+=r.matches.filter(Boolean).length;
+    detected+=r.detected; falsePositives+=r.falsePositives;
+  });
+  return { recall: found/expected, precision: detected ? (detected-falsePositives)/detected : 0 };
+}
+
+function assertScores(label, { recall, precision }, minRecall, minPrecision){
+  assert.ok(recall>=minRecall, `${label} : rappel ${recall.toFixed(2)} < ${minRecall}`);
+  assert.ok(precision>=minPrecision, `${label} : précision ${precision.toFixed(2)} < ${minPrecision}`);
+}
+
+test('générateur : déterministe pour une graine donnée', ()=>{
+  const a=synthesizeSession({ seed:42, gpsNoiseM:2, dropoutProb:0.5 });
+  const b=synthesizeSession({ seed:42, gpsNoiseM:2, dropoutProb:0.5 });
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a.points, synthesizeSession({ seed:43 }).points);
+  assert.equal(a.truth.waves.length, 8);
+});
+
+test('détection : trace propre (1 Hz)', ()=>{
+  assertScores('propre', scoreSeeds({}), 0.95, 0.95);
+});
+
+test('détection : profils de vitesse variés', ()=>{
+  assertScores('profils', scoreSeeds({ profile:['surge','plateau','fade'], peakKmh:[16, 32] }), 0.9, 0.9);
+});
+
+test('détection : cadence variable et horodatage irrégulier', ()=>{
+  assertScores('cadence', scoreSeeds({ intervalS:[1, 2, 3], jitterS:0.3 }), 0.85, 0.9);
+});
+
+test('détection : coupures de signal', ()=>{
+  assertScores('coupures', scoreSeeds({ dropoutProb:0.5 }), 0.95, 0.95);
+});
+
+test('détection : bruit GPS 2 m avec filtre (Kalman)', ()=>{
+  assertScores('bruit filtré', scoreSeeds({ gpsNoiseM:2 }, FILTERED), 0.9, 0.8);
+});
+
+test('stats : distance, durée et coupures sur trace propre', ()=>{
+  SEEDS.forEach(seed=>{
+    const { truth, result } = run({ seed, dropoutProb:0.5, intervalS:[1, 2] });
+    const { stats } = result;
+    assert.ok(Math.abs(stats.durationS-truth.stats.durationS)<=1, `graine ${seed} : durée ${stats.durationS} ≠ ${truth.stats.durationS}`);
+    assert.ok(Math.abs(stats.distM/truth.stats.distM-1)<0.02, `graine ${seed} : distance ${stats.distM.toFixed(0)} m ≠ ${truth.stats.distM.toFixed(0)} m`);
+    assert.equal(stats.gapCount, truth.stats.dropouts, `graine ${seed} : coupures`);
+  });
+});
+
+test('stats : distance avec bruit GPS 2 m et filtre', ()=>{
+  SEEDS.forEach(seed=>{
+    const { truth, result } = run({ seed, gpsNoiseM:2 }, FILTERED);
+    assert.ok(Math.abs(result.stats.distM/truth.stats.distM-1)<0.08, `graine ${seed} : distance ${result.stats.distM.toFixed(0)} m ≠ ${truth.stats.distM.toFixed(0)} m`);
+  });
+});
+
+test('vagues : vitesse de pointe, durée et distance des vagues retrouvées', ()=>{
+  SEEDS.forEach(seed=>{
+    run({ seed }).matches.filter(Boolean).forEach(({ truth, wave })=>{
+      const durationS=(truth.end-truth.start)/1000;
+      assert.ok(Math.abs(wave.maxKmh/truth.maxKmh-1)<0.02, `graine ${seed} : vmax ${wave.maxKmh.toFixed(1)} ≠ ${truth.maxKmh.toFixed(1)} km/h`);
+      assert.ok(Math.abs(wave.durationS-durationS)<=3, `graine ${seed} : durée ${wave.durationS} ≠ ${durationS.toFixed(1)} s`);
+      assert.ok(Math.abs(wave.distM/truth.distM-1)<0.25, `graine ${seed} : distance ${wave.distM.toFixed(0)} ≠ ${truth.distM.toFixed(0)} m`);
+    });
+  });
+  SEEDS.forEach(seed=>{
+    run({ seed, gpsNoiseM:2 }, FILTERED).matches.filter(Boolean).forEach(({ truth, wave })=>{
+      assert.ok(Math.abs(wave.maxKmh/truth.maxKmh-1)<0.4, `graine ${seed} (bruit) : vmax ${wave.maxKmh.toFixed(1)} ≠ ${truth.maxKmh.toFixed(1)} km/h`);
+    });
+  });
+});
+
+test('computeLocalStats : médiane locale et fenêtre bornée par les coupures', ()=>{
+  const seg=(speedKmh, gap=false)=>({ speedKmh, dtS:1, gap });
+  const steady=BodyboardAnalysis.computeLocalStats(Array.from({ length:20 }, ()=>seg(12)), 8);
+  steady.forEach(s=>{ assert.equal(s.median, 12); assert.equal(s.std, 0); });
+
+  const segments=[...Array.from({ length:10 }, ()=>seg(30)), seg(0, true), ...Array.from({ length:5 }, ()=>seg(4))];
+  const local=BodyboardAnalysis.computeLocalStats(segments, 8);
+  assert.deepEqual(local[10], { median:0, std:0 });
+  // juste après la coupure, la fenêtre ne voit plus les 30 km/h d’avant
+  local.slice(11).forEach(s=>assert.equal(s.median, 4));
+  assert.equal(BodyboardAnalysis.computeLocalStats(segments, 0).every(s=>s===null), true);
+});
+
+test('computeLocalStats : fenêtre glissante identique au calcul direct (tri complet)', ()=>{
+  // Référence : même fenêtre (deux curseurs), médiane et écart-type recalculés par tri complet à chaque segment
+  function naive(segments, winSec){
+    let left=0, span=0;
+    return segments.map((s, right)=>{
+      if (s.gap){ left=right+1; span=0; return { median:0, std:0 }; }
+      span+=s.dtS;
+      while (span>winSec && left<right) span-=segments[left++].dtS;
+      const vals=segments.slice(left, right+1).map(x=>x.speedKmh).sort((a,b)=>a-b);
+      const m=vals.length>>1, mean=vals.reduce((a,v)=>a+v, 0)/vals.length;
+      return {
+        median: vals.length%2 ? vals[m] : 0.5*(vals[m-1]+vals[m]),
+        std: Math.sqrt(vals.reduce((a,v)=>a+(v-mean)**2, 0)/Math.max(1, vals.length-1))
+      };
+    });
+  }
+  const { points } = synthesizeSession({ seed:7, gpsNoiseM:3, dropoutProb:0.5, intervalS:[0.2, 1, 3], jitterS:0.1 });
+  const { segments } = BodyboardAnalysis.computeSegmentsAndStats(points);
+  [3, 8, 20].forEach(winSec=>{
+    const expected=naive(segments, winSec);
+    BodyboardAnalysis.computeLocalStats(segments, winSec).forEach((s,i)=>{
+      assert.ok(Math.abs(s.median-expected[i].median)<1e-6 && Math.abs(s.std-expected[i].std)<1e-6, `fenêtre ${winSec} s, segment ${i}`);
+    });
+  });
+});
+
+test('computeLocalStats : 300 000 segments (plus de 16 h à 5 Hz) sans blocage', ()=>{
+  const rnd=createRandom(3);
+  const segments=Array.from({ length:300000 }, (_, i)=>({ speedKmh:2+20*rnd.next(), dtS:0.2, gap:i%60000===0 }));
+  const t0=Date.now();
+  const local=BodyboardAnalysis.computeLocalStats(segments, 8);
+  assert.equal(local.length, segments.length);
+  assert.ok(Date.now()-t0<5000, `computeLocalStats trop lent : ${Date.now()-t0} ms`);
+});
@@ -0,0 +1,91 @@
+// Moteur de session (lib/engine.js) : mêmes résultats que le pipeline direct, état conservé si un fichier est illisible
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardExport = require('../lib/exports');
+const BodyboardScoring = require('../lib/scoring');
+const BodyboardManeuvers = require('../lib/maneuvers');
+const BodyboardAutotune = require('../lib/autotune');
+const { createSessionEngine } = require('../lib/engine');
+const { synthesizeSession } = require('../lib/synth');
+
+const FILTER = { ...BodyboardAnalysis.DEFAULT_OPTIONS.filter, enabled:true };
+
+test('moteur : filtrage et détection identiques à analyzeSession', ()=>{
+  const { points } = synthesizeSession({ seed:5, gpsNoiseM:2 });
+  const engine=createSessionEngine();
+  engine.setPoints(points);
+  const pre=engine.preprocess(FILTER);
+  const options={ ...BodyboardAnalysis.DEFAULT_OPTIONS, baseThresholdKmh:6, filter:FILTER };
+  const res=engine.detect(options, null);
+  const direct=BodyboardAnalysis.analyzeSession(points, options);
+  assert.equal(pre.points.length, direct.points.length);
+  assert.deepEqual(pre.stats, direct.stats);
+  const annotated=BodyboardManeuvers.annotateWaves(direct.waves, direct.points, direct.segments);
+  assert.deepEqual(res.waves, BodyboardScoring.applyScores(annotated, direct.segments, options.scoring));
+  assert.equal(res.activity.states.length, pre.segments.length);
+  // courbe du seuil adaptatif pour le graphique (plus de calcul dans la page)
+  const local=BodyboardAnalysis.computeLocalStats(direct.segments, options.winSec);
+  assert.deepEqual(res.adaptiveKmh, local.map(st=>st.median+options.kSigma*st.std));
+  assert.equal(engine.detect({ ...options, useAdaptive:false }, null).adaptiveKmh, null);
+  // sans filtre, les points filtrés ne sont pas renvoyés une seconde fois
+  assert.equal(engine.preprocess({ enabled:false }).points, null);
+});
+
+test('moteur : lecture de fichier, session courante conservée si le fichier est vide', async ()=>{
+  const { points } = synthesizeSession({ seed:6 });
+  const { segments } = BodyboardAnalysis.computeSegmentsAndStats(points);
+  const gpx=BodyboardExport.sessionToGPX(points, points, segments, [], { options:BodyboardAnalysis.DEFAULT_OPTIONS, edits:BodyboardAnalysis.EMPTY_EDITS, name:'test' });
+  const engine=createSessionEngine();
+  const loaded=await engine.load('session.gpx', gpx);
+  assert.equal(loaded.rawPoints.length, points.length);
+  assert.ok(loaded.session);
+  const before=engine.preprocess({ enabled:false }).segments.length;
+  await assert.rejects(engine.load('vide.gpx', '<gpx version="1.1"><trk><trkseg></trkseg></trk></gpx>'));
+  assert.equal(engine.preprocess({ enabled:false }).segments.length, before);
+});
+
+test('moteur : réglage automatique identique à tuneParameters, avec avancement', async ()=>{
+  const { points, truth } = synthesizeSession({ seed:9 });
+  const engine=createSessionEngine();
+  engine.setPoints(points);
+  const { segments }=engine.preprocess({ enabled:false });
+  // fausse détection : 10 s d’attente au pic avant la 4e vague
+  const labels={ positives:truth.waves.slice(0, 3).map(({ start, end })=>({ start, end })), negatives:[{ start:truth.waves[3].start-30000, end:truth.waves[3].start-20000 }] };
+  const options={ ...BodyboardAnalysis.DEFAULT_OPTIONS, baseThresholdKmh:6 };
+  const progress=[];
+  const res=await engine.autotune(options, labels, { onProgress:(done, total)=>progress.push([done, total]) });
+  const spans=o=>BodyboardAnalysis.detectWaves(points, segments, o, null, null).waves.map(w=>BodyboardAnalysis.waveSpan(points, w)).filter(Boolean);
+  assert.deepEqual(res, await BodyboardAutotune.tuneParameters(spans, options, labels));
+  const total=BodyboardAutotune.paramGrid().length;
+  assert.deepEqual(progress[progress.length-1], [total, total]);
+  // la trace est figée au lancement : vider le moteur pendant la recherche ne change pas le résultat
+  const pending=engine.autotune(options, labels);
+  engine.setPoints([]);
+  assert.deepEqual(await pending, res);
+});
+
+test('moteur : activité en référence rivage (angle ramené en cap, distance au rivage chargé)', ()=>{
+  const { points } = synthesizeSession({ seed:4, directionSpreadDeg:10 });
+  const engine=createSessionEngine();
+  engine.setPoints(points);
+  engine.preprocess({ enabled:false });
+  // Rivage nord-sud à l’est de la trace : les vagues (cap 90°) y vont de face
+  const east=Math.max(...points.map(p=>p.lon)), lat=points[0].lat;
+  const shoreline=lon=>[[lat-0.01, lon], [lat+0.01, lon]];
+  const options={ ...BodyboardAnalysis.DEFAULT_OPTIONS, baseThresholdKmh:6, direction:{ enabled:true, direction:0, tolerance:45, reference:'shore' } };
+
+  engine.setShoreline(shoreline(east+0.03));   // ~2,4 km au large de la plage
+  const far=engine.detect(options, null);
+  assert.ok(far.waves.length>0);
+  assert.ok(BodyboardAnalysis.angularDifference(far.activity.waveDirectionDeg, 90)<1, `cap ${far.activity.waveDirectionDeg}`);
+  assert.equal(far.activity.totals.beach, 0);
+
+  engine.setShoreline(shoreline(east));         // rivage au bout des vagues : fins de vagues et retours côté plage
+  const near=engine.detect(options, null);
+  assert.ok(near.activity.totals.beach>0);
+  // sans filtre de sens, le sens est estimé sur les vagues
+  const free=engine.detect({ ...options, direction:{ ...options.direction, enabled:false } }, null);
+  assert.ok(BodyboardAnalysis.angularDifference(free.activity.waveDirectionDeg, 90)<15);
+});
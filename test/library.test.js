@@ -0,0 +1,42 @@
+// Bibliothèque (lib/library.js) : sauvegarde JSON et restauration, sans IndexedDB
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardLibrary = require('../lib/library');
+const BodyboardConditions = require('../lib/conditions');
+const { synthesizeSession } = require('../lib/synth');
+
+test('bundle : sessions, spots et conditions conservés à l’aller-retour', ()=>{
+  const { points } = synthesizeSession({ seed:8 });
+  const record=BodyboardLibrary.createSessionRecord({ fileName:'hossegor.gpx', rawPoints:points });
+  const spot={ key:BodyboardLibrary.spotKey('Hossegor'), name:'Hossegor', shoreline:[[43.66, -1.44], [43.67, -1.44]], updatedAt:new Date() };
+  const set={
+    ...BodyboardConditions.parseConditions('maree.csv', 'time;hauteur\n2024-06-01T06:00Z;1,2\n2024-06-01T12:15Z;3,8\n'),
+    key:'c1', importedAt:new Date()
+  };
+  const text=BodyboardLibrary.exportBundle([record], [spot], [set]);
+
+  const [session]=BodyboardLibrary.parseBundle(text);
+  assert.equal(session.id, record.id);
+  assert.equal(session.rawPoints.length, points.length);
+  assert.deepEqual(BodyboardLibrary.parseBundleSpots(text), [spot]);
+
+  const [restored]=BodyboardLibrary.parseBundleConditions(text);
+  assert.deepEqual(restored, set);
+  assert.ok(restored.from instanceof Date);
+  assert.equal(BodyboardConditions.valueAt(restored.series, 'tideM', set.from), 1.2);
+});
+
+test('bundle : sauvegarde sans conditions ou avec des séries invalides', ()=>{
+  const old=JSON.stringify({ format:BodyboardLibrary.BUNDLE_FORMAT, version:1, sessions:[] });
+  assert.deepEqual(BodyboardLibrary.parseBundleConditions(old), []);
+  const text=BodyboardLibrary.exportBundle([], [], [
+    { key:'vide', name:'vide', series:{ tideM:{ t:[], v:[] } } },
+    { key:'abime', name:'abîmé', series:{ windKmh:{ t:[1717221600000, 'x', 1717225200000], v:[10, 12, null] }, swellM:'?' }, from:'2024-06-01T06:00:00.000Z' }
+  ]);
+  const sets=BodyboardLibrary.parseBundleConditions(text);
+  assert.equal(sets.length, 1);
+  assert.deepEqual(sets[0].series, { windKmh:{ t:[1717221600000], v:[10] } });
+  assert.deepEqual(sets[0].fields, ['windKmh']);
+  assert.equal(sets[0].to, null);
+});
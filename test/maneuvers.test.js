@@ -0,0 +1,75 @@
+// Manœuvres (lib/maneuvers.js) : trajectoires construites cap par cap, puis sessions synthétiques en ligne droite
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardManeuvers = require('../lib/maneuvers');
+const { synthesizeSession, createRandom } = require('../lib/synth');
+
+const M_PER_DEG = 111320;
+const T0 = Date.UTC(2024, 5, 1, 8);
+
+// Vague à 1 Hz : steps = [{ kmh, headingDeg }] (cap et vitesse de chaque seconde) → vague enrichie
+function ride(steps){
+  let lat=43.66, lon=-1.44;
+  const points=[{ lat, lon, time:new Date(T0) }];
+  steps.forEach(({ kmh, headingDeg }, i)=>{
+    const d=kmh/3.6, b=headingDeg*Math.PI/180;
+    lat+=d*Math.cos(b)/M_PER_DEG; lon+=d*Math.sin(b)/(M_PER_DEG*Math.cos(lat*Math.PI/180));
+    points.push({ lat, lon, time:new Date(T0+(i+1)*1000) });
+  });
+  const { segments }=BodyboardAnalysis.computeSegmentsAndStats(points);
+  const segmentIndices=segments.map((_, i)=>i);
+  const wave=BodyboardAnalysis.enrichWave({ segmentIndices, startIdx:0, endIdx:segments.length-1, distM:0, durationS:steps.length }, points, segments);
+  return BodyboardManeuvers.detectManeuvers(wave, points, segments);
+}
+const straight = (n, kmh, headingDeg)=>Array.from({ length:n }, ()=>({ kmh, headingDeg }));
+const arc = (n, kmh, fromDeg, totalDeg)=>Array.from({ length:n }, (_, i)=>({
+  kmh:typeof kmh==='function' ? kmh(i/(n-1)) : kmh, headingDeg:fromDeg+totalDeg*(i+1)/n
+}));
+
+test('bottom turn : virage avant le pic de vitesse', ()=>{
+  const m=ride([...straight(4, 15, 90), ...arc(3, 20, 90, 70), ...straight(3, 28, 160), ...straight(4, 22, 160)]);
+  assert.equal(m.length, 1);
+  assert.equal(m[0].type, 'bottom turn');
+  assert.ok(Math.abs(m[0].angleDeg-70)<=10, `angle ${m[0].angleDeg}`);
+  assert.ok(m[0].time instanceof Date && m[0].latlng.length===2);
+});
+
+test('cutback : demi-tour à gauche avec perte de vitesse', ()=>{
+  const m=ride([...straight(6, 26, 90), ...straight(2, 22, 90), ...arc(6, u=>20-8*u, 90, -170), ...straight(4, 14, -80)]);
+  assert.equal(m.length, 1);
+  assert.equal(m[0].type, 'cutback');
+  assert.ok(m[0].angleDeg<-150 && m[0].angleDeg>-190, `angle ${m[0].angleDeg}`);
+  assert.ok(m[0].speedMinKmh<m[0].speedInKmh);
+});
+
+test('360 : tour complet, puis virage ordinaire après le pic', ()=>{
+  const m=ride([...straight(5, 25, 0), ...arc(8, 12, 0, 360), ...straight(3, 15, 0), ...arc(3, 14, 0, -60), ...straight(3, 12, -60)]);
+  assert.deepEqual(m.map(x=>x.type), ['360', 'virage']);
+  assert.ok(m[0].angleDeg>=300, `angle ${m[0].angleDeg}`);
+  assert.ok(m[1].angleDeg<0);
+});
+
+test('ligne droite bruitée, segments lents : aucune manœuvre', ()=>{
+  const rnd=createRandom(9);
+  assert.deepEqual(ride(Array.from({ length:30 }, ()=>({ kmh:22, headingDeg:90+rnd.gauss()*4 }))), []);
+  // à l’arrêt le cap ne veut rien dire
+  assert.deepEqual(ride([...straight(3, 20, 0), ...arc(4, 2, 0, 180), ...straight(3, 20, 180)]), []);
+});
+
+test('sessions synthétiques (vagues rectilignes) : pas de fausses manœuvres', ()=>{
+  let total=0, waves=0;
+  [1, 2, 3, 4].forEach(seed=>{
+    const r=BodyboardAnalysis.analyzeSession(synthesizeSession({ seed }).points);
+    const annotated=BodyboardManeuvers.annotateWaves(r.waves, r.points, r.segments);
+    total+=BodyboardManeuvers.countManeuvers(annotated).total; waves+=annotated.length;
+  });
+  assert.ok(waves>=30);
+  assert.ok(total<=1, `${total} manœuvres sur ${waves} vagues rectilignes`);
+});
+
+test('countManeuvers : décompte par type', ()=>{
+  const waves=[{ maneuvers:[{ type:'cutback' }, { type:'360' }] }, {}, { maneuvers:[{ type:'cutback' }] }];
+  assert.deepEqual(BodyboardManeuvers.countManeuvers(waves), { total:3, byType:{ 'bottom turn':0, cutback:2, '360':1, virage:0 } });
+});
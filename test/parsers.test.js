@@ -0,0 +1,111 @@
+// Lecture des traces (lib/parsers.js) : petits fichiers TCX, KML, GeoJSON écrits ici, archives KMZ construites à la volée, GPX exporté par l’appli relu
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const BodyboardParsers = require('../lib/parsers');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardExport = require('../lib/exports');
+const { synthesizeSession } = require('../lib/synth');
+
+const KML = `<?xml version="1.0"?><kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"><Document><Placemark><gx:Track>
+<when>2024-06-01T08:00:00Z</when><when>2024-06-01T08:00:01Z</when><when>2024-06-01T08:00:02Z</when>
+<gx:coord>-1.44 43.66 0</gx:coord><gx:coord>-1.4399 43.66 0</gx:coord><gx:coord>-1.4398 43.66 0</gx:coord>
+</gx:Track></Placemark></Document></kml>`;
+
+// ZIP d’une seule entrée : en-tête local, données, répertoire central, fin de répertoire (CRC non vérifié à la lecture)
+function zip(name, content, method){
+  const nameBytes=Buffer.from(name), raw=Buffer.from(content);
+  const data=method===8 ? zlib.deflateRawSync(raw) : raw;
+  const local=Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0); local.writeUInt16LE(method, 8);
+  local.writeUInt32LE(data.length, 18); local.writeUInt32LE(raw.length, 22); local.writeUInt16LE(nameBytes.length, 26);
+  const central=Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0); central.writeUInt16LE(method, 10);
+  central.writeUInt32LE(data.length, 20); central.writeUInt32LE(raw.length, 24); central.writeUInt16LE(nameBytes.length, 28);
+  central.writeUInt32LE(0, 42);
+  const centralOffset=local.length+nameBytes.length+data.length;
+  const eocd=Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0); eocd.writeUInt16LE(1, 8); eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length+nameBytes.length, 12); eocd.writeUInt32LE(centralOffset, 16);
+  return Buffer.concat([local, nameBytes, data, central, nameBytes, eocd]);
+}
+
+test('KMZ : doc.kml compressé (deflate) ou stocké', async ()=>{
+  for (const method of [8, 0]){
+    const { points }=await BodyboardParsers.readTrack('session.kmz', zip('doc.kml', KML, method));
+    assert.equal(points.length, 3, `méthode ${method}`);
+    assert.equal(points[0].lat, 43.66);
+    assert.equal(points[2].time.toISOString(), '2024-06-01T08:00:02.000Z');
+  }
+  await assert.rejects(BodyboardParsers.readTrack('vide.kmz', zip('notes.txt', 'rien', 8)), /aucun fichier \.kml/);
+});
+
+test('TCX : deux pistes (coupure), altitude et vitesse capteur', async ()=>{
+  const tp=(s, lat, speed)=>`<Trackpoint><Time>2024-06-01T08:00:0${s}Z</Time><Position><LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>-1.44</LongitudeDegrees></Position>`
+    +`<AltitudeMeters>2</AltitudeMeters><Extensions><ns3:TPX><ns3:Speed>${speed}</ns3:Speed></ns3:TPX></Extensions></Trackpoint>`;
+  const tcx=`<?xml version="1.0"?><TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">`
+    +`<Activities><Activity Sport="Other"><Lap><Track>${tp(0, 43.66, 1)}${tp(1, 43.6601, 5)}</Track><Track>${tp(5, 43.6602, 2)}</Track></Lap></Activity></Activities></TrainingCenterDatabase>`;
+  const { points }=await BodyboardParsers.readTrack('session.tcx', tcx);
+  assert.equal(points.length, 3);
+  assert.equal(points[1].speedKmh, 18);
+  assert.equal(points[0].ele, 2);
+  assert.equal(points[2].breakBefore, true);
+  assert.equal(points[2].time.toISOString(), '2024-06-01T08:00:05.000Z');
+});
+
+test('KML : gx:Track horodatée ; LineString sans temps lue mais refusée', async ()=>{
+  const { points }=await BodyboardParsers.readTrack('session.kml', KML);
+  assert.deepEqual(points.map(p=>p.lon), [-1.44, -1.4399, -1.4398]);
+  assert.equal(points[1].time.toISOString(), '2024-06-01T08:00:01.000Z');
+  const lineKML='<kml xmlns="http://www.opengis.net/kml/2.2"><Placemark><LineString><coordinates>-1.44,43.66,0 -1.4399,43.6601,0</coordinates></LineString></Placemark></kml>';
+  const line=BodyboardParsers.parseKML(lineKML);
+  assert.equal(line.length, 2);
+  assert.equal(line[1].lat, 43.6601);
+  assert.equal(line[0].time, null);
+  // sans horodatage, pas de vitesses : refusé à la lecture
+  await assert.rejects(BodyboardParsers.readTrack('trace.kml', lineKML), /horodatage/);
+});
+
+test('GeoJSON : LineString + coordTimes, vagues exportées ignorées', async ()=>{
+  const geojson=JSON.stringify({ type:'FeatureCollection', features:[
+    { type:'Feature', properties:{ coordTimes:['2024-06-01T08:00:00Z', 1717228801] }, geometry:{ type:'LineString', coordinates:[[-1.44, 43.66, 1], [-1.4399, 43.6601]] } },
+    { type:'Feature', properties:{ kind:'wave' }, geometry:{ type:'LineString', coordinates:[[-1.44, 43.66], [-1.4399, 43.6601]] } },
+    { type:'Feature', properties:{ time:'2024-06-01T08:00:05Z' }, geometry:{ type:'Point', coordinates:[-1.4398, 43.6602] } }
+  ] });
+  const { points }=await BodyboardParsers.readTrack('session.geojson', geojson);
+  assert.equal(points.length, 3);
+  assert.equal(points[0].ele, 1);
+  assert.equal(points[1].time.toISOString(), '2024-06-01T08:00:01.000Z');
+  assert.equal(points[2].lat, 43.6602);
+  // extension inconnue : format reconnu au contenu
+  assert.equal((await BodyboardParsers.readTrack('export.json', geojson)).points.length, 3);
+});
+
+test('GPX : export de session relu à l’identique (points, coupures, <bb:session>)', async ()=>{
+  const { points:raw } = synthesizeSession({ seed:7, gpsNoiseM:1 });
+  raw[300]={ ...raw[300], breakBefore:true };
+  const options={ ...BodyboardAnalysis.DEFAULT_OPTIONS, baseThresholdKmh:6, filter:{ ...BodyboardAnalysis.DEFAULT_OPTIONS.filter, enabled:true } };
+  const { points, segments, waves } = BodyboardAnalysis.analyzeSession(raw, options);
+  assert.ok(waves.length>2);
+  const span=w=>BodyboardAnalysis.waveSpan(points, w);
+  const edits={ locked:[span(waves[0])], deleted:[span(waves[1])], confirmed:[span(waves[2])] };
+  const gpx=BodyboardExport.sessionToGPX(raw, points, segments, waves, { options, edits, name:'Côte <sud> & co' });
+
+  const { points:read, session } = await BodyboardParsers.readTrack('session.gpx', gpx);
+  // Trace brute seule : les <trk> de vagues exportés ne sont pas relus comme des points
+  assert.equal(read.length, raw.length);
+  read.forEach((p,i)=>{
+    assert.equal(p.lat, raw[i].lat); assert.equal(p.lon, raw[i].lon); assert.equal(p.ele, raw[i].ele);
+    assert.equal(p.time.getTime(), raw[i].time.getTime());
+  });
+  assert.deepEqual(read.map((p,i)=>p.breakBefore ? i : -1).filter(i=>i>=0), [300]);
+
+  assert.equal(session.version, 1);
+  assert.deepEqual(session.options, options);
+  assert.deepEqual(session.edits, edits);
+  assert.deepEqual(session.waves, waves.map(w=>({ ...span(w), locked:false })));
+  // Export sans réglages : pas de session à restaurer
+  const bare=await BodyboardParsers.readTrack('bare.gpx', BodyboardExport.sessionToGPX(raw, points, segments, waves));
+  assert.equal(bare.session, null);
+});
@@ -0,0 +1,74 @@
+// Score et catégories des vagues (lib/scoring.js) sur vagues construites à la main et sessions synthétiques
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardAnalysis = require('../lib/analysis');
+const BodyboardScoring = require('../lib/scoring');
+const { synthesizeSession } = require('../lib/synth');
+
+// Vague en ligne droite (ou en zigzag) : un segment par seconde aux vitesses données
+function rideWave(speeds, { zigzagDeg=0 }={}){
+  const segments=speeds.map((speedKmh, i)=>({
+    speedKmh, dtS:1, distM:speedKmh/3.6, gap:false,
+    bearingDeg:zigzagDeg ? 90+(i%2 ? zigzagDeg : -zigzagDeg)/2 : 90
+  }));
+  const distM=segments.reduce((a,s)=>a+s.distM, 0);
+  return {
+    segments,
+    wave:{ segmentIndices:segments.map((_, i)=>i), maxKmh:Math.max(...speeds), distM, durationS:speeds.length, avgKmh:distM/speeds.length*3.6 }
+  };
+}
+const scoreOne = (speeds, opts, weights)=>{
+  const { segments, wave }=rideWave(speeds, opts);
+  return BodyboardScoring.scoreWaves([wave], segments, weights)[0];
+};
+
+test('critères : vitesse tenue, accélération et changements de cap', ()=>{
+  const { segments, wave }=rideWave([10, 20, 30, 30, 30, 20, 10], { zigzagDeg:40 });
+  const f=BodyboardScoring.waveFeatures(wave, segments);
+  assert.equal(f.peak, 30);
+  assert.ok(Math.abs(f.sustained-30)<1e-9);
+  assert.equal(f.accel, 10);                 // +20 km/h en 2 s
+  assert.equal(f.turns, 40*6);
+});
+
+test('score : borné à 0–10, croissant avec la vitesse, poids nuls ignorés', ()=>{
+  const slow=scoreOne([8, 10, 12, 10, 8]);
+  const fast=scoreOne([15, 25, 33, 33, 30, 28, 25, 20]);
+  assert.ok(slow.score>=0 && fast.score<=10);
+  assert.ok(fast.score>slow.score);
+  const huge=scoreOne(Array.from({ length:60 }, ()=>60), { zigzagDeg:90 });
+  assert.ok(huge.score<=10 && huge.score>=8);
+  // seul le critère distance compte : 150 m → 10/10
+  const distOnly={ peak:0, sustained:0, distance:1, duration:0, accel:0, turns:0 };
+  assert.equal(scoreOne(Array.from({ length:27 }, ()=>20), {}, distOnly).score, 10);
+  assert.equal(scoreOne([10, 10], {}, { peak:0, sustained:0, distance:0, duration:0, accel:0, turns:0 }).score, 0);
+});
+
+test('poids : valeurs invalides remplacées par les défauts', ()=>{
+  assert.deepEqual(BodyboardScoring.sanitizeScoring({ peak:-1, sustained:'4', distance:'x', duration:null }),
+    { ...BodyboardScoring.DEFAULT_SCORING, sustained:4 });
+});
+
+test('rangs et catégories calibrées sur une session synthétique', ()=>{
+  const { points } = synthesizeSession({ seed:11, waveCount:10, profile:['surge','plateau','fade'], peakKmh:[16, 32], rideS:[4, 16] });
+  const r=BodyboardAnalysis.analyzeSession(points);
+  const waves=BodyboardScoring.applyScores(r.waves, r.segments);
+  assert.ok(waves.length>=BodyboardScoring.CALIBRATION_MIN_WAVES);
+  assert.deepEqual(waves.map(w=>w.scoreRank).sort((a,b)=>a-b), waves.map((_, i)=>i+1));
+  const best=BodyboardScoring.bestWave(waves);
+  assert.ok(waves.every(w=>w.score<=best.score));
+  waves.forEach(w=>assert.ok(BodyboardScoring.CATEGORIES.includes(w.category)));
+  // calibrée : la vague la plus rapide de la session est « rapide », même sous les seuils absolus
+  const fastest=waves.reduce((m,w)=>BodyboardScoring.waveFeatures(w, r.segments).sustained>BodyboardScoring.waveFeatures(m, r.segments).sustained ? w : m);
+  assert.equal(fastest.category, 'rapide');
+  assert.ok(waves.some(w=>w.category!=='rapide'));
+});
+
+test('peu de vagues : seuils absolus', ()=>{
+  const { segments, wave }=rideWave([10, 12, 11]);
+  assert.equal(BodyboardScoring.scoreWaves([wave], segments)[0].category, 'courte');
+  const fast=rideWave([26, 28, 30, 28, 27, 26]);
+  assert.equal(BodyboardScoring.scoreWaves([fast.wave], fast.segments)[0].category, 'rapide');
+  assert.equal(BodyboardScoring.bestWave([]), null);
+});
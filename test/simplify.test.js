@@ -0,0 +1,42 @@
+// Simplification Douglas–Peucker de la trace (lib/simplify.js)
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BodyboardSimplify = require('../lib/simplify');
+const { synthesizeSession } = require('../lib/synth');
+
+const M_PER_DEG = 111320;
+
+// Distance (m) d’un point à la polyligne simplifiée, plan local
+function distanceToLine(p, line, k){
+  let best=Infinity;
+  for (let i=1;i<line.length;i++){
+    const [ay, ax]=[line[i-1][0]*M_PER_DEG, line[i-1][1]*k], [by, bx]=[line[i][0]*M_PER_DEG, line[i][1]*k];
+    const py=p[0]*M_PER_DEG, px=p[1]*k, dx=bx-ax, dy=by-ay, len2=dx*dx+dy*dy;
+    const t=len2 ? Math.max(0, Math.min(1, ((px-ax)*dx+(py-ay)*dy)/len2)) : 0;
+    best=Math.min(best, Math.hypot(ax+t*dx-px, ay+t*dy-py));
+  }
+  return best;
+}
+
+test('simplification : extrémités gardées, points alignés retirés', ()=>{
+  const line=Array.from({ length:50 }, (_, i)=>[43.6+i*1e-5, -1.4]);
+  assert.deepEqual(BodyboardSimplify.simplifyIndices(line, 0.5), [0, 49]);
+  assert.equal(BodyboardSimplify.simplifyIndices(line, 0).length, 50);
+  assert.deepEqual(BodyboardSimplify.simplifyIndices([[43.6, -1.4], [43.61, -1.4]], 10), [0, 1]);
+});
+
+test('simplification : aucun point écarté de plus de la tolérance', ()=>{
+  const latlngs=synthesizeSession({ seed:4, gpsNoiseM:3, intervalS:0.2 }).points.map(p=>[p.lat, p.lon]);
+  const k=Math.cos(latlngs[0][0]*Math.PI/180)*M_PER_DEG;
+  [1, 5, 20].forEach(toleranceM=>{
+    const simplified=BodyboardSimplify.simplifyLatLngs(latlngs, toleranceM);
+    assert.ok(simplified.length<latlngs.length/2, `tolérance ${toleranceM} m : ${simplified.length}/${latlngs.length} points`);
+    latlngs.forEach((p,i)=>assert.ok(distanceToLine(p, simplified, k)<=toleranceM+1e-6, `tolérance ${toleranceM} m, point ${i}`));
+  });
+});
+
+test('metersPerPixel : taille d’un pixel au sol selon zoom et latitude', ()=>{
+  assert.ok(Math.abs(BodyboardSimplify.metersPerPixel(0, 0)-156543.03)<0.01);
+  assert.ok(Math.abs(BodyboardSimplify.metersPerPixel(17, 60)-BodyboardSimplify.metersPerPixel(17, 0)/2)<1e-9);
+});
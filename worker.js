@@ -0,0 +1,37 @@
+/* Bodyboard – Web Worker de calcul
+ * ------------------------------------------------------------------
+ * Exécute BodyboardEngine hors du fil de la page : la carte et les curseurs restent fluides
+ * pendant la lecture d’un gros fichier ou une détection sur des centaines de milliers de points.
+ * Messages : { id, type:'load'|'setPoints'|'setShoreline'|'preprocess'|'detect'|'autotune', args:[…], progress? }
+ * Réponses : { id, result } | { id, error } | { id, stale:true } (détection remplacée par une plus récente)
+ * et, si progress est demandé, { id, progress:[done, total] } avant la réponse.
+ */
+importScripts('lib/parsers.js', 'lib/analysis.js', 'lib/activity.js', 'lib/shore.js', 'lib/scoring.js', 'lib/maneuvers.js', 'lib/autotune.js', 'lib/engine.js');
+
+const engine = BodyboardEngine.createSessionEngine();
+let pendingDetect = null;   // seule la dernière demande de détection compte (curseur qu’on fait glisser)
+
+function reply(id, run){
+  Promise.resolve().then(run)
+    .then(result=>self.postMessage({ id, result }))
+    .catch(err=>self.postMessage({ id, error: err?.message || String(err) }));
+}
+
+// Les messages arrivés pendant un calcul sont tous lus avant ce tour : les détections dépassées sont abandonnées
+function flushDetect(){
+  const msg=pendingDetect; pendingDetect=null;
+  if (msg) reply(msg.id, ()=>engine.detect(...msg.args));
+}
+
+self.onmessage = ({ data:msg })=>{
+  if (msg.type==='detect'){
+    if (pendingDetect) self.postMessage({ id:pendingDetect.id, stale:true });
+    else setTimeout(flushDetect, 0);
+    pendingDetect=msg;
+    return;
+  }
+  if (typeof engine[msg.type]!=='function'){ self.postMessage({ id:msg.id, error:`Message inconnu : ${msg.type}` }); return; }
+  // avancement : { onProgress } ajouté en dernier argument (réglage automatique)
+  const args=msg.progress ? [...msg.args, { onProgress:(...progress)=>self.postMessage({ id:msg.id, progress }) }] : msg.args;
+  reply(msg.id, ()=>engine[msg.type](...args));
+};